@@ -1,12 +1,11 @@
 #!/usr/bin/env node
 
-const { Client } = require('ssh2');
-const fs = require('fs');
+const RemoteSession = require('./remote-session');
 
-class BasicToolsInstaller {
+class BasicToolsInstaller extends RemoteSession {
     constructor(progressCallback = null) {
-        this.config = {};
-        this.progressCallback = progressCallback;
+        super(progressCallback);
+        this.component = 'tools';
         // Mapping of command names to package names
         // command: the name used to check if tool is available (command -v)
         // package: the name used to install the tool (apt install)
@@ -36,112 +35,6 @@ class BasicToolsInstaller {
         return this.toolMapping[tool]?.package || tool;
     }
 
-    log(message) {
-        console.log(message);
-        if (this.progressCallback) {
-            this.progressCallback(message);
-        }
-    }
-
-    validateConnectionConfig(config) {
-        const required = ['host', 'privateKeyPath'];
-        const missing = required.filter(key => !config[key]);
-
-        if (missing.length > 0) {
-            const errorMsg = `❌ Missing required configuration: ${missing.join(', ')}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
-        }
-
-        if (!fs.existsSync(config.privateKeyPath)) {
-            const errorMsg = `❌ SSH private key file not found: ${config.privateKeyPath}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
-        }
-
-        this.log('✅ Configuration validated');
-    }
-
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const conn = new Client();
-
-            this.log(`🔗 Connecting to ${this.config.username}@${this.config.host}:${this.config.port}...`);
-
-            conn.on('ready', () => {
-                this.log('✅ SSH connection established');
-                resolve(conn);
-            });
-
-            conn.on('error', (err) => {
-                this.log(`❌ SSH connection failed: ${err.message}`);
-                reject(err);
-            });
-
-            const connectConfig = {
-                host: this.config.host,
-                port: this.config.port,
-                username: this.config.username,
-                privateKey: fs.readFileSync(this.config.privateKeyPath)
-            };
-
-            if (this.config.passphrase) {
-                connectConfig.passphrase = this.config.passphrase;
-            }
-
-            conn.connect(connectConfig);
-        });
-    }
-
-    async executeCommand(conn, command, description, suppressOutput = false) {
-        return new Promise((resolve, reject) => {
-            if (!suppressOutput) {
-                this.log(`🔄 ${description}...`);
-            }
-
-            conn.exec(command, (err, stream) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-
-                let output = '';
-                let errorOutput = '';
-
-                stream.on('close', (code, signal) => {
-                    if (code === 0) {
-                        if (!suppressOutput) {
-                            this.log(`✅ ${description} completed`);
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    } else {
-                        if (!suppressOutput) {
-                            this.log(`❌ ${description} failed (exit code: ${code})`);
-                            if (errorOutput) {
-                                this.log(`Error output: ${errorOutput}`);
-                            }
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    }
-                });
-
-                stream.on('data', (data) => {
-                    output += data.toString();
-                    if (!suppressOutput) {
-                        this.log(data.toString().trim());
-                    }
-                });
-
-                stream.stderr.on('data', (data) => {
-                    errorOutput += data.toString();
-                    if (!suppressOutput) {
-                        this.log(`STDERR: ${data.toString().trim()}`);
-                    }
-                });
-            });
-        });
-    }
-
     async checkToolInstalled(conn, tool) {
         try {
             const commandName = this.getCommandName(tool);
@@ -240,12 +133,45 @@ class BasicToolsInstaller {
         }
     }
 
+    async uninstall(conn) {
+        const checkResult = await this.checkBasicToolsInstalled(conn);
+        const packages = checkResult.installed.map(tool => this.getPackageName(tool));
+
+        if (packages.length === 0) {
+            this.log('ℹ️ None of the basic tools are installed');
+            return { removed: [] };
+        }
+
+        this.log('🧹 Removing basic tools...');
+
+        const removeResult = await this.executeCommand(
+            conn,
+            `sudo apt-get remove -y ${packages.join(' ')}`,
+            `Removing basic tools: ${packages.join(' ')}`
+        );
+
+        if (removeResult.exitCode !== 0) {
+            throw new Error('Could not remove the basic tools packages');
+        }
+
+        await this.executeCommand(
+            conn,
+            'sudo apt-get autoremove -y',
+            'Removing unused dependencies'
+        );
+
+        this.log(`🎉 Removed: ${checkResult.installed.join(', ')}`);
+        return { removed: checkResult.installed };
+    }
+
     async run() {
         let conn;
 
         try {
             conn = await this.connect();
             const result = await this.installBasicTools(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.allInstalled), result });
 
             if (result.allInstalled) {
                 this.log('✅ Basic tools setup completed successfully!');
@@ -259,6 +185,7 @@ class BasicToolsInstaller {
             }
         } catch (error) {
             this.log(`❌ Installation failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
             process.exit(1);
         } finally {
             if (conn) {
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Credentials and hook scripts of the providers, readable by root only
+const DNS_DIR = '/etc/letsencrypt/dns';
+const TSIG_ALGORITHMS = ['HMAC-MD5', 'HMAC-SHA1', 'HMAC-SHA224', 'HMAC-SHA256', 'HMAC-SHA384', 'HMAC-SHA512'];
+
+/**
+ * DNS-01 providers for Let's Encrypt
+ *
+ * A provider publishes the _acme-challenge TXT records certbot asks for, so
+ * certificates can cover wildcard names and hosts that are not reachable on
+ * port 80. It names the Debian packages it needs, writes its credentials or
+ * hook script to DNS_DIR and returns the certbot arguments that use them.
+ * Certbot keeps those arguments in the certificate's renewal configuration,
+ * so renewals publish their records the same way.
+ *
+ * New providers extend DnsProvider and are added to DNS_PROVIDERS.
+ */
+class DnsProvider {
+    constructor(options = {}, defaultPropagation = 60) {
+        this.options = options;
+
+        const propagation = options.propagationSeconds;
+        this.propagationSeconds = propagation === undefined || propagation === null || propagation === ''
+            ? defaultPropagation
+            : Number(propagation);
+        if (!Number.isInteger(this.propagationSeconds) || this.propagationSeconds < 0) {
+            throw new Error(`Invalid DNS propagation time: ${propagation} (expected seconds)`);
+        }
+    }
+
+    // Debian packages needed next to certbot
+    get packages() {
+        return [];
+    }
+
+    describe() {
+        throw new Error(`${this.constructor.name} does not implement describe()`);
+    }
+
+    // Writes what the provider needs to the server; returns certbot's arguments
+    async prepare(session, conn, domain) {
+        throw new Error(`${this.constructor.name} does not implement prepare()`);
+    }
+
+    // Uploaded through a local 0600 file, so the content never shows up in a command line or plan
+    async writePrivateFile(session, conn, content, remotePath, mode, description) {
+        const fileName = path.posix.basename(remotePath);
+        const localFile = path.join(os.tmpdir(), `${fileName}-${process.pid}`);
+        const remoteTemp = `/tmp/${fileName}`;
+
+        await session.backupPath(conn, remotePath, description);
+
+        try {
+            fs.writeFileSync(localFile, content, { mode: 0o600 });
+
+            await session.executeCommand(conn, `install -m 600 /dev/null ${remoteTemp}`, 'Creating private upload file');
+            await session.uploadFile(conn, localFile, remoteTemp, `Uploading ${description}`);
+        } finally {
+            fs.rmSync(localFile, { force: true });
+        }
+
+        const moveResult = await session.executeCommand(
+            conn,
+            `sudo install -d -m 700 ${DNS_DIR} && sudo mv ${remoteTemp} ${remotePath} && sudo chown root:root ${remotePath} && sudo chmod ${mode} ${remotePath}`,
+            `Installing ${remotePath}`
+        );
+
+        if (moveResult.exitCode !== 0) {
+            throw new Error(`Could not write ${remotePath}`);
+        }
+    }
+}
+
+// Dynamic DNS updates signed with a TSIG key (BIND, Knot, PowerDNS, ...), through certbot's rfc2136 plugin
+class Rfc2136Provider extends DnsProvider {
+    constructor(options = {}) {
+        super(options, 60);
+
+        this.server = options.server;
+        this.port = options.port ? Number(options.port) : 53;
+        this.keyName = options.keyName;
+        this.secret = options.secret;
+        this.algorithm = (options.algorithm || 'HMAC-SHA512').toUpperCase();
+
+        // The plugin only takes an address for the server
+        if (!net.isIP(this.server || '')) {
+            throw new Error(`The rfc2136 provider needs the IP address of the DNS server (got: ${this.server || 'none'})`);
+        }
+        if (!Number.isInteger(this.port) || this.port < 1 || this.port > 65535) {
+            throw new Error(`Invalid DNS server port: ${options.port}`);
+        }
+        if (!/^[A-Za-z0-9._-]+$/.test(this.keyName || '')) {
+            throw new Error(`Invalid TSIG key name: ${this.keyName || 'none'}`);
+        }
+        if (!/^[A-Za-z0-9+/]+={0,2}$/.test(this.secret || '')) {
+            throw new Error('The TSIG secret is missing or not base64');
+        }
+        if (!TSIG_ALGORITHMS.includes(this.algorithm)) {
+            throw new Error(`Unknown TSIG algorithm: ${this.algorithm} (allowed: ${TSIG_ALGORITHMS.join(', ')})`);
+        }
+    }
+
+    get packages() {
+        return ['python3-certbot-dns-rfc2136'];
+    }
+
+    describe() {
+        return `RFC 2136 updates to ${this.server}:${this.port} signed with ${this.keyName}`;
+    }
+
+    async prepare(session, conn, domain) {
+        const credentials = `${DNS_DIR}/${domain}-rfc2136.ini`;
+        const keyName = this.keyName.endsWith('.') ? this.keyName : `${this.keyName}.`;
+
+        await this.writePrivateFile(session, conn, [
+            `dns_rfc2136_server = ${this.server}`,
+            `dns_rfc2136_port = ${this.port}`,
+            `dns_rfc2136_name = ${keyName}`,
+            `dns_rfc2136_secret = ${this.secret}`,
+            `dns_rfc2136_algorithm = ${this.algorithm}`,
+            ''
+        ].join('\n'), credentials, 600, `RFC 2136 credentials for ${domain}`);
+
+        return `--dns-rfc2136 --dns-rfc2136-credentials ${credentials} --dns-rfc2136-propagation-seconds ${this.propagationSeconds}`;
+    }
+}
+
+// A local script that publishes the records with any DNS API. It runs on the
+// server as `<script> auth` and `<script> cleanup`, with the record in
+// _acme-challenge.$CERTBOT_DOMAIN and its value in $CERTBOT_VALIDATION.
+class HookScriptProvider extends DnsProvider {
+    constructor(options = {}) {
+        super(options, 0);
+
+        this.script = options.script;
+        if (!this.script || !fs.existsSync(this.script) || !fs.statSync(this.script).isFile()) {
+            throw new Error(`DNS hook script not found: ${this.script || 'none'}`);
+        }
+    }
+
+    describe() {
+        return `hook script ${path.basename(this.script)}`;
+    }
+
+    async prepare(session, conn, domain) {
+        const hook = `${DNS_DIR}/${domain}-hook`;
+
+        await this.writePrivateFile(session, conn, fs.readFileSync(this.script), hook, 700, `DNS hook script for ${domain}`);
+
+        const wait = this.propagationSeconds > 0 ? ` && sleep ${this.propagationSeconds}` : '';
+        return `--manual --preferred-challenges dns --manual-auth-hook "${hook} auth${wait}" --manual-cleanup-hook "${hook} cleanup"`;
+    }
+}
+
+const DNS_PROVIDERS = {
+    rfc2136: Rfc2136Provider,
+    hook: HookScriptProvider
+};
+
+function createDnsProvider(name, options = {}) {
+    const Provider = DNS_PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown DNS provider: ${name} (allowed: ${Object.keys(DNS_PROVIDERS).join(', ')})`);
+    }
+    return new Provider(options);
+}
+
+module.exports = {
+    DNS_DIR,
+    TSIG_ALGORITHMS,
+    DNS_PROVIDERS,
+    DnsProvider,
+    Rfc2136Provider,
+    HookScriptProvider,
+    createDnsProvider
+};
@@ -10,6 +10,8 @@ const BasicToolsInstaller = require('./basic-tools-installer');
 const LetsEncryptInstaller = require('./letsencrypt-installer');
 const StaticWebsiteInstaller = require('./static-website-installer');
 const VSCodeWebInstaller = require('./vscode-web-installer');
+const StackInstaller = require('./stack-installer');
+const NginxSiteManager = require('./nginx-site-manager');
 
 // Import SSH key utilities (for OpenSSH format conversion)
 const sshpk = require('sshpk');
@@ -151,6 +153,34 @@ ipcMain.handle('select-zip-file', async () => {
   return null;
 });
 
+// IPC handler for selecting the script that publishes DNS-01 challenge records
+ipcMain.handle('select-dns-hook', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Scripts', extensions: ['sh', 'bash', 'py'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  if (!result.canceled) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
+// IPC handler for selecting a folder with a built static website
+ipcMain.handle('select-static-folder', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openDirectory']
+  });
+
+  if (!result.canceled) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
 // IPC handler for checking Node.js installation
 ipcMain.handle('check-nodejs', async (event, config) => {
   try {
@@ -368,153 +398,115 @@ ipcMain.handle('install-selected', async (event, config) => {
     };
 
     // Validate the connection config
-    const tempInstaller = new NodeJSInstaller();
-    tempInstaller.validateConnectionConfig(connectionConfig);
-    tempInstaller.config = connectionConfig;
+    const stackInstaller = new StackInstaller(progressCallback);
+    stackInstaller.validateConnectionConfig(connectionConfig);
+    stackInstaller.config = connectionConfig;
 
-    // Track installation results
-    const results = {
-      nodejs: null,
-      nginx: null,
-      basicTools: null,
-      letsEncrypt: null,
-      staticWebsite: null
-    };
+    // In dry-run mode every installer records into one shared plan instead of executing
+    const plan = config.dryRun ? stackInstaller.enableDryRun() : null;
 
     // Install selected components in order
-    const conn = await tempInstaller.connect();
+    const conn = await stackInstaller.connect();
 
     try {
-      // 1. Install Node.js if selected
-      if (config.installOptions.nodejs) {
-        event.sender.send('progress-update', '📦 Installing Node.js LTS...');
-        const nodejsInstaller = new NodeJSInstaller(progressCallback);
-        nodejsInstaller.config = connectionConfig;
-        try {
-          results.nodejs = await nodejsInstaller.installNodeJS(conn);
-        } catch (error) {
-          event.sender.send('progress-update', `❌ Node.js installation failed: ${error.message}`);
-        }
-      }
+      const { results } = await stackInstaller.installStack(conn, config);
 
-      // 2. Install Nginx if selected
-      if (config.installOptions.nginx) {
-        event.sender.send('progress-update', '🌐 Installing Nginx...');
-        const nginxInstaller = new NginxInstaller(progressCallback);
-        nginxInstaller.config = connectionConfig;
-        try {
-          results.nginx = await nginxInstaller.installNginx(conn);
-        } catch (error) {
-          event.sender.send('progress-update', `❌ Nginx installation failed: ${error.message}`);
-        }
-      }
+      return {
+        success: true,
+        results: results,
+        plan: plan ? plan.toJSON() : null,
+        planText: plan ? plan.toText() : null
+      };
+    } finally {
+      conn.end();
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
 
-      // 3. Install Basic Tools if selected
-      if (config.installOptions.basicTools) {
-        event.sender.send('progress-update', '🔧 Installing basic development tools...');
-        const basicToolsInstaller = new BasicToolsInstaller(progressCallback);
-        basicToolsInstaller.config = connectionConfig;
-        try {
-          results.basicTools = await basicToolsInstaller.installBasicTools(conn);
-        } catch (error) {
-          event.sender.send('progress-update', `❌ Basic tools installation failed: ${error.message}`);
-        }
-      }
+// IPC handler for listing the nginx sites in conf.d
+ipcMain.handle('list-sites', async (event, config) => {
+  try {
+    // Progress callback to send updates to renderer
+    const progressCallback = (message) => {
+      event.sender.send('progress-update', message);
+    };
 
-      // 4. Install Let's Encrypt if selected (requires Nginx)
-      if (config.installOptions.letsEncrypt) {
-        if (!results.nginx || !results.nginx.installed) {
-          event.sender.send('progress-update', '❌ Let\'s Encrypt requires Nginx. Skipping SSL setup.');
-        } else {
-          event.sender.send('progress-update', '🔒 Setting up Let\'s Encrypt SSL certificates...');
-          const letsEncryptInstaller = new LetsEncryptInstaller(progressCallback);
-          letsEncryptInstaller.config = connectionConfig;
-          letsEncryptInstaller.setCertificateConfig(config.sslConfig.domain, config.sslConfig.email);
-          try {
-            results.letsEncrypt = await letsEncryptInstaller.installLetsEncrypt(conn);
-          } catch (error) {
-            event.sender.send('progress-update', `❌ Let's Encrypt setup failed: ${error.message}`);
-          }
-        }
-      }
+    // Convert PPK file to OpenSSH format if needed
+    const convertedKeyPath = await convertKeyFile(config.privateKeyPath, config.passphrase);
 
-      // 5. Install Static Website if selected (requires Nginx and Basic Tools)
-      if (config.installOptions.staticWebsite) {
-        // Check if both Nginx and Basic Tools are installed
-        const nginxInstalled = results.nginx && results.nginx.installed;
-        const basicToolsInstalled = results.basicTools && results.basicTools.allInstalled;
-
-        if (!nginxInstalled) {
-          event.sender.send('progress-update', '❌ Static Website requires Nginx. Skipping static website setup.');
-        } else if (!basicToolsInstalled) {
-          event.sender.send('progress-update', '❌ Static Website requires Basic Tools (including unzip). Skipping static website setup.');
-        } else {
-          event.sender.send('progress-update', '🌐 Installing static website...');
-
-          // Double-check nginx is accessible before proceeding
-          const nginxDoubleCheck = await new Promise((resolve) => {
-            conn.exec('command -v nginx >/dev/null 2>&1 && nginx -v 2>&1 | head -1', (err, stream) => {
-              if (err) {
-                resolve(false);
-                return;
-              }
-
-              let output = '';
-              stream.on('close', (code) => {
-                resolve(code === 0);
-              });
-              stream.on('data', (data) => {
-                output += data.toString();
-              });
-            });
-          });
-
-          if (!nginxDoubleCheck) {
-            event.sender.send('progress-update', '⚠️ Nginx detected but not accessible. Attempting static website installation anyway...');
-          }
-
-          const staticWebsiteInstaller = new StaticWebsiteInstaller(progressCallback);
-          staticWebsiteInstaller.config = connectionConfig;
-          staticWebsiteInstaller.setWebsiteConfig(config.staticWebsiteConfig.domain, config.staticWebsiteConfig.zipFilePath);
-          try {
-            results.staticWebsite = await staticWebsiteInstaller.installStaticWebsite(conn);
-          } catch (error) {
-            event.sender.send('progress-update', `❌ Static website installation failed: ${error.message}`);
-          }
-        }
-      }
+    // Set up connection config
+    const connectionConfig = {
+      host: config.host,
+      port: parseInt(config.port) || 22,
+      username: config.username,
+      privateKeyPath: convertedKeyPath,
+      passphrase: config.passphrase || undefined
+    };
 
-      // 6. Install VS Code Web if selected (requires SSL certificate)
-      if (config.installOptions.vscodeWeb) {
-        event.sender.send('progress-update', '📝 Installing VS Code Web...');
-
-        const vscodeWebInstaller = new VSCodeWebInstaller(progressCallback);
-        vscodeWebInstaller.config = connectionConfig;
-        vscodeWebInstaller.setVSCodeConfig(
-          config.vscodeWebConfig.domain,
-          config.vscodeWebConfig.path || '/code',
-          config.vscodeWebConfig.password
-        );
-
-        try {
-          // Fresh SSL check for VS Code Web (in case SSL was just installed)
-          const freshSSLCheck = await vscodeWebInstaller.checkSSLStatus(conn, config.vscodeWebConfig.domain);
-
-          if (!freshSSLCheck.hasSSL) {
-            event.sender.send('progress-update', '❌ VS Code Web requires SSL certificate. Please ensure SSL is properly installed.');
-            results.vscodeWeb = { success: false, error: 'SSL certificate not found' };
-          } else {
-            results.vscodeWeb = await vscodeWebInstaller.installVSCodeWeb(conn);
-          }
-        } catch (error) {
-          event.sender.send('progress-update', `❌ VS Code Web installation failed: ${error.message}`);
-          results.vscodeWeb = { success: false, error: error.message };
-        }
-      }
+    const siteManager = new NginxSiteManager(progressCallback);
+    siteManager.validateConnectionConfig(connectionConfig);
+    siteManager.config = connectionConfig;
+
+    const conn = await siteManager.connect();
 
+    try {
       return {
         success: true,
-        results: results
+        sites: await siteManager.listSites(conn)
+      };
+    } finally {
+      conn.end();
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+});
+
+// IPC handler for enabling, disabling or removing an nginx site
+ipcMain.handle('manage-site', async (event, config) => {
+  try {
+    // Progress callback to send updates to renderer
+    const progressCallback = (message) => {
+      event.sender.send('progress-update', message);
+    };
+
+    // Convert PPK file to OpenSSH format if needed
+    const convertedKeyPath = await convertKeyFile(config.privateKeyPath, config.passphrase);
+
+    // Set up connection config
+    const connectionConfig = {
+      host: config.host,
+      port: parseInt(config.port) || 22,
+      username: config.username,
+      privateKeyPath: convertedKeyPath,
+      passphrase: config.passphrase || undefined
+    };
+
+    const siteManager = new NginxSiteManager(progressCallback);
+    siteManager.validateConnectionConfig(connectionConfig);
+    siteManager.config = connectionConfig;
+
+    if (!['enable', 'disable', 'remove'].includes(config.action)) {
+      throw new Error(`Unknown site action: ${config.action}`);
+    }
+
+    const plan = config.dryRun ? siteManager.enableDryRun() : null;
+    const conn = await siteManager.connect();
+
+    try {
+      const result = await siteManager[`${config.action}Site`](conn, config.site);
+      return {
+        success: true,
+        result: result,
+        planText: plan ? plan.toText() : null
       };
     } finally {
       conn.end();
@@ -555,6 +547,10 @@ ipcMain.handle('install-nodejs', async (event, config) => {
 
     // Set the config on the installer
     installer.config = connectionConfig;
+    if (config.nodeConfig) {
+      installer.setNodeOptions(config.nodeConfig.version, config.nodeConfig.manager);
+      installer.setGlobalPackages(config.nodeConfig.globalPackages, config.nodeConfig.pm2Startup);
+    }
 
     // Connect and install
     const conn = await installer.connect();
@@ -0,0 +1,131 @@
+/**
+ * Execution plan recorder for dry-run mode
+ *
+ * Collects the remote commands an installer would run, together with the
+ * files those commands would write, so the plan can be reviewed before
+ * anything touches the host.
+ */
+class ExecutionPlan {
+    constructor() {
+        this.steps = [];
+        // Content of files written by heredocs, keyed by remote path, so a later
+        // `mv /tmp/x /etc/...` can report what ends up at the destination
+        this.fileContents = new Map();
+    }
+
+    get hasChanges() {
+        return this.steps.length > 0;
+    }
+
+    includesComponent(component) {
+        return this.steps.some(step => step.component === component);
+    }
+
+    recordCommand(component, description, command) {
+        const step = {
+            component,
+            description,
+            command,
+            writes: this.detectWrites(command)
+        };
+        this.steps.push(step);
+        return step;
+    }
+
+    recordUpload(component, description, localPath, remotePath) {
+        const step = {
+            component,
+            description,
+            upload: { from: localPath, to: remotePath },
+            writes: [{ path: remotePath }]
+        };
+        this.steps.push(step);
+        return step;
+    }
+
+    detectWrites(command) {
+        const writes = [];
+
+        // cat > /tmp/file << 'EOF' ... EOF
+        const heredocPattern = /cat\s+>\s*(\S+)\s+<<\s*'?(\w+)'?\n([\s\S]*?)\n\2(?:\n|$)/g;
+        let match;
+        while ((match = heredocPattern.exec(command)) !== null) {
+            this.fileContents.set(match[1], match[3]);
+            writes.push({ path: match[1], content: match[3] });
+        }
+
+        // ... | sudo tee [-a] /path
+        const teePattern = /\btee\s+(?:-a\s+)?([^\s|;&>]+)/g;
+        while ((match = teePattern.exec(command)) !== null) {
+            writes.push({ path: match[1] });
+        }
+
+        // sudo mv /tmp/file /etc/...
+        const mvPattern = /\bmv\s+(?:-[fT]\s+)*([^\s;&|]+)\s+([^\s;&|]+)/g;
+        while ((match = mvPattern.exec(command)) !== null) {
+            const content = this.fileContents.get(match[1]);
+            if (content !== undefined) {
+                this.fileContents.set(match[2], content);
+            }
+            writes.push(content !== undefined ? { path: match[2], content } : { path: match[2] });
+        }
+
+        return writes;
+    }
+
+    // Final state of every file the plan writes outside of /tmp
+    getWrittenFiles() {
+        const files = new Map();
+        for (const step of this.steps) {
+            for (const write of step.writes) {
+                if (!write.path.startsWith('/tmp/')) {
+                    files.set(write.path, write);
+                }
+            }
+        }
+        return Array.from(files.values());
+    }
+
+    toJSON() {
+        return {
+            steps: this.steps.map((step, index) => ({ index: index + 1, ...step })),
+            files: this.getWrittenFiles()
+        };
+    }
+
+    toText() {
+        if (!this.hasChanges) {
+            return '📝 Dry run: nothing to do, the host already matches the requested state.';
+        }
+
+        const lines = [`📝 Dry run plan (${this.steps.length} steps, no changes were made):`, ''];
+
+        this.steps.forEach((step, index) => {
+            lines.push(`${String(index + 1).padStart(3)}. [${step.component}] ${step.description}`);
+            if (step.upload) {
+                lines.push(`       upload ${step.upload.from} -> ${step.upload.to}`);
+            } else {
+                const commandLines = step.command.split('\n');
+                lines.push(`       $ ${commandLines[0]}`);
+                if (commandLines.length > 1) {
+                    lines.push(`         ... (${commandLines.length - 1} more lines)`);
+                }
+            }
+        });
+
+        const files = this.getWrittenFiles();
+        if (files.length > 0) {
+            lines.push('', '📄 Files that would be written:');
+            for (const file of files) {
+                lines.push(`   ${file.path}`);
+                if (file.content !== undefined) {
+                    lines.push(...file.content.split('\n').map(line => `     | ${line}`));
+                }
+            }
+        }
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = ExecutionPlan;
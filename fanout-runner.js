@@ -0,0 +1,165 @@
+const StackInstaller = require('./stack-installer');
+const { manifestToStack } = require('./stack-manifest');
+const { applyHostVars } = require('./inventory');
+const { formatTable } = require('./text-table');
+
+/**
+ * Multi-host fan-out
+ *
+ * Runs the same set of components against every host of an inventory, each
+ * host over its own SSH connection, with at most `concurrency` hosts in
+ * flight at once. A failing host never stops the others; the per-host outcome
+ * is collected and printed as a summary table at the end.
+ *
+ * `components` uses the manifest format; ${var} placeholders are replaced
+ * with the host's inventory vars before the stack options are built.
+ */
+class FanOutRunner {
+    constructor(hosts, components, options = {}) {
+        this.hosts = hosts;
+        this.components = components;
+        this.concurrency = Math.max(1, parseInt(options.concurrency) || 4);
+        this.dryRun = Boolean(options.dryRun);
+        this.json = Boolean(options.json);
+        this.baseDir = options.baseDir || process.cwd();
+    }
+
+    log(message) {
+        if (this.json) {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+    }
+
+    buildHostStack(host) {
+        const manifest = applyHostVars({
+            host: host.host,
+            port: host.port,
+            username: host.username,
+            key: host.privateKeyPath,
+            passphrase: host.passphrase,
+            components: this.components
+        }, host.vars);
+
+        return manifestToStack(manifest, this.baseDir);
+    }
+
+    async runHost(host) {
+        const startedAt = Date.now();
+        const summary = {
+            name: host.name,
+            host: `${host.username}@${host.host}:${host.port}`,
+            status: 'failed',
+            failed: [],
+            error: null,
+            plan: null
+        };
+
+        const installer = new StackInstaller();
+        let conn;
+
+        try {
+            const stack = this.buildHostStack(host);
+            installer.config = {
+                ...stack.connectionConfig,
+                label: host.name,
+                dryRun: this.dryRun,
+                json: this.json
+            };
+            const plan = this.dryRun ? installer.enableDryRun() : null;
+
+            installer.validateConnectionConfig(installer.config);
+            conn = await installer.connect();
+
+            const { failed } = await installer.installStack(conn, stack.options);
+            summary.failed = failed;
+            summary.status = failed.length > 0 ? 'failed' : 'success';
+            summary.plan = plan;
+
+            // In JSON mode each host's plan is streamed as its own event
+            if (this.json) {
+                installer.printPlan();
+            }
+        } catch (error) {
+            summary.error = error.message.replace(/^❌\s*/, '');
+            installer.log(`❌ ${summary.error}`);
+        } finally {
+            if (conn) {
+                conn.end();
+                installer.log('🔌 SSH connection closed');
+            }
+        }
+
+        summary.durationMs = Date.now() - startedAt;
+        return summary;
+    }
+
+    async run() {
+        this.log(`🚀 Running on ${this.hosts.length} host(s), ${this.concurrency} at a time...`);
+
+        const results = new Array(this.hosts.length);
+        let nextIndex = 0;
+
+        // Simple worker pool: each worker picks the next host until none are left
+        const workers = Array.from({ length: Math.min(this.concurrency, this.hosts.length) }, async () => {
+            while (nextIndex < this.hosts.length) {
+                const index = nextIndex++;
+                results[index] = await this.runHost(this.hosts[index]);
+            }
+        });
+        await Promise.all(workers);
+
+        return results;
+    }
+
+    formatSummary(results) {
+        const rows = results.map(result => ({
+            name: result.name,
+            host: result.host,
+            status: result.status === 'success' ? 'OK' : 'FAILED',
+            duration: `${(result.durationMs / 1000).toFixed(1)}s`,
+            details: result.error || (result.failed.length > 0 ? `failed: ${result.failed.join(', ')}` : '')
+        }));
+
+        const succeeded = results.filter(result => result.status === 'success').length;
+
+        return [
+            formatTable([
+                { key: 'name', title: 'NAME' },
+                { key: 'host', title: 'HOST' },
+                { key: 'status', title: 'STATUS' },
+                { key: 'duration', title: 'DURATION' },
+                { key: 'details', title: 'DETAILS' }
+            ], rows),
+            '',
+            `${succeeded}/${results.length} host(s) succeeded`
+        ].join('\n');
+    }
+
+    printSummary(results) {
+        if (this.json) {
+            console.log(JSON.stringify({
+                type: 'summary',
+                timestamp: new Date().toISOString(),
+                success: results.every(result => result.status === 'success'),
+                hosts: results.map(({ plan, ...result }) => result)
+            }));
+            return;
+        }
+
+        if (this.dryRun) {
+            for (const result of results) {
+                if (result.plan) {
+                    console.log(`\n===== ${result.name} =====`);
+                    console.log(result.plan.toText());
+                }
+            }
+        }
+
+        console.log('\n📊 Fan-out summary:\n');
+        console.log(this.formatSummary(results));
+    }
+}
+
+module.exports = FanOutRunner;
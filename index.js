@@ -1,129 +1,101 @@
 #!/usr/bin/env node
 
-const { Client } = require('ssh2');
-const fs = require('fs');
-const path = require('path');
+const RemoteSession = require('./remote-session');
 
-class NodeJSInstaller {
-    constructor(progressCallback = null) {
-        this.config = {};
-        this.progressCallback = progressCallback;
-    }
+const NODE_MANAGERS = ['nodesource', 'nvm', 'fnm'];
+const NVM_INSTALL_URL = 'https://raw.githubusercontent.com/nvm-sh/nvm/v0.40.1/install.sh';
+const FNM_INSTALL_URL = 'https://fnm.vercel.app/install';
+// Package managers shipped with Node.js and activated through corepack
+const COREPACK_PACKAGES = ['yarn', 'pnpm'];
 
-    log(message) {
-        console.log(message);
-        if (this.progressCallback) {
-            this.progressCallback(message);
-        }
+class NodeJSInstaller extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'node';
+        // 'lts', 'current' or a major version such as '22'
+        this.nodeVersion = 'lts';
+        // 'nodesource' installs system-wide, 'nvm' and 'fnm' per-user
+        this.nodeManager = 'nodesource';
+        // Global npm packages installed after Node.js, e.g. ['pm2', 'typescript']
+        this.globalPackages = [];
+        // Register the PM2 systemd startup unit for the SSH user
+        this.pm2Startup = false;
     }
 
-    validateConnectionConfig(config) {
-        const required = ['host', 'privateKeyPath'];
-        const missing = required.filter(key => !config[key]);
+    setGlobalPackages(packages = [], pm2Startup = false) {
+        const list = (Array.isArray(packages) ? packages : String(packages).split(','))
+            .map(name => String(name).trim())
+            .filter(Boolean);
 
-        if (missing.length > 0) {
-            const errorMsg = `❌ Missing required configuration: ${missing.join(', ')}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+        const invalid = list.filter(name => !/^(@[a-z0-9][\w.-]*\/)?[a-z0-9][\w.-]*(@[\w.^~<>=*-]+)?$/i.test(name));
+        if (invalid.length > 0) {
+            throw new Error(`Invalid npm package name(s): ${invalid.join(', ')}`);
         }
 
-        if (!fs.existsSync(config.privateKeyPath)) {
-            const errorMsg = `❌ SSH private key file not found: ${config.privateKeyPath}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+        // PM2 startup needs the pm2 binary
+        if (pm2Startup && !list.some(name => name === 'pm2' || name.startsWith('pm2@'))) {
+            list.push('pm2');
         }
 
-        this.log('✅ Configuration validated');
+        this.globalPackages = list;
+        this.pm2Startup = Boolean(pm2Startup);
     }
 
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const conn = new Client();
-
-            this.log(`🔗 Connecting to ${this.config.username}@${this.config.host}:${this.config.port}...`);
-
-            conn.on('ready', () => {
-                this.log('✅ SSH connection established');
-                resolve(conn);
-            });
-
-            conn.on('error', (err) => {
-                this.log(`❌ SSH connection failed: ${err.message}`);
-                reject(err);
-            });
-
-            const connectConfig = {
-                host: this.config.host,
-                port: this.config.port,
-                username: this.config.username,
-                privateKey: fs.readFileSync(this.config.privateKeyPath)
-            };
-
-            if (this.config.passphrase) {
-                connectConfig.passphrase = this.config.passphrase;
+    setNodeOptions(version, manager) {
+        if (version !== undefined && version !== null && version !== '') {
+            const normalized = String(version).trim().toLowerCase().replace(/^v/, '');
+            if (!/^(lts|current|\d+)$/.test(normalized)) {
+                throw new Error(`Invalid Node.js version: ${version} (use lts, current or a major version like 22)`);
             }
+            this.nodeVersion = normalized;
+        }
 
-            conn.connect(connectConfig);
-        });
+        if (manager) {
+            if (!NODE_MANAGERS.includes(manager)) {
+                throw new Error(`Unknown Node.js version manager: ${manager} (allowed: ${NODE_MANAGERS.join(', ')})`);
+            }
+            this.nodeManager = manager;
+        }
     }
 
-    async executeCommand(conn, command, description, suppressOutput = false) {
-        return new Promise((resolve, reject) => {
-            if (!suppressOutput) {
-                this.log(`🔄 ${description}...`);
-            }
+    getVersionLabel() {
+        if (this.nodeVersion === 'lts') {
+            return 'LTS';
+        }
+        if (this.nodeVersion === 'current') {
+            return 'Current';
+        }
+        return `${this.nodeVersion}.x`;
+    }
 
-            conn.exec(command, (err, stream) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    // Version managers live in the user's home and are only on PATH in interactive shells
+    getShellPrefix() {
+        if (this.nodeManager === 'nvm') {
+            return 'export NVM_DIR="$HOME/.nvm" && . "$NVM_DIR/nvm.sh" && ';
+        }
+        if (this.nodeManager === 'fnm') {
+            return 'export PATH="$HOME/.local/share/fnm:$PATH" && eval "$(fnm env)" && ';
+        }
+        return '';
+    }
 
-                let output = '';
-                let errorOutput = '';
-
-                stream.on('close', (code, signal) => {
-                    if (code === 0) {
-                        if (!suppressOutput) {
-                            this.log(`✅ ${description} completed`);
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    } else {
-                        if (!suppressOutput) {
-                            this.log(`❌ ${description} failed (exit code: ${code})`);
-                            if (errorOutput) {
-                                this.log(`Error output: ${errorOutput}`);
-                            }
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    }
-                });
-
-                stream.on('data', (data) => {
-                    output += data.toString();
-                    if (!suppressOutput) {
-                        this.log(data.toString().trim());
-                    }
-                });
-
-                stream.stderr.on('data', (data) => {
-                    errorOutput += data.toString();
-                    if (!suppressOutput) {
-                        this.log(`STDERR: ${data.toString().trim()}`);
-                    }
-                });
-            });
-        });
+    // LTS and Current accept whatever is installed; a pinned major must match exactly
+    versionMatches(nodeVersion) {
+        if (!/^\d+$/.test(this.nodeVersion)) {
+            return true;
+        }
+        return String(nodeVersion).startsWith(`v${this.nodeVersion}.`);
     }
 
     async checkNodeJSInstalled(conn) {
         this.log('🔍 Checking if Node.js is already installed...');
+        const prefix = this.getShellPrefix();
 
         try {
             // Check if node command exists
             const nodeCheck = await this.executeCommand(
                 conn,
-                'command -v node >/dev/null 2>&1 && node --version',
+                `${prefix}command -v node >/dev/null 2>&1 && node --version`,
                 'Checking Node.js version',
                 true
             );
@@ -135,7 +107,7 @@ class NodeJSInstaller {
                 // Also check npm version
                 const npmCheck = await this.executeCommand(
                     conn,
-                    'command -v npm >/dev/null 2>&1 && npm --version',
+                    `${prefix}command -v npm >/dev/null 2>&1 && npm --version`,
                     'Checking npm version',
                     true
                 );
@@ -161,74 +133,395 @@ class NodeJSInstaller {
     }
 
     async installNodeJS(conn) {
+        const result = await this.installRuntime(conn);
+
+        if (this.globalPackages.length > 0) {
+            result.globalPackages = await this.installGlobalPackages(conn);
+        }
+
+        if (this.pm2Startup) {
+            result.pm2Startup = await this.setupPM2Startup(conn);
+        }
+
+        return result;
+    }
+
+    async installRuntime(conn) {
+        const label = this.getVersionLabel();
+
         // First check if Node.js is already installed
         const checkResult = await this.checkNodeJSInstalled(conn);
 
-        if (checkResult.installed) {
+        if (checkResult.installed && this.versionMatches(checkResult.nodeVersion)) {
             this.log('✅ Node.js is already installed and available!');
             this.log(`📋 Current versions - Node.js: ${checkResult.nodeVersion}${checkResult.npmVersion ? `, npm: ${checkResult.npmVersion}` : ''}`);
-            return checkResult;
+            return { ...checkResult, manager: this.nodeManager };
         }
 
-        this.log('🚀 Node.js not found. Starting installation from NodeSource...');
+        if (checkResult.installed) {
+            this.log(`🔄 Node.js ${checkResult.nodeVersion} does not match the requested ${label}, switching versions...`);
+        } else {
+            this.log(`🚀 Node.js not found. Starting ${label} installation via ${this.nodeManager}...`);
+        }
 
         try {
-            // Update package list
-            await this.executeCommand(
+            if (this.nodeManager === 'nodesource') {
+                await this.installFromNodeSource(conn, checkResult.installed);
+            } else {
+                await this.installWithVersionManager(conn);
+            }
+
+            // Verify installation
+            const versionResult = await this.executeCommand(
                 conn,
-                'sudo apt update',
-                'Updating package list'
+                `${this.getShellPrefix()}node --version && npm --version`,
+                'Verifying Node.js installation'
             );
 
-            // Install curl (required for NodeSource setup, software-properties-common not needed on Debian)
-            await this.executeCommand(
+            if (versionResult.exitCode === 0) {
+                const versions = versionResult.output.trim().split('\n');
+                if (!versionResult.dryRun && !this.versionMatches(versions[0])) {
+                    throw new Error(`Expected Node.js ${label} but found ${versions[0]}`);
+                }
+                this.log(`🎉 Node.js ${label} installation completed successfully!`);
+                this.log(`📋 Installed versions - Node.js: ${versions[0] || 'unknown'}, npm: ${versions[1] || 'unknown'}`);
+                await this.commitRollback(conn);
+                return { installed: true, nodeVersion: versions[0], npmVersion: versions[1], manager: this.nodeManager };
+            } else {
+                throw new Error('Installation verification failed');
+            }
+
+        } catch (error) {
+            this.log(`❌ Node.js installation failed: ${error.message}`);
+            await this.rollback(conn);
+            throw error;
+        }
+    }
+
+    // npm writes to /usr/lib/node_modules for NodeSource, to the user's home for nvm/fnm
+    getGlobalInstallPrefix() {
+        return this.nodeManager === 'nodesource' ? 'sudo ' : '';
+    }
+
+    async installGlobalPackages(conn) {
+        const prefix = this.getShellPrefix();
+        const sudo = this.getGlobalInstallPrefix();
+        const installed = [];
+        const missing = [];
+
+        this.log(`📦 Checking global npm packages: ${this.globalPackages.join(', ')}`);
+
+        for (const name of this.globalPackages) {
+            const baseName = name.replace(/(.)@.*$/, '$1');
+            const pinned = baseName !== name;
+            const check = await this.executeCommand(
                 conn,
-                'sudo apt install -y curl',
-                'Installing curl'
+                COREPACK_PACKAGES.includes(baseName)
+                    ? `${prefix}command -v ${baseName} >/dev/null 2>&1`
+                    : `${prefix}npm ls -g --depth=0 ${baseName} >/dev/null 2>&1`,
+                `Checking global package ${baseName}`,
+                true
             );
 
-            // Add NodeSource repository
-            await this.executeCommand(
+            // Pinned versions are always installed so the requested version wins; a probe that
+            // only passes because Node.js itself is still planned says nothing about the package
+            if (check.exitCode === 0 && !check.dryRun && !pinned) {
+                this.log(`✅ ${baseName} is already installed globally`);
+                installed.push(name);
+            } else {
+                missing.push(name);
+            }
+        }
+
+        const corepackPackages = missing.filter(name => COREPACK_PACKAGES.includes(name.replace(/(.)@.*$/, '$1')));
+        const npmPackages = missing.filter(name => !corepackPackages.includes(name));
+
+        for (const name of corepackPackages) {
+            const baseName = name.replace(/(.)@.*$/, '$1');
+            // Node.js 25+ no longer bundles corepack, fall back to npm there
+            const result = await this.executeCommand(
                 conn,
-                'curl -fsSL https://deb.nodesource.com/setup_lts.x | sudo -E bash -',
-                'Adding NodeSource repository'
+                `${prefix}if command -v corepack >/dev/null 2>&1; then ${sudo}corepack enable ${baseName}${baseName !== name ? ` && corepack prepare ${name} --activate` : ''}; else ${sudo}npm install -g ${name}; fi`,
+                `Enabling ${baseName} via corepack`
             );
 
-            // Install Node.js LTS
-            await this.executeCommand(
+            if (result.exitCode !== 0) {
+                throw new Error(`Could not enable ${baseName}`);
+            }
+            installed.push(name);
+        }
+
+        if (npmPackages.length > 0) {
+            const result = await this.executeCommand(
                 conn,
-                'sudo apt install -y nodejs',
-                'Installing Node.js LTS'
+                `${prefix}${sudo}npm install -g ${npmPackages.join(' ')}`,
+                `Installing global npm packages: ${npmPackages.join(', ')}`
             );
 
-            // Verify installation
-            const versionResult = await this.executeCommand(
+            if (result.exitCode !== 0) {
+                throw new Error(`Could not install global npm packages: ${npmPackages.join(', ')}`);
+            }
+            installed.push(...npmPackages);
+        }
+
+        this.log(`🎉 Global npm packages ready: ${installed.join(', ')}`);
+        return installed;
+    }
+
+    getPM2StartupCommand(action) {
+        // pm2 must run as root to write the unit, with the user's node on PATH
+        return `${this.getShellPrefix()}sudo env PATH="$PATH:$(dirname "$(command -v node)")" "$(command -v pm2)" ${action} systemd -u "$USER" --hp "$HOME"`;
+    }
+
+    async setupPM2Startup(conn) {
+        const enabledCheck = await this.executeCommand(
+            conn,
+            'systemctl is-enabled "pm2-$USER" >/dev/null 2>&1',
+            'Checking PM2 startup unit',
+            true
+        );
+
+        // A planned Node.js install makes the probe pass without any unit existing
+        if (enabledCheck.exitCode === 0 && !enabledCheck.dryRun) {
+            this.log('✅ PM2 startup unit is already enabled');
+            return { enabled: true };
+        }
+
+        this.log('🔁 Registering PM2 systemd startup unit...');
+
+        try {
+            this.registerRollback('Removing PM2 startup unit', this.getPM2StartupCommand('unstartup'));
+
+            const startupResult = await this.executeCommand(
                 conn,
-                'node --version && npm --version',
-                'Verifying Node.js installation'
+                this.getPM2StartupCommand('startup'),
+                'Registering PM2 startup unit'
             );
 
-            if (versionResult.exitCode === 0) {
-                this.log('🎉 Node.js LTS installation completed successfully!');
-                const versions = versionResult.output.trim().split('\n');
-                this.log(`📋 Installed versions - Node.js: ${versions[0] || 'unknown'}, npm: ${versions[1] || 'unknown'}`);
-                return { installed: true, nodeVersion: versions[0], npmVersion: versions[1] };
-            } else {
-                throw new Error('Installation verification failed');
+            if (startupResult.exitCode !== 0) {
+                throw new Error('pm2 startup failed');
             }
 
+            // An empty dump lets "pm2 resurrect" succeed on the first boot
+            await this.executeCommand(
+                conn,
+                `${this.getShellPrefix()}pm2 save --force`,
+                'Saving PM2 process list'
+            );
+
+            this.log('🎉 PM2 will start on boot as pm2-$USER.service');
+            await this.commitRollback(conn);
+            return { enabled: true };
         } catch (error) {
-            this.log(`❌ Node.js installation failed: ${error.message}`);
+            this.log(`❌ PM2 startup setup failed: ${error.message}`);
+            await this.rollback(conn);
             throw error;
         }
     }
 
+    async installFromNodeSource(conn, replacing) {
+        // Rollback runs in reverse: remove the package, restore the apt files, refresh the package list
+        // and, when an older version was replaced, put it back from the restored repository
+        if (replacing) {
+            this.registerRollback('Reinstalling the previous Node.js version', 'sudo apt install -y nodejs');
+        }
+        this.registerRollback('Refreshing package list', 'sudo apt update');
+        await this.backupPath(conn, '/etc/apt/keyrings/nodesource.gpg', 'NodeSource signing key');
+        await this.backupPath(conn, '/etc/apt/sources.list.d/nodesource.list', 'NodeSource apt source');
+        await this.backupPath(conn, '/etc/apt/preferences.d/nodejs', 'NodeSource repository pinning');
+        this.registerRollback('Removing partially installed Node.js', 'sudo apt-get purge -y nodejs');
+
+        if (replacing) {
+            // apt never downgrades on its own, so remove the old version first
+            await this.executeCommand(
+                conn,
+                'sudo apt-get purge -y nodejs',
+                'Removing the installed Node.js version'
+            );
+        }
+
+        // Update package list
+        await this.executeCommand(
+            conn,
+            'sudo apt update',
+            'Updating package list'
+        );
+
+        // Install curl (required for NodeSource setup, software-properties-common not needed on Debian)
+        await this.executeCommand(
+            conn,
+            'sudo apt install -y curl',
+            'Installing curl'
+        );
+
+        // Add NodeSource repository for the requested release line
+        const setupResult = await this.executeCommand(
+            conn,
+            `curl -fsSL https://deb.nodesource.com/setup_${this.nodeVersion}.x | sudo -E bash -`,
+            'Adding NodeSource repository'
+        );
+
+        if (setupResult.exitCode !== 0) {
+            throw new Error(`NodeSource has no setup script for Node.js ${this.getVersionLabel()}`);
+        }
+
+        await this.executeCommand(
+            conn,
+            'sudo apt install -y nodejs',
+            `Installing Node.js ${this.getVersionLabel()}`
+        );
+    }
+
+    async installWithVersionManager(conn) {
+        const prefix = this.getShellPrefix();
+        const managerDir = this.nodeManager === 'nvm' ? '$HOME/.nvm' : '$HOME/.local/share/fnm';
+
+        const managerCheck = await this.executeCommand(
+            conn,
+            `test -d "${managerDir}"`,
+            `Checking for an existing ${this.nodeManager} installation`,
+            true
+        );
+
+        // Only a freshly installed version manager is removed again on failure
+        if (managerCheck.exitCode !== 0) {
+            this.registerRollback(`Removing ${this.nodeManager}`, this.getManagerRemovalCommand());
+        }
+
+        await this.executeCommand(
+            conn,
+            this.nodeManager === 'fnm' ? 'sudo apt install -y curl unzip' : 'sudo apt install -y curl',
+            'Installing download tools'
+        );
+
+        if (managerCheck.exitCode !== 0) {
+            const installResult = await this.executeCommand(
+                conn,
+                this.nodeManager === 'nvm'
+                    ? `curl -o- ${NVM_INSTALL_URL} | bash`
+                    : `curl -fsSL ${FNM_INSTALL_URL} | bash`,
+                `Installing ${this.nodeManager}`
+            );
+
+            if (installResult.exitCode !== 0) {
+                throw new Error(`Could not install ${this.nodeManager}`);
+            }
+        }
+
+        const installResult = await this.executeCommand(
+            conn,
+            `${prefix}${this.getManagerInstallCommand()}`,
+            `Installing Node.js ${this.getVersionLabel()} with ${this.nodeManager}`
+        );
+
+        if (installResult.exitCode !== 0) {
+            throw new Error(`${this.nodeManager} could not install Node.js ${this.getVersionLabel()}`);
+        }
+    }
+
+    getManagerInstallCommand() {
+        if (this.nodeManager === 'nvm') {
+            const target = { lts: '--lts', current: 'node' }[this.nodeVersion] || this.nodeVersion;
+            const alias = { lts: 'lts/*', current: 'node' }[this.nodeVersion] || this.nodeVersion;
+            return `nvm install ${target} && nvm alias default ${alias}`;
+        }
+
+        if (this.nodeVersion === 'lts') {
+            return 'fnm install --lts && fnm default lts-latest';
+        }
+        if (this.nodeVersion === 'current') {
+            return 'fnm install --latest && fnm default "$(fnm ls-remote | tail -1 | awk \'{print $1}\')"';
+        }
+        return `fnm install ${this.nodeVersion} && fnm default ${this.nodeVersion}`;
+    }
+
+    getManagerRemovalCommand() {
+        if (this.nodeManager === 'nvm') {
+            return 'rm -rf "$HOME/.nvm" && for f in "$HOME/.bashrc" "$HOME/.profile"; do [ -f "$f" ] && sed -i \'/NVM_DIR/d\' "$f"; done; true';
+        }
+        return 'rm -rf "$HOME/.local/share/fnm" && for f in "$HOME/.bashrc" "$HOME/.profile"; do [ -f "$f" ] && sed -i \'/^# fnm$/,/^fi$/d\' "$f"; done; true';
+    }
+
+    async uninstall(conn) {
+        const checkResult = await this.checkNodeJSInstalled(conn);
+
+        const pm2Check = await this.executeCommand(
+            conn,
+            'test -f "/etc/systemd/system/pm2-$USER.service"',
+            'Checking for a PM2 startup unit',
+            true
+        );
+
+        if (pm2Check.exitCode === 0) {
+            await this.executeCommand(
+                conn,
+                'sudo systemctl disable --now "pm2-$USER" && sudo rm -f "/etc/systemd/system/pm2-$USER.service" && sudo systemctl daemon-reload',
+                'Removing PM2 startup unit'
+            );
+        }
+
+        if (this.nodeManager !== 'nodesource') {
+            if (!checkResult.installed) {
+                this.log(`ℹ️ No Node.js found through ${this.nodeManager}, removing leftover files only`);
+            }
+
+            this.log(`🧹 Uninstalling ${this.nodeManager} and its Node.js versions...`);
+            await this.executeCommand(
+                conn,
+                this.getManagerRemovalCommand(),
+                `Removing ${this.nodeManager} and its shell configuration`
+            );
+
+            this.log(`🎉 ${this.nodeManager} and all Node.js versions it installed have been removed`);
+            return { removed: true };
+        }
+
+        if (!checkResult.installed) {
+            this.log('ℹ️ Node.js is not installed, removing leftover NodeSource files only');
+        }
+
+        this.log('🧹 Uninstalling Node.js...');
+
+        const purgeResult = await this.executeCommand(
+            conn,
+            'sudo apt-get purge -y nodejs',
+            'Purging Node.js package'
+        );
+
+        if (purgeResult.exitCode !== 0) {
+            throw new Error('Could not purge the nodejs package');
+        }
+
+        await this.executeCommand(
+            conn,
+            'sudo rm -f /etc/apt/sources.list.d/nodesource.list /etc/apt/sources.list.d/nodesource.sources /etc/apt/keyrings/nodesource.gpg /usr/share/keyrings/nodesource.gpg /etc/apt/preferences.d/nodejs /etc/apt/preferences.d/nsolid',
+            'Removing NodeSource repository and signing key'
+        );
+
+        await this.executeCommand(
+            conn,
+            'sudo apt-get autoremove -y',
+            'Removing unused dependencies'
+        );
+
+        await this.executeCommand(
+            conn,
+            'sudo apt update',
+            'Updating package list'
+        );
+
+        this.log('🎉 Node.js and the NodeSource repository have been removed');
+        return { removed: true };
+    }
+
     async run() {
         let conn;
 
         try {
             conn = await this.connect();
             const result = await this.installNodeJS(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.installed), result });
 
             if (result.installed) {
                 this.log('✅ Node.js setup completed successfully!');
@@ -241,6 +534,7 @@ class NodeJSInstaller {
             }
         } catch (error) {
             this.log(`❌ Installation failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
             process.exit(1);
         } finally {
             if (conn) {
@@ -277,6 +571,18 @@ function parseArgs() {
             case '--passphrase':
                 config.passphrase = args[++i];
                 break;
+            case '--node-version':
+                config.nodeVersion = args[++i];
+                break;
+            case '--node-manager':
+                config.nodeManager = args[++i];
+                break;
+            case '--global-packages':
+                config.globalPackages = args[++i];
+                break;
+            case '--pm2-startup':
+                config.pm2Startup = true;
+                break;
             case '--help':
                 showHelp();
                 process.exit(0);
@@ -301,12 +607,26 @@ REQUIRED OPTIONS:
 OPTIONAL:
   --port, -p PORT          SSH port (default: 22)
   --passphrase PASS        SSH key passphrase (if required)
+  --node-version VERSION   lts (default), current or a major version (18, 20, 22, ...)
+  --node-manager MANAGER   nodesource (default, system-wide), nvm or fnm (per-user)
+  --global-packages LIST   Comma-separated global npm packages, e.g. pm2,typescript,pnpm
+                           (yarn and pnpm are enabled through corepack)
+  --pm2-startup            Install pm2 and register its systemd startup unit for the SSH user
   --help                   Show this help
 
 EXAMPLES:
   # Basic usage
   node index.js --host 18.195.241.96 --username admin --key 18.195.241.96.pem
 
+  # Pin Node.js 20 (an installed version with a different major is replaced)
+  node index.js -h 18.195.241.96 -u admin -k ./my-key.pem --node-version 20
+
+  # Per-user install with nvm
+  node index.js -h 18.195.241.96 -u admin -k ./my-key.pem --node-version 22 --node-manager nvm
+
+  # Global tooling and PM2 that survives reboots
+  node index.js -h 18.195.241.96 -u admin -k ./my-key.pem --global-packages typescript,pnpm --pm2-startup
+
   # Short form
   node index.js -h 18.195.241.96 -u admin -k ./my-key.pem
 
@@ -318,20 +638,22 @@ PREREQUISITES:
   - Basic tools installed (recommended)
 
 WHAT IT INSTALLS:
-  - Node.js LTS (latest stable version)
+  - Node.js LTS (latest stable version) or the selected major version
   - npm (Node Package Manager)
-  - Node.js development tools
-  - Global npm packages for development
+  - Global npm packages given with --global-packages
+  - PM2 with a systemd startup unit (--pm2-startup)
 
 FEATURES:
-  - Installs Node.js from NodeSource repository
+  - Installs Node.js from NodeSource repository, or per-user with nvm/fnm
+  - Upgrades or downgrades an existing install that doesn't match the pinned major
   - Automatic PATH configuration
-  - npm and node commands available system-wide
+  - npm and node commands available system-wide (NodeSource)
   - Compatible with Debian/Ubuntu systems
 
 NOTES:
   - Ensure SSH key has proper permissions (chmod 600 key.pem)
-  - The script installs Node.js LTS from NodeSource
+  - Without options the script installs Node.js LTS from NodeSource
+  - nvm/fnm installs are only on PATH in login shells (they are added to ~/.bashrc)
   - npm is included with Node.js installation
 `);
 }
@@ -363,6 +685,14 @@ if (require.main === module) {
     const installer = new NodeJSInstaller();
     installer.config = config;
 
+    try {
+        installer.setNodeOptions(config.nodeVersion, config.nodeManager);
+        installer.setGlobalPackages(config.globalPackages, config.pm2Startup);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
     installer.run().catch(console.error);
 }
 
@@ -6,6 +6,7 @@
  * Master CLI that provides access to all installers with unified interface
  */
 
+const fs = require('fs');
 const path = require('path');
 
 // Import all installers
@@ -14,7 +15,18 @@ const BasicToolsInstaller = require('./basic-tools-installer');
 const NodeJSInstaller = require('./index');
 const NginxInstaller = require('./nginx-installer');
 const SSLInstaller = require('./letsencrypt-installer');
+const StaticWebsiteInstaller = require('./static-website-installer');
 const VSCodeWebInstaller = require('./vscode-web-installer');
+const NodeAppInstaller = require('./node-app-installer');
+const ReverseProxyInstaller = require('./reverse-proxy-installer');
+const NginxSiteManager = require('./nginx-site-manager');
+const NginxAccessControl = require('./nginx-access-control');
+const NginxConfigHistory = require('./nginx-config-history');
+const StackInstaller = require('./stack-installer');
+const StatusReporter = require('./status-report');
+const FanOutRunner = require('./fanout-runner');
+const { COMPONENTS, loadManifest, manifestToStack } = require('./stack-manifest');
+const { loadInventory } = require('./inventory');
 
 function showMasterHelp() {
     console.log(`
@@ -37,7 +49,8 @@ AVAILABLE INSTALLERS:
    node index.js [OPTIONS]
 
 4. 🌐 Nginx Installer
-   node installer-cli.js nginx [OPTIONS]
+   node installer-cli.js nginx [OPTIONS] [--channel stable|mainline|debian]
+   node installer-cli.js nginx upgrade [OPTIONS] [--channel CHANNEL]
    node nginx-installer.js [OPTIONS]
 
 5. 🔒 SSL Certificate Installer (Let's Encrypt)
@@ -52,12 +65,58 @@ AVAILABLE INSTALLERS:
    node installer-cli.js cleanup [OPTIONS]
    node createInstanceScripts/create-aws-instance.js --cleanup [OPTIONS]
 
+8. 📋 Stack Manifest (multiple components over one connection)
+   node installer-cli.js apply stack.yaml [--dry-run] [--json]
+
+9. 🛰️ Multi-Host Fan-Out (same install on every inventory host)
+   node installer-cli.js fanout --inventory hosts.yaml [--concurrency N] TARGET
+
+10. 🗑️ Uninstall (reverse what an installer added)
+   node installer-cli.js uninstall <node|nginx|ssl|static|vscode|tools|app|proxy> [OPTIONS]
+
+11. 📊 Server Status Report
+   node installer-cli.js status [OPTIONS] [--format table|json|markdown]
+   node status-report.js [OPTIONS]
+
+12. 🚀 Node.js App Deployer (systemd service behind nginx)
+   node installer-cli.js app [OPTIONS] --name NAME --source DIR|TARBALL|GIT_URL --domain DOMAIN
+   node node-app-installer.js [OPTIONS]
+
+13. ⏪ Static Website Release Rollback
+   node installer-cli.js rollback static [OPTIONS] --domain DOMAIN [--release ID | --list]
+
+14. 🌍 Static Website Deployment
+   node installer-cli.js static [OPTIONS] --domain DOMAIN --zip FILE|--dir FOLDER [--profile spa]
+   node static-website-installer.js [OPTIONS]
+
+15. 🗂️ Nginx Site Manager
+   node installer-cli.js sites list [OPTIONS]
+   node installer-cli.js sites <enable|disable|remove> SITE [OPTIONS]
+   node nginx-site-manager.js [OPTIONS]
+
+16. 🔀 Reverse Proxy (any upstream service behind nginx)
+   node installer-cli.js proxy [OPTIONS] --domain DOMAIN --upstream PORT|HOST:PORT|SOCKET [--path PATH]
+   node reverse-proxy-installer.js [OPTIONS]
+
+17. 🔐 Access Control (basic auth and IP lists per site or path)
+   node installer-cli.js access list [OPTIONS] --domain DOMAIN [--path PATH]
+   node installer-cli.js access <add-user|remove-user|allow|deny|remove-address> VALUE [OPTIONS] --domain DOMAIN [--path PATH]
+   node nginx-access-control.js [OPTIONS]
+
+18. 📸 Nginx Configuration History (snapshots of /etc/nginx)
+   node installer-cli.js config history [OPTIONS]
+   node installer-cli.js config diff ID [ID|current] [OPTIONS]
+   node installer-cli.js config restore ID [OPTIONS]
+   node nginx-config-history.js [OPTIONS]
+
 COMMON SSH OPTIONS (for most installers):
   --host, -h HOST          SSH host/IP address
   --username, -u USER      SSH username (usually 'admin')
   --key, -k PATH           Path to SSH private key file
   --port, -p PORT          SSH port (default: 22)
   --passphrase PASS        SSH key passphrase (if required)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout (logs go to stderr)
 
 EXAMPLES:
 
@@ -83,6 +142,49 @@ node installer-cli.js vscode --host 18.195.241.96 --username admin --key 18.195.
 # 7. Clean up when done
 node installer-cli.js cleanup
 
+# Or install a whole stack described in a manifest file
+node installer-cli.js apply stack.yaml
+
+# Install Nginx on every host of an inventory, 4 hosts at a time
+node installer-cli.js fanout --inventory hosts.yaml nginx
+
+# Deploy a Node.js app from a local directory to https://example.com/api/
+node installer-cli.js app --host 18.195.241.96 --username admin --key 18.195.241.96.pem --name api --source ./api --domain example.com --path /api --app-port 4000
+
+# Deploy a single-page app from its build folder, uploading only changed files
+node installer-cli.js static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --dir ./dist --profile spa
+
+# Take a site offline without deleting it, and bring it back
+node installer-cli.js sites disable example.com --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+node installer-cli.js sites enable example.com --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+
+# Put Grafana (port 3000) behind https://example.com/grafana/
+node installer-cli.js proxy --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --path /grafana --upstream 3000
+
+# Password-protect /admin of a site and only allow the office network there
+ADMIN_PASSWORD=secret node installer-cli.js access add-user alice --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --path /admin --password-env ADMIN_PASSWORD
+node installer-cli.js access allow 203.0.113.0/24 --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --path /admin
+
+# See what changed in the nginx configuration since a snapshot, and go back to it
+node installer-cli.js config history --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+node installer-cli.js config diff 20261019-153012-static --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+node installer-cli.js config restore 20261019-153012-static --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+
+# Switch a static website back to its previous release
+node installer-cli.js rollback static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com
+
+# Audit everything installed on a server
+node installer-cli.js status --host 18.195.241.96 --username admin --key 18.195.241.96.pem --format markdown > status.md
+
+# Remove a static website again
+node installer-cli.js uninstall static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com
+
+# Preview what the Nginx installer would change, without touching the host
+node installer-cli.js nginx --host 18.195.241.96 --username admin --key 18.195.241.96.pem --dry-run
+
+# Upgrade nginx in place with a graceful binary reload
+node installer-cli.js nginx upgrade --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+
 SHORTCUTS:
   node installer-cli.js help     # Show this help
   node installer-cli.js --help   # Show this help
@@ -148,19 +250,33 @@ function showNodeHelp() {
     console.log(`
 🟢 Node.js Installer Help:
 
-Installs Node.js LTS and npm on Debian/Ubuntu servers.
+Installs Node.js (LTS by default) and npm on Debian/Ubuntu servers.
 
 USAGE:
-  node installer-cli.js node --host HOST --username USER --key KEY_FILE
-  node index.js --host HOST --username USER --key KEY_FILE
+  node installer-cli.js node --host HOST --username USER --key KEY_FILE [OPTIONS]
+  node index.js --host HOST --username USER --key KEY_FILE [OPTIONS]
+
+OPTIONS:
+  --node-version VERSION   lts (default), current or a major version (18, 20, 22, ...)
+  --node-manager MANAGER   nodesource (default, system-wide), nvm or fnm (per-user)
+  --global-packages LIST   Comma-separated global npm packages, e.g. pm2,typescript,pnpm
+                           (yarn and pnpm are enabled through corepack)
+  --pm2-startup            Install pm2 and register its systemd startup unit
+                           (pm2-USER.service) so apps survive a reboot
+
+An installed Node.js whose major version differs from a pinned --node-version
+is upgraded or downgraded; lts and current keep any existing install.
 
 WHAT IT INSTALLS:
-- Node.js LTS from NodeSource repository
+- Node.js from the NodeSource repository, or per-user through nvm/fnm
 - npm (Node Package Manager)
-- Development tools
+- The requested global npm packages and the PM2 startup unit
 
-EXAMPLE:
+EXAMPLES:
   node installer-cli.js node --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js node --host 18.195.241.96 --username admin --key 18.195.241.96.pem --node-version 20
+  node installer-cli.js node --host 18.195.241.96 --username admin --key 18.195.241.96.pem --node-version 22 --node-manager fnm
+  node installer-cli.js node --host 18.195.241.96 --username admin --key 18.195.241.96.pem --global-packages typescript,pnpm --pm2-startup
 `);
 }
 
@@ -171,16 +287,44 @@ function showNginxHelp() {
 Installs and configures Nginx web server.
 
 USAGE:
-  node installer-cli.js nginx --host HOST --username USER --key KEY_FILE
-  node nginx-installer.js --host HOST --username USER --key KEY_FILE
+  node installer-cli.js nginx --host HOST --username USER --key KEY_FILE [OPTIONS]
+  node installer-cli.js nginx upgrade --host HOST --username USER --key KEY_FILE [--channel CHANNEL]
+  node nginx-installer.js [upgrade] --host HOST --username USER --key KEY_FILE [OPTIONS]
+
+OPTIONS:
+  --channel CHANNEL        stable (nginx.org, default), mainline (nginx.org)
+                           or debian (the distribution's package)
+  --tls-preset PRESET      TLS profile for generated SSL sites: intermediate
+                           (default, TLS 1.2 + 1.3) or modern (TLS 1.3 only)
+  --no-harden              Only install the package, skip the hardening step
+
+An existing install is left alone (apart from hardening); its channel is
+detected from apt and shown.
+
+UPGRADE:
+  Upgrades nginx within its detected channel, or switches to --channel.
+  The existing configuration is kept, nginx -t must pass, and the running
+  master is replaced by a graceful binary upgrade (USR2/QUIT) without
+  dropping connections. Old and new versions are reported; on failure the
+  previous package and repository are restored.
 
 WHAT IT INSTALLS:
 - Nginx web server
-- Security configuration
 - Auto-start configuration
+- Hardening (also applied when nginx is already installed):
+  - server_tokens off, client_max_body_size 10m, body/header/send timeouts
+  - Rate limit zones for sites to opt into: limit_req zone=perip,
+    limit_conn zone=peraddr
+  - A catch-all default server that closes connections for unknown hosts
+  - A Mozilla TLS profile with OCSP stapling and generated DH parameters,
+    shared by every SSL site the installers generate
 
-EXAMPLE:
+EXAMPLES:
   node installer-cli.js nginx --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js nginx --host 18.195.241.96 --username admin --key 18.195.241.96.pem --tls-preset modern
+  node installer-cli.js nginx --host 18.195.241.96 --username admin --key 18.195.241.96.pem --channel mainline
+  node installer-cli.js nginx upgrade --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js nginx upgrade --host 18.195.241.96 --username admin --key 18.195.241.96.pem --channel mainline
 `);
 }
 
@@ -194,13 +338,40 @@ USAGE:
   node installer-cli.js ssl --host HOST --username USER --key KEY_FILE --domain DOMAIN --email EMAIL
   node letsencrypt-installer.js --host HOST --username USER --key KEY_FILE --domain DOMAIN --email EMAIL
 
+OPTIONS:
+  --domain, -d DOMAIN      Main name; the certificate is stored under this name
+  --email, -e EMAIL        Let's Encrypt account email
+  --alias NAME             Further name on the same certificate (repeatable or
+                           comma-separated), e.g. api.example.com
+  --www                    Add www.DOMAIN to the certificate
+  --wildcard               Add *.DOMAIN to the certificate (needs --dns-provider)
+  --acme-server URL        ACME directory of another CA or a test server
+
+An existing certificate is expanded with new names; names are never removed.
+
+DNS-01 VALIDATION (wildcards, hosts not reachable on port 80):
+  --dns-provider PROVIDER  rfc2136 (TSIG-signed dynamic updates, e.g. BIND) or
+                           hook (your own script publishes the TXT records)
+  --dns-server IP          rfc2136: primary DNS server of the zone
+  --dns-port PORT          rfc2136: DNS server port (default: 53)
+  --tsig-key NAME          rfc2136: TSIG key name
+  --tsig-secret-env VAR    rfc2136: read the base64 TSIG secret from VAR
+                           (or --tsig-secret SECRET)
+  --tsig-algorithm ALG     rfc2136: default HMAC-SHA512
+  --dns-hook FILE          hook: script run on the server as "FILE auth" and
+                           "FILE cleanup" with $CERTBOT_DOMAIN, $CERTBOT_VALIDATION
+  --dns-propagation SEC    Wait before validation (default: 60 rfc2136, 0 hook)
+
 PREREQUISITES:
-- Domain pointing to server IP
+- Domain (and every alias) pointing to server IP
 - Port 80 accessible
 - Nginx installed (recommended)
+- With DNS-01 only the DNS provider is needed
 
 EXAMPLE:
   node installer-cli.js ssl --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --email admin@example.com
+  node installer-cli.js ssl --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --www --alias api.example.com --email admin@example.com
+  TSIG_SECRET=... node installer-cli.js ssl --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --wildcard --email admin@example.com --dns-provider rfc2136 --dns-server 203.0.113.53 --tsig-key acme-key --tsig-secret-env TSIG_SECRET
 `);
 }
 
@@ -231,6 +402,429 @@ EXAMPLE:
 `);
 }
 
+function showApplyHelp() {
+    console.log(`
+📋 Stack Manifest Help:
+
+Installs every component listed in a YAML or JSON manifest over a single SSH
+connection, in the same dependency order as the GUI's "Install Selected".
+
+USAGE:
+  node installer-cli.js apply MANIFEST [--dry-run] [--json]
+
+MANIFEST FORMAT (stack.yaml):
+  host: 18.195.241.96
+  port: 22                      # optional, default 22
+  username: admin               # optional, default admin
+  key: ./18.195.241.96.pem      # relative to the manifest file
+  passphraseEnv: SSH_KEY_PASS   # optional, env var holding the key passphrase
+  components:
+    tools: true
+    node:                       # or just "node: true" for LTS via NodeSource
+      version: 22               # lts, current or a major version
+      manager: nodesource       # nodesource, nvm or fnm
+      packages: [typescript, pnpm]  # global npm packages
+      pm2: true                 # pm2 with a systemd startup unit
+    nginx: true                 # or { channel: mainline, tlsPreset: modern }
+    ssl:
+      domain: example.com
+      email: admin@example.com
+    static:
+      domain: example.com
+      zip: ./site.zip
+      keep: 5                   # releases kept for rollback
+    vscode:
+      domain: example.com
+      path: /code
+      passwordEnv: VSCODE_PASSWORD
+
+ORDER:
+  node → nginx → tools → ssl → static → vscode
+  ssl and static enable nginx automatically, static also enables tools.
+  vscode needs an SSL certificate for its domain (from ssl or already on the host).
+
+EXAMPLE:
+  VSCODE_PASSWORD=mySecretPassword node installer-cli.js apply stack.yaml
+`);
+}
+
+function showFanOutHelp() {
+    console.log(`
+🛰️ Multi-Host Fan-Out Help:
+
+Runs the same installation against every host of an inventory file, each over
+its own SSH connection, and prints a per-host summary table at the end.
+Every log line is prefixed with the host name.
+
+USAGE:
+  node installer-cli.js fanout --inventory FILE [OPTIONS] TARGET [TARGET OPTIONS]
+
+TARGET:
+  tools | node | nginx | ssl | static | vscode | proxy   A single installer
+  MANIFEST.yaml                                         The components of a stack manifest
+                                                        (its host/key fields are ignored)
+
+OPTIONS:
+  --inventory, -i FILE     Inventory file (YAML or JSON)
+  --concurrency, -c N      Hosts to install in parallel (default: 4)
+  --dry-run                Print each host's plan without executing it
+  --json                   Stream JSON events and a final summary event on stdout
+
+TARGET OPTIONS (fall back to the host's vars of the same name):
+  --domain, -d DOMAIN      ssl, static, vscode, proxy
+  --email, -e EMAIL        ssl
+  --alias NAME             ssl: further certificate name, static: further server name
+  --www                    ssl: add www.DOMAIN to the certificate
+  --www-redirect TARGET    static: apex (www.DOMAIN redirects to DOMAIN) or www
+  --zip, -z PATH           static
+  --dir PATH               static: sync a folder instead of a ZIP file
+  --webroot DIR            static (default: ~/webroot)
+  --profile PROFILE        static: plain (default), spa or docs
+  --path PATH              vscode (default: /code), proxy (default: /)
+  --upstream LIST          proxy: PORT, HOST:PORT or socket path, comma-separated
+  --tls-preset PRESET      nginx: intermediate (default) or modern
+  --channel CHANNEL        nginx: stable (default), mainline or debian
+  --password PASS          vscode
+  --node-version VERSION   node (default: lts)
+  --node-manager MANAGER   node (default: nodesource)
+  --global-packages LIST   node
+  --pm2-startup            node
+
+INVENTORY FORMAT (hosts.yaml):
+  defaults:
+    username: admin
+    key: ./keys/team.pem        # relative to the inventory file
+    vars:
+      email: admin@example.com
+  hosts:
+    - name: web1
+      host: 18.195.241.96
+      vars: { domain: web1.example.com }
+    - name: web2
+      host: 18.195.241.97
+      port: 2222
+      key: ./keys/web2.pem
+      vars: { domain: web2.example.com }
+
+  Manifests may use \${var} placeholders (e.g. domain: \${domain}), which are
+  replaced with each host's vars.
+
+EXAMPLES:
+  node installer-cli.js fanout -i hosts.yaml tools
+  node installer-cli.js fanout -i hosts.yaml -c 2 ssl --email admin@example.com
+  node installer-cli.js fanout -i hosts.yaml stack.yaml --dry-run
+`);
+}
+
+function showUninstallHelp() {
+    console.log(`
+🗑️ Uninstall Help:
+
+Removes what an SSH installer added to the server.
+
+USAGE:
+  node installer-cli.js uninstall COMPONENT --host HOST --username USER --key KEYFILE [OPTIONS]
+
+COMPONENTS:
+  node     Purge the nodejs package and the NodeSource apt source and key,
+           or remove nvm/fnm and their versions with --node-manager;
+           a PM2 startup unit is disabled and removed as well
+  nginx    Stop and purge nginx, remove the nginx.org repo, pinning file
+           (/etc/apt/preferences.d/99nginx) and signing key
+  ssl      Revoke and delete the certificate for --domain; the renewal hook is
+           removed once no certificates are left. Refused while an nginx site
+           still uses the certificate.
+  static   Delete the site's nginx config and webroot for --domain
+  vscode   Stop and disable code-server@$USER and strip its location block
+           from the nginx config for --domain
+  tools    Remove the basic tools packages (or only those given with --tools)
+  app      Stop and remove the node-app-NAME service and ~/apps/NAME, and
+           its location block (or its whole site) from the nginx config
+  proxy    Remove the reverse proxy's location and upstream blocks for
+           --domain and --path (or its whole site) from the nginx config
+
+OPTIONS:
+  --domain, -d DOMAIN      Domain (ssl, static, vscode, app, proxy)
+  --path PATH              VS Code Web path (vscode, default: /code) or app/proxy path (app, proxy, default: /)
+  --name NAME              App name (app)
+  --webroot DIR            Webroot base of the site (static, default: ~/webroot)
+  --no-revoke              Delete the certificate without revoking it (ssl)
+  --tools LIST             Comma-separated tools to remove (tools), e.g. htop,mc
+  --node-manager MANAGER   How Node.js was installed (node): nodesource (default), nvm or fnm
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+
+Static, VS Code Web, app and proxy changes are rolled back if nginx rejects the new configuration.
+
+EXAMPLES:
+  node installer-cli.js uninstall vscode --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com
+  node installer-cli.js uninstall ssl --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --dry-run
+`);
+}
+
+function showProxyHelp() {
+    console.log(`
+🔀 Reverse Proxy Help:
+
+Proxies DOMAIN/PATH to services on the server (or reachable from it) through
+an nginx upstream block, with websocket headers, timeouts and a request body
+limit. Several upstreams are load balanced.
+
+USAGE:
+  node installer-cli.js proxy --host HOST --username USER --key KEYFILE --domain DOMAIN --upstream UPSTREAM [OPTIONS]
+  node reverse-proxy-installer.js --host HOST --username USER --key KEYFILE --domain DOMAIN --upstream UPSTREAM [OPTIONS]
+
+OPTIONS:
+  --domain, -d DOMAIN      Domain served by nginx
+  --path PATH              URL path to proxy (default: /); the prefix is stripped
+  --upstream UPSTREAM      PORT (on 127.0.0.1), HOST:PORT or a unix socket path;
+                           repeatable or comma-separated
+  --balance METHOD         round-robin (default), least_conn or ip_hash
+  --timeout SECONDS        Send/read timeout for the upstream (default: 60)
+  --max-body-size SIZE     Largest request body, e.g. 10m, 512k, 0 for no limit (default: 10m)
+  --no-websocket           Do not forward websocket upgrade headers
+
+PREREQUISITES:
+- Nginx installed
+- An SSL certificate for the domain to serve the proxy over HTTPS (optional)
+
+The proxy is added to an existing site for the domain, or gets a new site.
+Running it again replaces the upstream and location; if nginx rejects the
+result, the previous configuration is restored.
+
+EXAMPLES:
+  node installer-cli.js proxy --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --path /grafana --upstream 3000
+  node installer-cli.js proxy --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain api.example.com --upstream 127.0.0.1:4001,127.0.0.1:4002 --balance least_conn
+  node installer-cli.js proxy --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --path /app --upstream /run/app/app.sock --max-body-size 100m
+`);
+}
+
+function showStatusHelp() {
+    console.log(`
+📊 Server Status Report Help:
+
+Audits the whole stack in one pass using read-only checks: OS release,
+Node.js/npm versions, nginx version and service state, basic tools,
+Let's Encrypt certificates with expiry dates, nginx sites in conf.d and the
+code-server service.
+
+USAGE:
+  node installer-cli.js status --host HOST --username USER --key KEYFILE [OPTIONS]
+
+OPTIONS:
+  --format, -f FORMAT      table (default), json or markdown
+  --json                   Emit the report as a "status" event in the JSON event stream
+
+The report is written to stdout, progress messages to stderr.
+
+EXAMPLES:
+  node installer-cli.js status --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js status --host 18.195.241.96 --username admin --key 18.195.241.96.pem --format json > status.json
+`);
+}
+
+function showAppHelp() {
+    console.log(`
+🚀 Node.js App Deployer Help:
+
+Deploys a Node.js app to ~/apps/NAME, installs its dependencies with npm ci
+(npm install without a lockfile), runs it as the systemd service
+node-app-NAME and adds an nginx reverse-proxy location for DOMAIN/PATH.
+
+USAGE:
+  node installer-cli.js app --host HOST --username USER --key KEYFILE --name NAME --source SOURCE --domain DOMAIN [OPTIONS]
+  node node-app-installer.js --host HOST --username USER --key KEYFILE --name NAME --source SOURCE --domain DOMAIN [OPTIONS]
+
+OPTIONS:
+  --name, -n NAME          App name (letters, digits, - and _)
+  --source, -s SOURCE      Local directory (packed without node_modules/.git),
+                           .tar.gz/.tgz tarball or git URL
+  --branch BRANCH          Git branch or tag (git sources)
+  --domain, -d DOMAIN      Domain served by nginx
+  --path PATH              URL path of the app (default: /)
+  --app-port PORT          Port the app listens on, passed as PORT (default: 3000)
+  --env KEY=VALUE          Environment variable for the service (repeatable)
+  --start COMMAND          Start command (default: npm start)
+  --node-manager MANAGER   How Node.js was installed: nodesource (default), nvm or fnm
+
+PREREQUISITES:
+- Node.js and Nginx installed
+- An SSL certificate for the domain to serve the app over HTTPS (optional)
+
+The app is added as a location block to an existing site for the domain, or
+gets a new site. A failed deploy restores the previous release, unit and
+nginx configuration.
+
+EXAMPLES:
+  node installer-cli.js app --host 18.195.241.96 --username admin --key 18.195.241.96.pem --name api --source ./api --domain example.com --path /api --app-port 4000
+  node installer-cli.js app --host 18.195.241.96 --username admin --key 18.195.241.96.pem --name web --source https://github.com/me/web.git --branch main --domain example.com --env API_URL=https://example.com/api
+`);
+}
+
+function showStaticHelp() {
+    console.log(`
+🌍 Static Website Deployment Help:
+
+Deploys a static website to WEBROOT/DOMAIN/releases/ID and switches the
+nginx-served "current" symlink to it once the release and the nginx
+configuration are valid. A ZIP file is uploaded and extracted; a folder is
+synced, so only files whose SHA-256 differs from the live release are sent.
+
+USAGE:
+  node installer-cli.js static --host HOST --username USER --key KEYFILE --domain DOMAIN (--zip FILE | --dir FOLDER) [OPTIONS]
+  node static-website-installer.js --host HOST --username USER --key KEYFILE --domain DOMAIN (--zip FILE | --dir FOLDER) [OPTIONS]
+
+OPTIONS:
+  --domain, -d DOMAIN      Domain served by nginx
+  --zip, -z FILE           ZIP file with the website
+  --dir FOLDER             Build folder, synced incrementally
+  --profile PROFILE        plain (default): 404 for unknown paths
+                           spa: unknown paths load index.html, hashed assets cached
+                           docs: /page serves page.html, hashed assets cached
+  --webroot DIR            Base directory for sites (default: ~/webroot of the SSH user)
+  --keep N                 Releases to keep for rollback (default: 5)
+  --alias NAME             Further name served by the site (repeatable or comma-separated)
+  --www-redirect TARGET    apex: www.DOMAIN redirects to DOMAIN
+                           www: DOMAIN redirects to www.DOMAIN
+
+PREREQUISITES:
+- Nginx and basic tools (unzip) installed
+- An SSL certificate for the domain to serve the site over HTTPS (optional);
+  aliases and the www name should be on it too (ssl --alias NAME / --www)
+
+EXAMPLES:
+  node installer-cli.js static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --zip ./site.zip
+  node installer-cli.js static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --dir ./dist --profile spa --webroot /var/www
+  node installer-cli.js static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --dir ./dist --www-redirect apex
+`);
+}
+
+function showSitesHelp() {
+    console.log(`
+🗂️ Nginx Site Manager Help:
+
+Lists and manages the virtual hosts in /etc/nginx/conf.d, whichever installer
+(or admin) wrote them. Every change is checked with nginx -t and undone if the
+check fails.
+
+USAGE:
+  node installer-cli.js sites list --host HOST --username USER --key KEYFILE [--json]
+  node installer-cli.js sites <enable|disable|remove> SITE --host HOST --username USER --key KEYFILE
+
+ACTIONS:
+  list                     Every server block: server names, listen ports,
+                           root/proxy targets and SSL certificate
+  disable SITE             Rename SITE.conf to SITE.conf.disabled so nginx ignores it
+  enable SITE              Rename SITE.conf.disabled back to SITE.conf
+  remove SITE              Delete the site's configuration (enabled or disabled)
+
+SITE is the file name in conf.d with or without .conf, usually the domain.
+
+EXAMPLES:
+  node installer-cli.js sites list --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js sites disable example.com --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js sites remove old.example.com --host 18.195.241.96 --username admin --key 18.195.241.96.pem --dry-run
+`);
+}
+
+function showAccessHelp() {
+    console.log(`
+🔐 Access Control Help:
+
+Protects a site in /etc/nginx/conf.d, or one path of it, with HTTP basic auth
+and IP allow/deny lists. Works for static websites, VS Code Web, apps and
+proxies alike. Every change is checked with nginx -t and undone if the check
+fails.
+
+USAGE:
+  node installer-cli.js access list --host HOST --username USER --key KEYFILE --domain DOMAIN [--json]
+  node installer-cli.js access add-user USER --host HOST --username USER --key KEYFILE --domain DOMAIN [--path PATH] --password-env VAR
+  node installer-cli.js access <remove-user USER|allow ADDRESS|deny ADDRESS|remove-address ADDRESS> --host HOST --username USER --key KEYFILE --domain DOMAIN [--path PATH]
+
+ACTIONS:
+  list                     Users and address lists of the site and its locations
+  add-user USER            Add a basic auth user, or change its password
+  remove-user USER         Remove a user; basic auth is switched off with the last one
+  allow ADDRESS            Allow an IP or CIDR range; once anything is allowed,
+                           every other address is denied
+  deny ADDRESS             Deny an IP or CIDR range
+  remove-address ADDRESS   Remove an address from both lists
+
+OPTIONS:
+  --domain, -d DOMAIN      Site to protect (its file in /etc/nginx/conf.d)
+  --path PATH              Protect only this path, e.g. /admin or /code
+                           (default: the whole site)
+  --password PASS          Password for add-user
+  --password-env VAR       Read the password for add-user from environment variable VAR
+  --realm TEXT             Text of the browser's login prompt (default: Restricted)
+
+Passwords are hashed locally and uploaded to /etc/nginx/htpasswd, readable
+only by root and nginx. Let's Encrypt challenges are never blocked, and
+redeploying a static website keeps its rules.
+
+EXAMPLES:
+  ADMIN_PASSWORD=secret node installer-cli.js access add-user alice --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --password-env ADMIN_PASSWORD
+  node installer-cli.js access deny 198.51.100.7 --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com
+  node installer-cli.js access allow 203.0.113.0/24 --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --path /code
+  node installer-cli.js access list --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com
+`);
+}
+
+function showConfigHelp() {
+    console.log(`
+📸 Nginx Configuration History Help:
+
+Before an installer or command first changes anything below /etc/nginx, the
+whole tree is archived to /var/backups/nginx-config/ID.tar.gz (the newest 30
+are kept). IDs read like 20261019-153012-static: the UTC time and the
+component that was about to make a change.
+
+USAGE:
+  node installer-cli.js config history --host HOST --username USER --key KEYFILE [--json]
+  node installer-cli.js config diff ID [ID|current] --host HOST --username USER --key KEYFILE
+  node installer-cli.js config restore ID --host HOST --username USER --key KEYFILE [--dry-run]
+
+ACTIONS:
+  history                  List the snapshots, newest first
+  diff ID [OTHER]          Unified diff from snapshot ID to snapshot OTHER, or to the
+                           live configuration ("current", the default)
+  restore ID               Replace /etc/nginx with the snapshot, check it with nginx -t
+                           and reload nginx. The replaced configuration is snapshotted
+                           first; if nginx -t fails it is put back untouched.
+
+EXAMPLES:
+  node installer-cli.js config history --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js config diff 20261019-153012-static --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+  node installer-cli.js config diff 20261018-090000-proxy 20261019-153012-static --host 18.195.241.96 --username admin --key 18.195.241.96.pem > changes.diff
+  node installer-cli.js config restore 20261019-153012-static --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+`);
+}
+
+function showRollbackHelp() {
+    console.log(`
+⏪ Release Rollback Help:
+
+Static websites are deployed into WEBROOT/DOMAIN/releases/ID and served
+through the "current" symlink. The last releases (5 by default) are kept, so
+the site can be switched back without uploading it again.
+
+USAGE:
+  node installer-cli.js rollback static --host HOST --username USER --key KEYFILE --domain DOMAIN [OPTIONS]
+
+OPTIONS:
+  --domain, -d DOMAIN      Domain of the static website
+  --release ID             Release to switch to (default: the one before the live release)
+  --list                   List the releases, the live one is marked with *
+  --webroot DIR            Webroot base the site was deployed to (default: ~/webroot)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+
+EXAMPLES:
+  node installer-cli.js rollback static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --list
+  node installer-cli.js rollback static --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com
+`);
+}
+
 function showCleanupHelp() {
     console.log(`
 🧹 AWS Resource Cleanup Help:
@@ -289,6 +883,9 @@ switch (command) {
             }
             const toolsInstaller = new BasicToolsInstaller();
             toolsInstaller.config = config;
+            if (config.dryRun) {
+                toolsInstaller.enableDryRun();
+            }
             toolsInstaller.run().catch(console.error);
         }
         break;
@@ -299,13 +896,23 @@ switch (command) {
             showNodeHelp();
         } else {
             // Parse SSH args and run node installer
-            const config = parseSSHArgs(args.slice(1));
+            const config = parseNodeArgs(args.slice(1));
             if (!config.host || !config.username || !config.privateKeyPath) {
                 showNodeHelp();
                 process.exit(1);
             }
             const nodeInstaller = new NodeJSInstaller();
             nodeInstaller.config = config;
+            try {
+                nodeInstaller.setNodeOptions(config.nodeVersion, config.nodeManager);
+                nodeInstaller.setGlobalPackages(config.globalPackages, config.pm2Startup);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (config.dryRun) {
+                nodeInstaller.enableDryRun();
+            }
             nodeInstaller.run().catch(console.error);
         }
         break;
@@ -315,15 +922,30 @@ switch (command) {
         if (args.length === 1) {
             showNginxHelp();
         } else {
-            // Parse SSH args and run nginx installer
-            const config = parseSSHArgs(args.slice(1));
+            // Parse SSH args and run nginx installer, or its upgrade
+            const upgrade = args[1] === 'upgrade';
+            const config = parseNginxArgs(args.slice(upgrade ? 2 : 1));
             if (!config.host || !config.username || !config.privateKeyPath) {
                 showNginxHelp();
                 process.exit(1);
             }
             const nginxInstaller = new NginxInstaller();
             nginxInstaller.config = config;
-            nginxInstaller.run().catch(console.error);
+            try {
+                nginxInstaller.setHardeningOptions({ harden: config.harden, tlsPreset: config.tlsPreset });
+                nginxInstaller.setChannel(config.channel);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (config.dryRun) {
+                nginxInstaller.enableDryRun();
+            }
+            if (upgrade) {
+                nginxInstaller.runUpgrade().catch(console.error);
+            } else {
+                nginxInstaller.run().catch(console.error);
+            }
         }
         break;
 
@@ -340,7 +962,15 @@ switch (command) {
             }
             const sslInstaller = new SSLInstaller();
             sslInstaller.config = config;
-            sslInstaller.setCertificateConfig(config.domain, config.email);
+            if (config.dryRun) {
+                sslInstaller.enableDryRun();
+            }
+            try {
+                sslInstaller.setCertificateConfig(config.domain, config.email, SSLInstaller.certificateOptions(config));
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
             sslInstaller.run().catch(console.error);
         }
         break;
@@ -358,11 +988,438 @@ switch (command) {
             }
             const vscodeInstaller = new VSCodeWebInstaller();
             vscodeInstaller.config = config;
-            vscodeInstaller.setVSCodeConfig(config.domain, config.path, config.password);
+            if (config.dryRun) {
+                vscodeInstaller.enableDryRun();
+            }
+            try {
+                vscodeInstaller.setVSCodeConfig(config.domain, config.path, config.password);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
             vscodeInstaller.run().catch(console.error);
         }
         break;
 
+    case 'apply':
+        // Show apply help if no manifest given
+        if (args.length === 1) {
+            showApplyHelp();
+        } else {
+            const manifestPath = path.resolve(args[1]);
+            let stack;
+            try {
+                stack = manifestToStack(loadManifest(manifestPath), path.dirname(manifestPath));
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            const stackInstaller = new StackInstaller();
+            stackInstaller.config = {
+                ...stack.connectionConfig,
+                dryRun: args.includes('--dry-run'),
+                json: args.includes('--json')
+            };
+            if (stackInstaller.config.dryRun) {
+                stackInstaller.enableDryRun();
+            }
+            try {
+                stackInstaller.validateConnectionConfig(stackInstaller.config);
+                stackInstaller.setStackOptions(stack.options);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            stackInstaller.run().catch(console.error);
+        }
+        break;
+
+    case 'fanout':
+        // Show fan-out help if no additional args
+        if (args.length === 1) {
+            showFanOutHelp();
+        } else {
+            const fanoutOptions = parseFanOutArgs(args.slice(1));
+            if (!fanoutOptions.inventory || !fanoutOptions.target) {
+                showFanOutHelp();
+                process.exit(1);
+            }
+
+            let hosts;
+            let components;
+            let baseDir = process.cwd();
+            try {
+                hosts = loadInventory(path.resolve(fanoutOptions.inventory));
+                if (COMPONENTS.includes(fanoutOptions.target)) {
+                    components = fanOutComponents(fanoutOptions);
+                } else {
+                    const manifestPath = path.resolve(fanoutOptions.target);
+                    components = loadManifest(manifestPath).components || {};
+                    baseDir = path.dirname(manifestPath);
+                }
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+
+            const runner = new FanOutRunner(hosts, components, {
+                concurrency: fanoutOptions.concurrency,
+                dryRun: fanoutOptions.dryRun,
+                json: fanoutOptions.json,
+                baseDir
+            });
+            runner.run().then(results => {
+                runner.printSummary(results);
+                if (results.some(result => result.status !== 'success')) {
+                    process.exitCode = 1;
+                }
+            }).catch(console.error);
+        }
+        break;
+
+    case 'uninstall':
+        // Show uninstall help if no component given
+        if (args.length < 3) {
+            showUninstallHelp();
+        } else {
+            const component = args[1];
+            const config = parseUninstallArgs(args.slice(2));
+            const uninstallers = {
+                node: NodeJSInstaller,
+                nginx: NginxInstaller,
+                ssl: SSLInstaller,
+                static: StaticWebsiteInstaller,
+                vscode: VSCodeWebInstaller,
+                tools: BasicToolsInstaller,
+                app: NodeAppInstaller,
+                proxy: ReverseProxyInstaller
+            };
+
+            if (!uninstallers[component]) {
+                console.error(`❌ Unknown component: ${component}`);
+                showUninstallHelp();
+                process.exit(1);
+            }
+            if (!config.host || !config.username || !config.privateKeyPath) {
+                showUninstallHelp();
+                process.exit(1);
+            }
+            if (['ssl', 'static', 'vscode', 'app', 'proxy'].includes(component) && !config.domain) {
+                console.error(`❌ --domain is required to uninstall ${component}`);
+                process.exit(1);
+            }
+
+            const uninstaller = new uninstallers[component]();
+            uninstaller.config = config;
+            if (config.dryRun) {
+                uninstaller.enableDryRun();
+            }
+
+            if (component === 'ssl') {
+                try {
+                    uninstaller.setCertificateConfig(config.domain);
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+                uninstaller.revokeOnUninstall = config.revoke;
+            } else if (component === 'static') {
+                try {
+                    uninstaller.setWebsiteConfig(config.domain);
+                    uninstaller.setWebrootBase(config.webroot);
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (component === 'vscode') {
+                try {
+                    uninstaller.setVSCodeConfig(config.domain, config.path || '/code');
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (component === 'app') {
+                try {
+                    uninstaller.setAppConfig(config.name, null, config.domain, { path: config.path });
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (component === 'proxy') {
+                try {
+                    // The upstream is not needed to find the blocks again
+                    uninstaller.setProxyConfig(config.domain, ['80'], { path: config.path });
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (component === 'node') {
+                try {
+                    uninstaller.setNodeOptions(undefined, config.nodeManager);
+                } catch (error) {
+                    console.error(`❌ ${error.message}`);
+                    process.exit(1);
+                }
+            } else if (component === 'tools' && config.tools) {
+                const unknownTools = config.tools.filter(tool => !uninstaller.toolMapping[tool]);
+                if (unknownTools.length > 0) {
+                    console.error(`❌ Unknown tools: ${unknownTools.join(', ')} (available: ${uninstaller.tools.join(', ')})`);
+                    process.exit(1);
+                }
+                uninstaller.tools = config.tools;
+            }
+
+            uninstaller.runUninstall().catch(console.error);
+        }
+        break;
+
+    case 'status':
+        // Show status help if no additional args
+        if (args.length === 1) {
+            showStatusHelp();
+        } else {
+            const config = parseStatusArgs(args.slice(1));
+            if (!config.host || !config.username || !config.privateKeyPath) {
+                showStatusHelp();
+                process.exit(1);
+            }
+            const statusReporter = new StatusReporter();
+            statusReporter.config = config;
+            try {
+                statusReporter.setFormat(config.format);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            statusReporter.run().catch(console.error);
+        }
+        break;
+
+    case 'app':
+        // Show app help if no additional args
+        if (args.length === 1) {
+            showAppHelp();
+        } else {
+            const config = parseAppArgs(args.slice(1));
+            if (!config.host || !config.username || !config.privateKeyPath || !config.name || !config.source || !config.domain) {
+                showAppHelp();
+                process.exit(1);
+            }
+            const appInstaller = new NodeAppInstaller();
+            appInstaller.config = config;
+            try {
+                appInstaller.setAppConfig(config.name, config.source, config.domain, {
+                    path: config.path,
+                    port: config.appPort,
+                    env: config.env,
+                    start: config.start,
+                    branch: config.branch,
+                    nodeManager: config.nodeManager
+                });
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (config.dryRun) {
+                appInstaller.enableDryRun();
+            }
+            appInstaller.run().catch(console.error);
+        }
+        break;
+
+    case 'proxy':
+        // Show reverse proxy help if no additional args
+        if (args.length === 1) {
+            showProxyHelp();
+        } else {
+            const config = parseProxyArgs(args.slice(1));
+            if (!config.host || !config.username || !config.privateKeyPath || !config.domain || config.upstreams.length === 0) {
+                showProxyHelp();
+                process.exit(1);
+            }
+            const proxyInstaller = new ReverseProxyInstaller();
+            proxyInstaller.config = config;
+            try {
+                proxyInstaller.setProxyConfig(config.domain, config.upstreams, {
+                    path: config.path,
+                    balance: config.balance,
+                    timeout: config.timeout,
+                    maxBodySize: config.maxBodySize,
+                    websocket: config.websocket
+                });
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (config.dryRun) {
+                proxyInstaller.enableDryRun();
+            }
+            proxyInstaller.run().catch(console.error);
+        }
+        break;
+
+    case 'static':
+        // Show static website help if no additional args
+        if (args.length === 1) {
+            showStaticHelp();
+        } else {
+            const config = parseStaticArgs(args.slice(1));
+            const source = config.dir || config.zip;
+            if (!config.host || !config.username || !config.privateKeyPath || !config.domain || !source) {
+                showStaticHelp();
+                process.exit(1);
+            }
+            const staticInstaller = new StaticWebsiteInstaller();
+            staticInstaller.config = config;
+            try {
+                if (!fs.existsSync(source)) {
+                    throw new Error(`${config.dir ? 'Folder' : 'ZIP file'} not found: ${source}`);
+                }
+                staticInstaller.setWebsiteConfig(config.domain, source);
+                if (config.dir && !staticInstaller.sourceDir) {
+                    throw new Error(`Not a folder: ${config.dir}`);
+                }
+                staticInstaller.setSiteProfile(config.profile || 'plain');
+                staticInstaller.setServerNames(config.aliases, config.wwwRedirect);
+                staticInstaller.setWebrootBase(config.webroot);
+                if (config.keep) {
+                    staticInstaller.setReleaseOptions(config.keep);
+                }
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (config.dryRun) {
+                staticInstaller.enableDryRun();
+            }
+            staticInstaller.run().catch(console.error);
+        }
+        break;
+
+    case 'sites':
+        // Show sites help if no action given
+        if (args.length < 3) {
+            showSitesHelp();
+        } else {
+            const action = args[1];
+            const config = parseSSHArgs(args.slice(2));
+            const site = args[2] && !args[2].startsWith('-') ? args[2] : null;
+            if (!NginxSiteManager.SITE_ACTIONS.includes(action) || !config.host || !config.username || !config.privateKeyPath) {
+                showSitesHelp();
+                process.exit(1);
+            }
+            if (action !== 'list' && !site) {
+                console.error(`❌ A site is required to ${action}`);
+                process.exit(1);
+            }
+            const siteManager = new NginxSiteManager();
+            siteManager.config = config;
+            if (config.dryRun) {
+                siteManager.enableDryRun();
+            }
+            siteManager.run(action, site).catch(console.error);
+        }
+        break;
+
+    case 'access':
+        // Show access help if no action given
+        if (args.length < 3) {
+            showAccessHelp();
+        } else {
+            const action = args[1];
+            const config = parseAccessArgs(args.slice(2));
+            const value = args[2] && !args[2].startsWith('-') ? args[2] : null;
+            if (!NginxAccessControl.ACCESS_ACTIONS.includes(action) || !config.host || !config.username || !config.privateKeyPath || !config.domain) {
+                showAccessHelp();
+                process.exit(1);
+            }
+            if (action !== 'list' && !value) {
+                console.error(`❌ A ${action.endsWith('user') ? 'user name' : 'address'} is required to ${action}`);
+                process.exit(1);
+            }
+            const password = config.passwordEnv ? process.env[config.passwordEnv] : config.password;
+            if (action === 'add-user' && !password) {
+                console.error(`❌ A password is required to add a user (--password or --password-env${config.passwordEnv ? `, ${config.passwordEnv} is not set` : ''})`);
+                process.exit(1);
+            }
+            const accessControl = new NginxAccessControl();
+            accessControl.config = config;
+            try {
+                accessControl.setTarget(config.domain, config.path, { realm: config.realm });
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (config.dryRun) {
+                accessControl.enableDryRun();
+            }
+            accessControl.run(action, value, password).catch(console.error);
+        }
+        break;
+
+    case 'config':
+        // Show config help if no action given
+        if (args.length < 3) {
+            showConfigHelp();
+        } else {
+            const action = args[1];
+            const config = parseSSHArgs(args.slice(2));
+            // Up to two snapshot ids come before the options
+            const snapshotIds = [];
+            for (const arg of args.slice(2, 4)) {
+                if (arg.startsWith('-')) {
+                    break;
+                }
+                snapshotIds.push(arg);
+            }
+            if (!NginxConfigHistory.CONFIG_ACTIONS.includes(action) || !config.host || !config.username || !config.privateKeyPath) {
+                showConfigHelp();
+                process.exit(1);
+            }
+            if (action !== 'history' && snapshotIds.length === 0) {
+                console.error(`❌ A snapshot id is required to ${action} (see config history)`);
+                process.exit(1);
+            }
+            const configHistory = new NginxConfigHistory();
+            configHistory.config = config;
+            if (config.dryRun) {
+                configHistory.enableDryRun();
+            }
+            configHistory.run(action, snapshotIds[0], snapshotIds[1]).catch(console.error);
+        }
+        break;
+
+    case 'rollback':
+        // Show rollback help if no component given
+        if (args.length < 3) {
+            showRollbackHelp();
+        } else {
+            const component = args[1];
+            const config = parseRollbackArgs(args.slice(2));
+            if (component !== 'static') {
+                console.error(`❌ Release rollback is only available for static websites`);
+                process.exit(1);
+            }
+            if (!config.host || !config.username || !config.privateKeyPath || !config.domain) {
+                showRollbackHelp();
+                process.exit(1);
+            }
+            const releaseInstaller = new StaticWebsiteInstaller();
+            releaseInstaller.config = config;
+            try {
+                releaseInstaller.setWebsiteConfig(config.domain);
+                releaseInstaller.setWebrootBase(config.webroot);
+            } catch (error) {
+                console.error(`❌ ${error.message}`);
+                process.exit(1);
+            }
+            if (config.dryRun) {
+                releaseInstaller.enableDryRun();
+            }
+            releaseInstaller.runRollbackRelease(config.release, config.list).catch(console.error);
+        }
+        break;
+
     case 'cleanup':
         // Run cleanup
         const cleanupCreator = new AWSInstanceCreator(null, 'cleanup');
@@ -399,6 +1456,12 @@ function parseSSHArgs(args) {
             case '--passphrase':
                 config.passphrase = args[++i];
                 break;
+            case '--dry-run':
+                config.dryRun = true;
+                break;
+            case '--json':
+                config.json = true;
+                break;
         }
     }
     config.port = config.port || 22;
@@ -406,6 +1469,24 @@ function parseSSHArgs(args) {
     return config;
 }
 
+function parseNginxArgs(args) {
+    const config = parseSSHArgs(args);
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--tls-preset':
+                config.tlsPreset = args[++i];
+                break;
+            case '--no-harden':
+                config.harden = false;
+                break;
+            case '--channel':
+                config.channel = args[++i];
+                break;
+        }
+    }
+    return config;
+}
+
 function parseSSLArgs(args) {
     const config = parseSSHArgs(args);
     for (let i = 0; i < args.length; i++) {
@@ -418,6 +1499,66 @@ function parseSSLArgs(args) {
             case '-e':
                 config.email = args[++i];
                 break;
+            case '--alias':
+                config.aliases = (config.aliases || []).concat(args[++i]);
+                break;
+            case '--www':
+                config.www = true;
+                break;
+            case '--wildcard':
+                config.wildcard = true;
+                break;
+            case '--dns-provider':
+                config.dnsProvider = args[++i];
+                break;
+            case '--dns-server':
+                config.dnsServer = args[++i];
+                break;
+            case '--dns-port':
+                config.dnsPort = args[++i];
+                break;
+            case '--tsig-key':
+                config.tsigKey = args[++i];
+                break;
+            case '--tsig-secret':
+                config.tsigSecret = args[++i];
+                break;
+            case '--tsig-secret-env':
+                config.tsigSecretEnv = args[++i];
+                break;
+            case '--tsig-algorithm':
+                config.tsigAlgorithm = args[++i];
+                break;
+            case '--dns-hook':
+                config.dnsHook = args[++i];
+                break;
+            case '--dns-propagation':
+                config.dnsPropagation = args[++i];
+                break;
+            case '--acme-server':
+                config.acmeServer = args[++i];
+                break;
+        }
+    }
+    return config;
+}
+
+function parseNodeArgs(args) {
+    const config = parseSSHArgs(args);
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--node-version':
+                config.nodeVersion = args[++i];
+                break;
+            case '--node-manager':
+                config.nodeManager = args[++i];
+                break;
+            case '--global-packages':
+                config.globalPackages = args[++i];
+                break;
+            case '--pm2-startup':
+                config.pm2Startup = true;
+                break;
         }
     }
     return config;
@@ -443,3 +1584,329 @@ function parseVSCodeArgs(args) {
     config.path = config.path || '/code';
     return config;
 }
+
+function parseFanOutArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--inventory':
+            case '-i':
+                options.inventory = args[++i];
+                break;
+            case '--concurrency':
+            case '-c':
+                options.concurrency = parseInt(args[++i]);
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--domain':
+            case '-d':
+                options.domain = args[++i];
+                break;
+            case '--email':
+            case '-e':
+                options.email = args[++i];
+                break;
+            case '--zip':
+            case '-z':
+                options.zip = args[++i];
+                break;
+            case '--dir':
+                options.dir = args[++i];
+                break;
+            case '--webroot':
+                options.webroot = args[++i];
+                break;
+            case '--profile':
+                options.profile = args[++i];
+                break;
+            case '--alias':
+                options.aliases = (options.aliases || []).concat(args[++i]);
+                break;
+            case '--www':
+                options.www = true;
+                break;
+            case '--www-redirect':
+                options.wwwRedirect = args[++i];
+                break;
+            case '--path':
+                options.path = args[++i];
+                break;
+            case '--password':
+            case '--pwd':
+                options.password = args[++i];
+                break;
+            case '--node-version':
+                options.nodeVersion = args[++i];
+                break;
+            case '--node-manager':
+                options.nodeManager = args[++i];
+                break;
+            case '--global-packages':
+                options.globalPackages = args[++i];
+                break;
+            case '--pm2-startup':
+                options.pm2Startup = true;
+                break;
+            case '--upstream':
+                options.upstream = args[++i];
+                break;
+            case '--tls-preset':
+                options.tlsPreset = args[++i];
+                break;
+            case '--channel':
+                options.channel = args[++i];
+                break;
+            default:
+                if (!args[i].startsWith('-') && !options.target) {
+                    options.target = args[i];
+                }
+        }
+    }
+    return options;
+}
+
+// Builds manifest components for a single installer; options not given on the
+// command line become ${var} placeholders filled from each host's vars
+function fanOutComponents(options) {
+    const value = (name) => options[name] || `\${${name}}`;
+
+    switch (options.target) {
+        case 'ssl':
+            return { ssl: { domain: value('domain'), email: value('email'), aliases: options.aliases, www: options.www } };
+        case 'static':
+            return {
+                static: {
+                    domain: value('domain'),
+                    ...(options.dir ? { dir: options.dir } : { zip: value('zip') }),
+                    webroot: options.webroot,
+                    profile: options.profile,
+                    aliases: options.aliases,
+                    wwwRedirect: options.wwwRedirect
+                }
+            };
+        case 'vscode':
+            return { vscode: { domain: value('domain'), path: options.path || '/code', password: value('password') } };
+        case 'proxy':
+            return { proxy: { domain: value('domain'), path: options.path, upstream: value('upstream') } };
+        case 'nginx':
+            return { nginx: options.tlsPreset || options.channel ? { tlsPreset: options.tlsPreset, channel: options.channel } : true };
+        case 'node':
+            return {
+                node: {
+                    version: options.nodeVersion,
+                    manager: options.nodeManager,
+                    packages: options.globalPackages,
+                    pm2: options.pm2Startup
+                }
+            };
+        default:
+            return { [options.target]: true };
+    }
+}
+
+function parseUninstallArgs(args) {
+    const config = parseNodeArgs(args);
+    config.revoke = true;
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--path':
+                config.path = args[++i];
+                break;
+            case '--no-revoke':
+                config.revoke = false;
+                break;
+            case '--tools':
+                config.tools = args[++i].split(',').map(tool => tool.trim()).filter(Boolean);
+                break;
+            case '--name':
+                config.name = args[++i];
+                break;
+            case '--webroot':
+                config.webroot = args[++i];
+                break;
+        }
+    }
+    return config;
+}
+
+function parseRollbackArgs(args) {
+    const config = parseSSHArgs(args);
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--release':
+                config.release = args[++i];
+                break;
+            case '--list':
+                config.list = true;
+                break;
+            case '--webroot':
+                config.webroot = args[++i];
+                break;
+        }
+    }
+    return config;
+}
+
+function parseAppArgs(args) {
+    const config = parseSSHArgs(args);
+    config.env = {};
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--name':
+            case '-n':
+                config.name = args[++i];
+                break;
+            case '--source':
+            case '-s':
+                config.source = args[++i];
+                break;
+            case '--branch':
+                config.branch = args[++i];
+                break;
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--path':
+                config.path = args[++i];
+                break;
+            case '--app-port':
+                config.appPort = args[++i];
+                break;
+            case '--env': {
+                const pair = args[++i] || '';
+                const separator = pair.indexOf('=');
+                if (separator > 0) {
+                    config.env[pair.slice(0, separator)] = pair.slice(separator + 1);
+                }
+                break;
+            }
+            case '--start':
+                config.start = args[++i];
+                break;
+            case '--node-manager':
+                config.nodeManager = args[++i];
+                break;
+        }
+    }
+    return config;
+}
+
+function parseProxyArgs(args) {
+    const config = parseSSHArgs(args);
+    config.upstreams = [];
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--path':
+                config.path = args[++i];
+                break;
+            case '--upstream':
+                config.upstreams.push(...String(args[++i] || '').split(','));
+                break;
+            case '--balance':
+                config.balance = args[++i];
+                break;
+            case '--timeout':
+                config.timeout = args[++i];
+                break;
+            case '--max-body-size':
+                config.maxBodySize = args[++i];
+                break;
+            case '--no-websocket':
+                config.websocket = false;
+                break;
+        }
+    }
+    return config;
+}
+
+function parseStaticArgs(args) {
+    const config = parseSSHArgs(args);
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--zip':
+            case '-z':
+                config.zip = args[++i];
+                break;
+            case '--dir':
+                config.dir = args[++i];
+                break;
+            case '--profile':
+                config.profile = args[++i];
+                break;
+            case '--webroot':
+                config.webroot = args[++i];
+                break;
+            case '--keep':
+                config.keep = args[++i];
+                break;
+            case '--alias':
+                config.aliases = (config.aliases || []).concat(args[++i]);
+                break;
+            case '--www-redirect':
+                config.wwwRedirect = args[++i];
+                break;
+        }
+    }
+    return config;
+}
+
+function parseStatusArgs(args) {
+    const config = parseSSHArgs(args);
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--format':
+            case '-f':
+                config.format = args[++i];
+                break;
+        }
+    }
+    config.format = config.format || 'table';
+    return config;
+}
+
+function parseAccessArgs(args) {
+    const config = parseSSHArgs(args);
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--path':
+                config.path = args[++i];
+                break;
+            case '--password':
+                config.password = args[++i];
+                break;
+            case '--password-env':
+                config.passwordEnv = args[++i];
+                break;
+            case '--realm':
+                config.realm = args[++i];
+                break;
+        }
+    }
+    return config;
+}
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Host inventory (YAML or JSON) for running installers against several servers
+ *
+ * Example:
+ *
+ *   defaults:
+ *     username: admin
+ *     key: ./keys/team.pem
+ *   hosts:
+ *     - name: web1
+ *       host: 18.195.241.96
+ *       vars: { domain: web1.example.com }
+ *     - name: web2
+ *       host: 18.195.241.97
+ *       port: 2222
+ *       key: ./keys/web2.pem
+ *       vars: { domain: web2.example.com }
+ *
+ * Every host inherits `defaults`; its `vars` are merged over `defaults.vars`.
+ * Relative key paths are resolved against the inventory's directory.
+ */
+
+function loadInventory(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Inventory file not found: ${filePath}`);
+    }
+
+    let inventory;
+    try {
+        inventory = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse inventory ${filePath}: ${error.message}`);
+    }
+
+    // A bare list of hosts is accepted as well
+    if (Array.isArray(inventory)) {
+        inventory = { hosts: inventory };
+    }
+
+    if (!inventory || !Array.isArray(inventory.hosts) || inventory.hosts.length === 0) {
+        throw new Error(`Inventory ${filePath} does not list any hosts`);
+    }
+
+    const baseDir = path.dirname(path.resolve(filePath));
+    const defaults = inventory.defaults || {};
+
+    return inventory.hosts.map((entry, index) => {
+        const hostEntry = typeof entry === 'string' ? { host: entry } : entry;
+        const merged = { ...defaults, ...hostEntry };
+
+        if (!merged.host) {
+            throw new Error(`Inventory host #${index + 1} has no "host"`);
+        }
+
+        const keyPath = merged.key || merged.privateKeyPath;
+        if (!keyPath) {
+            throw new Error(`Inventory host ${merged.name || merged.host} has no "key"`);
+        }
+
+        let passphrase = merged.passphrase;
+        if (!passphrase && merged.passphraseEnv) {
+            passphrase = process.env[merged.passphraseEnv];
+        }
+
+        return {
+            name: merged.name || merged.host,
+            host: merged.host,
+            port: parseInt(merged.port) || 22,
+            username: merged.username || 'admin',
+            privateKeyPath: path.resolve(baseDir, keyPath),
+            passphrase,
+            vars: { ...(defaults.vars || {}), ...(hostEntry.vars || {}) }
+        };
+    });
+}
+
+// Replaces ${name} placeholders in every string of a value with host variables
+function applyHostVars(value, vars) {
+    if (typeof value === 'string') {
+        return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+            if (vars[name] === undefined) {
+                throw new Error(`Host variable "${name}" is not defined`);
+            }
+            return String(vars[name]);
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => applyHostVars(item, vars));
+    }
+
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = applyHostVars(item, vars);
+        }
+        return result;
+    }
+
+    return value;
+}
+
+module.exports = {
+    loadInventory,
+    applyHostVars
+};
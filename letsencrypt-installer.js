@@ -1,48 +1,52 @@
 #!/usr/bin/env node
 
-const { Client } = require('ssh2');
-const fs = require('fs');
+const RemoteSession = require('./remote-session');
+const { parseServerNames } = require('./nginx-config');
+const { DNS_DIR, DNS_PROVIDERS, TSIG_ALGORITHMS, createDnsProvider } = require('./dns-providers');
 
-class SimpleSSLInstaller {
+class SimpleSSLInstaller extends RemoteSession {
     constructor(progressCallback = null) {
-        this.config = {};
-        this.progressCallback = progressCallback;
+        super(progressCallback);
+        this.component = 'ssl';
         this.domain = null;
         this.email = null;
+        // Further names on the same certificate, e.g. www.example.com or *.example.com
+        this.aliases = [];
+        // Validates through DNS-01 records instead of nginx (HTTP-01) when set
+        this.dnsProvider = null;
+        // ACME directory of another CA or a test server; certbot's default is Let's Encrypt
+        this.acmeServer = null;
+        // Uninstall revokes the certificate before deleting it unless disabled
+        this.revokeOnUninstall = true;
     }
 
-    log(message) {
-        console.log(message);
-        if (this.progressCallback) {
-            this.progressCallback(message);
+    // options.aliases: further names for the certificate, options.www adds www.<domain>,
+    // options.wildcard *.<domain>; options.dns: { provider, ...provider options } for DNS-01
+    setCertificateConfig(domain, email, options = {}) {
+        // The domain names the certificate, its files and the DNS credentials, so it must be one host name
+        const names = parseServerNames(domain);
+        if (names.length !== 1) {
+            throw new Error(domain ? `Invalid domain: ${domain} (a single host name is expected)` : 'Domain is required');
         }
-    }
-
-    validateConnectionConfig(config) {
-        const required = ['host', 'privateKeyPath'];
-        const missing = required.filter(key => !config[key]);
-
-        if (missing.length > 0) {
-            const errorMsg = `❌ Missing required configuration: ${missing.join(', ')}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
-        }
-
-        if (!fs.existsSync(config.privateKeyPath)) {
-            const errorMsg = `❌ SSH private key file not found: ${config.privateKeyPath}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
-        }
-
-        this.log('✅ Configuration validated');
-    }
+        domain = names[0];
 
-    setCertificateConfig(domain, email) {
         this.domain = domain;
         this.email = email;
+        const aliases = parseServerNames([
+            ...(options.www ? [`www.${domain}`] : []),
+            ...(options.wildcard ? [`*.${domain}`] : []),
+            ...[].concat(options.aliases || [])
+        ], { wildcard: true });
+        this.aliases = aliases.filter(name => name !== domain);
+
+        if (options.acmeServer && !/^https?:\/\/[\w.:/-]+$/.test(options.acmeServer)) {
+            throw new Error(`Invalid ACME server URL: ${options.acmeServer}`);
+        }
+        this.acmeServer = options.acmeServer || null;
+        this.dnsProvider = options.dns ? createDnsProvider(options.dns.provider, options.dns) : null;
     }
 
-    async installCertbot(conn) {
+    async installCertbot(conn, extraPackages = []) {
         this.log('🔧 Installing Certbot...');
 
         try {
@@ -52,7 +56,7 @@ class SimpleSSLInstaller {
             // Install certbot
             await this.executeCommand(
                 conn,
-                'sudo apt install -y certbot python3-certbot-nginx',
+                `sudo apt install -y ${['certbot', 'python3-certbot-nginx', ...extraPackages].join(' ')}`,
                 'Installing Certbot'
             );
 
@@ -131,12 +135,17 @@ EOF`,
         }
     }
 
-    async obtainSSLCertificate(conn, domain, email) {
-        this.log(`🔐 Obtaining SSL certificate for ${domain}...`);
+    // names: every name the certificate should cover, the domain first. The certificate
+    // keeps the domain as its name, so /etc/letsencrypt/live/<domain> stays valid when
+    // names are added (--expand). challengeArgs select how certbot proves control.
+    async obtainSSLCertificate(conn, domain, email, names = [domain], challengeArgs = '--nginx') {
+        this.log(`🔐 Obtaining SSL certificate for ${names.join(', ')}...`);
 
         try {
-            // Run certbot using nginx plugin
-            const certbotCommand = `sudo certbot certonly -d ${domain} --nginx -n --email ${email} --agree-tos`;
+            // Wildcard names are quoted so the shell does not expand them
+            const nameArgs = names.map(name => `-d ${name.startsWith('*') ? `'${name}'` : name}`).join(' ');
+            const serverArg = this.acmeServer ? ` --server ${this.acmeServer}` : '';
+            const certbotCommand = `sudo certbot certonly --cert-name ${domain} ${nameArgs} ${challengeArgs} -n --email ${email} --agree-tos --expand${serverArg}`;
 
             const result = await this.executeCommand(
                 conn,
@@ -160,96 +169,6 @@ EOF`,
         }
     }
 
-
-
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const conn = new Client();
-
-            this.log(`🔗 Connecting to ${this.config.username}@${this.config.host}:${this.config.port}...`);
-
-            conn.on('ready', () => {
-                this.log('✅ SSH connection established');
-                resolve(conn);
-            });
-
-            conn.on('error', (err) => {
-                this.log(`❌ SSH connection failed: ${err.message}`);
-                reject(err);
-            });
-
-            const connectConfig = {
-                host: this.config.host,
-                port: this.config.port,
-                username: this.config.username,
-                privateKey: fs.readFileSync(this.config.privateKeyPath)
-            };
-
-            if (this.config.passphrase) {
-                connectConfig.passphrase = this.config.passphrase;
-            }
-
-            conn.connect(connectConfig);
-        });
-    }
-
-    async executeCommand(conn, command, description, suppressOutput = false) {
-        return new Promise((resolve, reject) => {
-            if (!suppressOutput) {
-                this.log(`🔄 ${description}...`);
-            }
-
-            conn.exec(command, (err, stream) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-
-                let output = '';
-                let errorOutput = '';
-
-                stream.on('close', (code, signal) => {
-                    if (code === 0) {
-                        if (!suppressOutput) {
-                            this.log(`✅ ${description} completed`);
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    } else {
-                        if (!suppressOutput) {
-                            this.log(`❌ ${description} failed (exit code: ${code})`);
-                            if (errorOutput) {
-                                this.log(`Error output: ${errorOutput}`);
-                            }
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    }
-                });
-
-                stream.on('data', (data) => {
-                    output += data.toString();
-                    if (!suppressOutput) {
-                        this.log(data.toString().trim());
-                    }
-                });
-
-                stream.stderr.on('data', (data) => {
-                    errorOutput += data.toString();
-                    if (!suppressOutput) {
-                        this.log(`STDERR: ${data.toString().trim()}`);
-                    }
-                });
-            });
-        });
-    }
-
-
-
-
-
-
-
-
-
     async testDomainReachability(conn, domain) {
         this.log('🌐 Testing domain reachability...');
 
@@ -275,6 +194,16 @@ EOF`,
                 `echo "${testContent}" | sudo tee /usr/share/nginx/html/.well-known/acme-challenge/domain-test.txt > /dev/null`,
                 'Creating domain reachability test file'
             );
+            this.registerRollback(
+                'Removing domain reachability test file',
+                'sudo rm -f /usr/share/nginx/html/.well-known/acme-challenge/domain-test.txt'
+            );
+
+            // The test file only exists once the plan is applied
+            if (this.plan) {
+                this.log(`📝 [dry-run] Skipping reachability check for ${domain}`);
+                return true;
+            }
 
             // Test if the file is reachable via the domain
             this.log(`🔍 Testing if ${domain} can reach the test file...`);
@@ -303,6 +232,11 @@ EOF`,
     async checkNginxInstallation(conn) {
         this.log('🌐 Checking nginx installation and status...');
 
+        if (this.plan && this.plan.includesComponent('nginx')) {
+            this.log('📝 [dry-run] Assuming the planned nginx installation');
+            return;
+        }
+
         try {
             // Check if nginx is installed using multiple methods (more robust than 'which')
             let nginxInstalled = false;
@@ -489,50 +423,153 @@ EOF`,
             throw new Error('Domain and email are required');
         }
 
+        // Let's Encrypt only validates wildcard names through DNS
+        const wildcards = this.aliases.filter(name => name.startsWith('*.'));
+        if (wildcards.length > 0 && !this.dnsProvider) {
+            throw new Error(`${wildcards.join(', ')} can only be validated through DNS (--dns-provider)`);
+        }
+
         this.log('🚀 Starting SSL certificate installation...');
 
         try {
-            // FIRST STEP: Check nginx installation and status
-            await this.checkNginxInstallation(conn);
+            // FIRST STEP: Check nginx installation and status (DNS-01 does not need it)
+            if (this.dnsProvider) {
+                this.log(`🌐 Validating through DNS: ${this.dnsProvider.describe()}`);
+            } else {
+                await this.checkNginxInstallation(conn);
+            }
 
-            // SECOND STEP: Test domain reachability
-            await this.testDomainReachability(conn, this.domain);
+            // An existing certificate is only ever expanded, so no name it covers is dropped
+            const existing = await this.checkSSLStatus(conn, this.domain);
+            const existingNames = existing.names || [];
+            const names = [...new Set([this.domain, ...existingNames, ...this.aliases])];
+            const newNames = names.filter(name => !existingNames.includes(name));
+
+            if (existingNames.length > 0 && newNames.length > 0) {
+                this.log(`➕ Adding ${newNames.join(', ')} to the certificate for ${this.domain}`);
+            }
+
+            // SECOND STEP: Test domain reachability of every name the CA will validate over HTTP
+            if (!this.dnsProvider) {
+                for (const name of existing.hasSSL ? newNames : names) {
+                    await this.testDomainReachability(conn, name);
+                }
+            }
 
             // Install certbot
-            await this.installCertbot(conn);
+            await this.installCertbot(conn, this.dnsProvider ? this.dnsProvider.packages : []);
 
             // Obtain SSL certificate
-            await this.obtainSSLCertificate(conn, this.domain, this.email);
+            const challengeArgs = this.dnsProvider ? await this.dnsProvider.prepare(this, conn, this.domain) : '--nginx';
+            await this.obtainSSLCertificate(conn, this.domain, this.email, names, challengeArgs);
+
+            await this.commitRollback(conn);
 
             this.log('🎉 SSL certificate obtained successfully!');
             this.log(`📋 Domain: ${this.domain}`);
+            if (names.length > 1) {
+                this.log(`📋 Names: ${names.join(', ')}`);
+            }
             this.log(`📋 Email: ${this.email}`);
             this.log(`📄 SSL certificates saved to /etc/letsencrypt/live/${this.domain}/`);
 
             return {
                 success: true,
                 domain: this.domain,
-                email: this.email
+                names,
+                email: this.email,
+                challenge: this.dnsProvider ? 'dns-01' : 'http-01'
             };
 
         } catch (error) {
             this.log(`❌ SSL installation failed: ${error.message}`);
+            await this.rollback(conn);
             throw error;
         }
     }
 
+    async uninstall(conn) {
+        if (!this.domain) {
+            throw new Error('Domain is required');
+        }
+
+        const revoke = this.revokeOnUninstall;
+
+        const certCheck = await this.executeCommand(
+            conn,
+            `sudo test -d /etc/letsencrypt/live/${this.domain} && echo "exists" || echo "not found"`,
+            'Checking SSL certificate',
+            true
+        );
+
+        if (certCheck.output.includes('exists')) {
+            // Deleting a certificate nginx still points at would break the next reload
+            const usageCheck = await this.executeCommand(
+                conn,
+                `sudo sh -c 'grep -l "/etc/letsencrypt/live/${this.domain}/" /etc/nginx/conf.d/*.conf 2>/dev/null'`,
+                'Checking nginx configurations using the certificate',
+                true
+            );
+            const usedBy = usageCheck.output.trim().split('\n').filter(Boolean);
+            if (usedBy.length > 0) {
+                throw new Error(`Certificate for ${this.domain} is still used by ${usedBy.join(', ')}. Uninstall that site first.`);
+            }
+
+            this.log(`🧹 ${revoke ? 'Revoking and deleting' : 'Deleting'} SSL certificate for ${this.domain}...`);
+
+            const deleteResult = await this.executeCommand(
+                conn,
+                revoke
+                    ? `sudo certbot revoke --cert-name ${this.domain} --non-interactive --delete-after-revoke`
+                    : `sudo certbot delete --cert-name ${this.domain} --non-interactive`,
+                revoke ? 'Revoking SSL certificate' : 'Deleting SSL certificate'
+            );
+
+            if (deleteResult.exitCode !== 0) {
+                throw new Error(`Could not remove certificate for ${this.domain}: ${deleteResult.errorOutput}`);
+            }
+        } else {
+            this.log(`ℹ️ No SSL certificate found for ${this.domain}`);
+        }
+
+        // The renewal hook is shared by all certificates on the host
+        await this.executeCommand(
+            conn,
+            'if [ -z "$(sudo find /etc/letsencrypt/live -mindepth 1 -maxdepth 1 -type d 2>/dev/null)" ]; then sudo rm -f /etc/letsencrypt/renewal-hooks/post/nginx-reload.sh; fi',
+            'Removing renewal hook if no certificates are left'
+        );
+
+        await this.executeCommand(
+            conn,
+            'sudo rm -f /usr/share/nginx/html/.well-known/acme-challenge/domain-test.txt',
+            'Removing domain reachability test file'
+        );
+
+        await this.executeCommand(
+            conn,
+            `sudo sh -c 'rm -f ${DNS_DIR}/${this.domain}-*'`,
+            'Removing DNS provider credentials and hook script'
+        );
+
+        this.log(`🎉 SSL certificate for ${this.domain} has been removed`);
+        return { removed: true, domain: this.domain, revoked: revoke };
+    }
+
     async run() {
         let conn;
 
         try {
             conn = await this.connect();
             const result = await this.installLetsEncrypt(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.success), result });
 
             if (result.success) {
                 this.log('✅ SSL certificate installation completed successfully!');
             }
         } catch (error) {
             this.log(`❌ Setup failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
             process.exit(1);
         } finally {
             if (conn) {
@@ -576,6 +613,45 @@ function parseArgs() {
             case '-e':
                 config.email = args[++i];
                 break;
+            case '--alias':
+                config.aliases = (config.aliases || []).concat(args[++i]);
+                break;
+            case '--www':
+                config.www = true;
+                break;
+            case '--wildcard':
+                config.wildcard = true;
+                break;
+            case '--dns-provider':
+                config.dnsProvider = args[++i];
+                break;
+            case '--dns-server':
+                config.dnsServer = args[++i];
+                break;
+            case '--dns-port':
+                config.dnsPort = args[++i];
+                break;
+            case '--tsig-key':
+                config.tsigKey = args[++i];
+                break;
+            case '--tsig-secret':
+                config.tsigSecret = args[++i];
+                break;
+            case '--tsig-secret-env':
+                config.tsigSecretEnv = args[++i];
+                break;
+            case '--tsig-algorithm':
+                config.tsigAlgorithm = args[++i];
+                break;
+            case '--dns-hook':
+                config.dnsHook = args[++i];
+                break;
+            case '--dns-propagation':
+                config.dnsPropagation = args[++i];
+                break;
+            case '--acme-server':
+                config.acmeServer = args[++i];
+                break;
             case '--help':
                 showHelp();
                 process.exit(0);
@@ -585,6 +661,30 @@ function parseArgs() {
     return config;
 }
 
+// setCertificateConfig options from parsed command line arguments
+function certificateOptions(config) {
+    const options = { aliases: config.aliases, www: config.www, wildcard: config.wildcard, acmeServer: config.acmeServer };
+
+    if (config.dnsProvider) {
+        if (config.tsigSecretEnv && !process.env[config.tsigSecretEnv]) {
+            throw new Error(`Environment variable ${config.tsigSecretEnv} (--tsig-secret-env) is not set`);
+        }
+
+        options.dns = {
+            provider: config.dnsProvider,
+            server: config.dnsServer,
+            port: config.dnsPort,
+            keyName: config.tsigKey,
+            secret: config.tsigSecretEnv ? process.env[config.tsigSecretEnv] : config.tsigSecret,
+            algorithm: config.tsigAlgorithm,
+            script: config.dnsHook,
+            propagationSeconds: config.dnsPropagation
+        };
+    }
+
+    return options;
+}
+
 function showHelp() {
     console.log(`
 Let's Encrypt SSL Installer - Command Line Interface
@@ -600,14 +700,47 @@ REQUIRED OPTIONS:
   --email, -e EMAIL        Email address for Let's Encrypt notifications
 
 OPTIONAL:
+  --alias NAME             Further name on the same certificate (repeatable or
+                           comma-separated), e.g. api.example.com
+  --www                    Add www.DOMAIN to the certificate
+  --wildcard               Add *.DOMAIN to the certificate (needs --dns-provider)
+  --acme-server URL        ACME directory of another CA or a test server
   --port, -p PORT          SSH port (default: 22)
   --passphrase PASS        SSH key passphrase (if required)
   --help                   Show this help
 
+DNS-01 VALIDATION (instead of HTTP-01 through nginx):
+  --dns-provider PROVIDER  ${Object.keys(DNS_PROVIDERS).join(' or ')}
+  --dns-propagation SEC    Wait for the TXT record to propagate (default: 60 for
+                           rfc2136, 0 for hook)
+
+  rfc2136: dynamic updates signed with a TSIG key (BIND, Knot, PowerDNS)
+  --dns-server IP          Primary DNS server of the zone (an IP address)
+  --dns-port PORT          DNS server port (default: 53)
+  --tsig-key NAME          TSIG key name
+  --tsig-secret SECRET     TSIG secret (base64)
+  --tsig-secret-env VAR    Read the TSIG secret from environment variable VAR
+  --tsig-algorithm ALG     ${TSIG_ALGORITHMS.join(', ')}
+                           (default: HMAC-SHA512)
+
+  hook: a local script, uploaded to ${DNS_DIR}, that runs on the server as
+  "SCRIPT auth" and "SCRIPT cleanup" with $CERTBOT_DOMAIN and $CERTBOT_VALIDATION
+  --dns-hook FILE          The script
+
 EXAMPLES:
   # Basic usage
   node letsencrypt-installer.js --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --email admin@example.com
 
+  # One certificate for the apex, www and an API subdomain; rerun with more
+  # names to expand an existing certificate (names are never removed)
+  node letsencrypt-installer.js --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --www --alias api.example.com --email admin@example.com
+
+  # Wildcard certificate through a BIND server (TSIG secret from the environment)
+  TSIG_SECRET=... node letsencrypt-installer.js --host 18.195.241.96 --username admin --key 18.195.241.96.pem --domain example.com --wildcard --email admin@example.com --dns-provider rfc2136 --dns-server 203.0.113.53 --tsig-key acme-key --tsig-secret-env TSIG_SECRET
+
+  # Host not reachable on port 80, records published by a script
+  node letsencrypt-installer.js --host 10.0.0.12 --username admin --key key.pem --domain internal.example.com --email admin@example.com --dns-provider hook --dns-hook ./dns-hook.sh --dns-propagation 30
+
   # Short form
   node letsencrypt-installer.js -h 18.195.241.96 -u admin -k ./my-key.pem -d example.com -e admin@example.com
 
@@ -619,6 +752,7 @@ PREREQUISITES:
   - Domain name pointing to server IP
   - Port 80 accessible (for HTTP-01 challenge)
   - Nginx installed and running (required - installer will check and attempt to start if needed)
+  - With DNS-01 neither: only the DNS provider has to accept the TXT record updates
 
 WHAT IT INSTALLS:
   - Certbot (Let's Encrypt client)
@@ -667,9 +801,15 @@ if (require.main === module) {
 
     const installer = new SimpleSSLInstaller();
     installer.config = config;
-    installer.setCertificateConfig(config.domain, config.email);
+    try {
+        installer.setCertificateConfig(config.domain, config.email, certificateOptions(config));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 
     installer.run().catch(console.error);
 }
 
 module.exports = SimpleSSLInstaller;
+module.exports.certificateOptions = certificateOptions;
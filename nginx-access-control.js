@@ -0,0 +1,666 @@
+#!/usr/bin/env node
+
+const RemoteSession = require('./remote-session');
+const nginxConfig = require('./nginx-config');
+const { formatTable } = require('./text-table');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const CONF_DIR = '/etc/nginx/conf.d';
+const HTPASSWD_DIR = '/etc/nginx/htpasswd';
+const ACTIONS = ['list', 'add-user', 'remove-user', 'allow', 'deny', 'remove-address'];
+
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+// nginx checks the password of every request with crypt(3) in its worker, so this stays moderate
+const SHA512_CRYPT_ROUNDS = 10000;
+
+// SHA-512-crypt ($6$) as glibc's crypt(3) computes it, which nginx uses for
+// htpasswd entries; no htpasswd or mkpasswd tool is needed on either side
+function sha512Crypt(password, salt, rounds = SHA512_CRYPT_ROUNDS) {
+    const sha512 = (...parts) => {
+        const hash = crypto.createHash('sha512');
+        parts.forEach(part => hash.update(part));
+        return hash.digest();
+    };
+    // Repeats digest up to length bytes
+    const stretch = (digest, length) => Buffer.concat(Array(Math.ceil(length / 64)).fill(digest)).subarray(0, length);
+
+    const key = Buffer.from(password, 'utf8');
+    const saltBytes = Buffer.from(salt, 'ascii');
+
+    const alternate = sha512(key, saltBytes, key);
+    const initial = [key, saltBytes, stretch(alternate, key.length)];
+    for (let bits = key.length; bits > 0; bits >>= 1) {
+        initial.push(bits & 1 ? alternate : key);
+    }
+    let digest = sha512(...initial);
+
+    const keySequence = stretch(sha512(...Array(key.length).fill(key)), key.length);
+    const saltSequence = stretch(sha512(...Array(16 + digest[0]).fill(saltBytes)), saltBytes.length);
+
+    for (let round = 0; round < rounds; round++) {
+        const parts = [round % 2 ? keySequence : digest];
+        if (round % 3) {
+            parts.push(saltSequence);
+        }
+        if (round % 7) {
+            parts.push(keySequence);
+        }
+        parts.push(round % 2 ? digest : keySequence);
+        digest = sha512(...parts);
+    }
+
+    // crypt's own base64: little-endian groups of three bytes in a fixed order
+    let encoded = '';
+    const encode = (high, middle, low, length) => {
+        let value = (high << 16) | (middle << 8) | low;
+        for (let i = 0; i < length; i++, value >>= 6) {
+            encoded += CRYPT_ALPHABET[value & 0x3f];
+        }
+    };
+    for (let i = 0; i < 21; i++) {
+        const group = [digest[i], digest[i + 21], digest[i + 42]];
+        const first = i % 3;
+        encode(group[first], group[(first + 1) % 3], group[(first + 2) % 3], 4);
+    }
+    encode(0, 0, digest[63], 2);
+
+    return `$6$${rounds === 5000 ? '' : `rounds=${rounds}$`}${salt}$${encoded}`;
+}
+
+function hashPassword(password) {
+    const salt = Array.from(crypto.randomBytes(16), byte => CRYPT_ALPHABET[byte & 0x3f]).join('');
+    return sha512Crypt(password, salt);
+}
+
+function parseUsers(content) {
+    return content.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#') && line.includes(':'))
+        .map(line => ({ name: line.slice(0, line.indexOf(':')), hash: line.slice(line.indexOf(':') + 1) }));
+}
+
+// A single IPv4/IPv6 address or a CIDR range
+function isValidAddress(address) {
+    const [ip, prefix, ...rest] = String(address || '').split('/');
+    const version = net.isIP(ip);
+    if (!version || rest.length > 0) {
+        return false;
+    }
+    return prefix === undefined || (/^\d+$/.test(prefix) && parseInt(prefix) <= (version === 4 ? 32 : 128));
+}
+
+/**
+ * Nginx access control
+ *
+ * Protects a site in /etc/nginx/conf.d, or one path of it, with HTTP basic
+ * auth and allow/deny address lists. Works on any site written by the
+ * installers (static websites, VS Code Web, apps, proxies) or by hand.
+ * Passwords are hashed locally and the htpasswd file is uploaded over SFTP,
+ * so they never appear on a remote command line. Every change is checked
+ * with nginx -t and undone if nginx rejects it.
+ */
+class NginxAccessControl extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'access';
+        this.domain = null;
+        this.path = '/';
+        this.realm = null;
+    }
+
+    setTarget(domain, accessPath = '/', options = {}) {
+        if (!domain || !/^[\w.-]+$/.test(domain) || domain.startsWith('.')) {
+            throw new Error(`Invalid domain: ${domain}`);
+        }
+
+        const targetPath = accessPath || '/';
+        if (!targetPath.startsWith('/') || /[\s;{}"'\\]/.test(targetPath)) {
+            throw new Error(`Invalid path: ${accessPath}`);
+        }
+
+        if (options.realm !== undefined && (!options.realm || /["\\\n]/.test(options.realm))) {
+            throw new Error(`Invalid realm: ${options.realm}`);
+        }
+
+        this.domain = domain;
+        this.path = targetPath.length > 1 ? targetPath.replace(/\/+$/, '') : '/';
+        this.realm = options.realm || null;
+    }
+
+    getConfigFile() {
+        return `${CONF_DIR}/${this.domain}.conf`;
+    }
+
+    // One file per protected site or path, e.g. example.com_admin.htpasswd
+    getDefaultUserFile() {
+        const suffix = this.path === '/' ? '' : this.path.replace(/[^A-Za-z0-9]+/g, '_');
+        return `${HTPASSWD_DIR}/${this.domain}${suffix}.htpasswd`;
+    }
+
+    async readSiteConfig(conn) {
+        const readConfig = await this.executeCommand(
+            conn,
+            `sudo cat ${this.getConfigFile()}`,
+            'Reading nginx configuration',
+            true
+        );
+
+        if (readConfig.exitCode !== 0) {
+            throw new Error(`Site ${this.domain} not found in ${CONF_DIR}`);
+        }
+
+        const config = nginxConfig.parseConfig(readConfig.output);
+        if (nginxConfig.findContentServers(config).length === 0) {
+            throw new Error(`No server block serving content (one that does not only redirect) in ${this.getConfigFile()}`);
+        }
+        return config;
+    }
+
+    // The location a path is served from, as the installers or an admin wrote it
+    findPathLocation(server) {
+        const candidates = [`${this.path}/`, this.path, `^~ ${this.path}/`, `^~ ${this.path}`, `= ${this.path}`];
+        for (const candidate of candidates) {
+            const location = nginxConfig.findLocation(server, candidate);
+            if (location) {
+                return location;
+            }
+        }
+        return null;
+    }
+
+    // A path without its own location gets one that serves it like location /
+    createPathLocation(server) {
+        const rootLocation = nginxConfig.findLocation(server, '/');
+        if (rootLocation && nginxConfig.getDirectives(rootLocation, 'proxy_pass').length > 0) {
+            throw new Error(`location / of ${this.domain} proxies to another service; protect the whole site or give ${this.path}/ its own location first`);
+        }
+
+        const directives = (rootLocation ? rootLocation.children : [])
+            .filter(child => child.type === 'directive')
+            .map(child => nginxConfig.directive(child.name, child.args));
+
+        // ^~ keeps regex locations (e.g. cached assets) from bypassing the rules
+        const location = nginxConfig.block('location', `^~ ${this.path}/`, [
+            nginxConfig.comment(`${nginxConfig.ACCESS_LOCATION_MARKER} ${this.path}/`),
+            ...directives
+        ]);
+        nginxConfig.setLocation(server, location);
+        return location;
+    }
+
+    // The server blocks (whole site) or locations (path) the rules apply to
+    getTargets(config) {
+        return nginxConfig.findContentServers(config).map(server => ({
+            server,
+            node: this.path === '/' ? server : this.findPathLocation(server)
+        }));
+    }
+
+    getCurrentRules(config) {
+        const target = this.getTargets(config).find(({ node }) => node);
+        return target ? nginxConfig.getAccessRules(target.node) : nginxConfig.getAccessRules({ children: [] });
+    }
+
+    // Applies update(rules) to every target; locations created here are removed again once empty
+    updateRules(config, update) {
+        for (const target of this.getTargets(config)) {
+            const rules = update(nginxConfig.getAccessRules(target.node || { children: [] }));
+            let node = target.node;
+
+            if (!node) {
+                if (!nginxConfig.hasAccessRules(rules)) {
+                    continue;
+                }
+                node = this.createPathLocation(target.server);
+            }
+
+            nginxConfig.setAccessRules(node, rules);
+            if (!nginxConfig.hasAccessRules(rules) && node !== target.server && nginxConfig.isAccessLocation(node)) {
+                nginxConfig.removeLocation(target.server, node.args);
+            }
+        }
+    }
+
+    async writeSiteConfig(conn, config) {
+        const configFile = this.getConfigFile();
+        await this.backupPath(conn, configFile, 'nginx configuration');
+
+        await this.executeCommand(
+            conn,
+            `cat > /tmp/${this.domain}-access.conf << 'EOF'
+${nginxConfig.renderConfig(config)}
+EOF`,
+            'Writing nginx configuration with access rules'
+        );
+
+        const moveResult = await this.executeCommand(
+            conn,
+            `sudo mv /tmp/${this.domain}-access.conf ${configFile} && sudo chown root:root ${configFile} && sudo chmod 644 ${configFile}`,
+            'Installing nginx configuration'
+        );
+
+        if (moveResult.exitCode !== 0) {
+            throw new Error(`Could not write ${configFile}`);
+        }
+    }
+
+    async readUsers(conn, userFile) {
+        const readResult = await this.executeCommand(
+            conn,
+            `if sudo test -f ${userFile}; then sudo cat ${userFile}; fi`,
+            'Reading htpasswd file',
+            true
+        );
+        return readResult.exitCode === 0 ? parseUsers(readResult.output) : [];
+    }
+
+    // Written to a local 0600 file and uploaded over SFTP; readable by root and the nginx workers only
+    async writeUsers(conn, userFile, users) {
+        const fileName = path.posix.basename(userFile);
+        const localFile = path.join(os.tmpdir(), `${fileName}-${process.pid}`);
+        const remoteTemp = `/tmp/${fileName}`;
+        const { group } = await this.getNginxWorker(conn);
+
+        await this.backupPath(conn, userFile, `htpasswd file ${fileName}`);
+
+        try {
+            fs.writeFileSync(localFile, users.map(user => `${user.name}:${user.hash}\n`).join(''), { mode: 0o600 });
+
+            // The upload keeps the mode of the existing file, so it is never world-readable
+            await this.executeCommand(conn, `install -m 600 /dev/null ${remoteTemp}`, 'Creating private upload file');
+            await this.uploadFile(conn, localFile, remoteTemp, `Uploading ${fileName}`);
+        } finally {
+            fs.rmSync(localFile, { force: true });
+        }
+
+        const moveResult = await this.executeCommand(
+            conn,
+            `sudo install -d -m 755 ${HTPASSWD_DIR} && sudo mv ${remoteTemp} ${userFile} && sudo chown root:${group} ${userFile} && sudo chmod 640 ${userFile}`,
+            `Installing ${userFile}`
+        );
+
+        if (moveResult.exitCode !== 0) {
+            throw new Error(`Could not write ${userFile}`);
+        }
+    }
+
+    // Runs a change, then nginx -t and a reload; everything is undone if either fails
+    async applyChange(conn, change) {
+        try {
+            // Runs last on rollback, once the previous files are back in place
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+
+            await change();
+
+            const testResult = await this.executeCommand(
+                conn,
+                'sudo nginx -t',
+                'Testing nginx configuration'
+            );
+
+            if (testResult.exitCode !== 0) {
+                throw new Error('Nginx configuration test failed');
+            }
+
+            await this.executeCommand(
+                conn,
+                'sudo systemctl reload nginx',
+                'Reloading nginx configuration'
+            );
+
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+    }
+
+    getScope() {
+        return this.path === '/' ? this.domain : `${this.domain}${this.path}/`;
+    }
+
+    async addUser(conn, user, password) {
+        if (!/^[^:\s]{1,255}$/.test(String(user || ''))) {
+            throw new Error(`Invalid user name: ${user} (no colons or whitespace)`);
+        }
+        if (!password || /[\r\n]/.test(password)) {
+            throw new Error('A password is required (--password or --password-env)');
+        }
+
+        const config = await this.readSiteConfig(conn);
+        const current = this.getCurrentRules(config);
+        const userFile = current.userFile || this.getDefaultUserFile();
+        const users = await this.readUsers(conn, userFile);
+        const existing = users.find(entry => entry.name === user);
+
+        if (existing) {
+            existing.hash = hashPassword(password);
+        } else {
+            users.push({ name: user, hash: hashPassword(password) });
+        }
+
+        await this.applyChange(conn, async () => {
+            await this.writeUsers(conn, userFile, users);
+            this.updateRules(config, rules => ({ ...rules, realm: this.realm || rules.realm, userFile }));
+            await this.writeSiteConfig(conn, config);
+        });
+
+        this.log(`🔐 ${existing ? 'Password of' : 'User'} ${user} ${existing ? 'changed' : 'added'} for ${this.getScope()}`);
+        return { scope: this.getScope(), user, userFile, changed: true };
+    }
+
+    async removeUser(conn, user) {
+        const config = await this.readSiteConfig(conn);
+        const userFile = this.getCurrentRules(config).userFile;
+        const users = userFile ? await this.readUsers(conn, userFile) : [];
+        const remaining = users.filter(entry => entry.name !== user);
+
+        if (remaining.length === users.length) {
+            this.log(`ℹ️ No user ${user} for ${this.getScope()}`);
+            return { scope: this.getScope(), user, changed: false };
+        }
+
+        await this.applyChange(conn, async () => {
+            if (remaining.length > 0) {
+                await this.writeUsers(conn, userFile, remaining);
+                return;
+            }
+
+            // Without users basic auth is switched off instead of locking everyone out
+            await this.backupPath(conn, userFile, `htpasswd file ${path.posix.basename(userFile)}`, { move: true });
+            this.updateRules(config, rules => ({ ...rules, realm: null, userFile: null }));
+            await this.writeSiteConfig(conn, config);
+        });
+
+        this.log(`🗑️ User ${user} removed from ${this.getScope()}${remaining.length === 0 ? ', basic auth switched off' : ''}`);
+        return { scope: this.getScope(), user, changed: true };
+    }
+
+    // list: 'allow', 'deny' or null to remove the address from both
+    async setAddress(conn, address, list) {
+        if (!isValidAddress(address)) {
+            throw new Error(`Invalid address: ${address} (expected an IPv4/IPv6 address or CIDR range)`);
+        }
+
+        const config = await this.readSiteConfig(conn);
+        const current = this.getCurrentRules(config);
+        const listed = current.allow.includes(address) ? 'allow' : current.deny.includes(address) ? 'deny' : null;
+
+        if (listed === list) {
+            this.log(`ℹ️ ${address} is ${list ? `already on the ${list} list` : 'not listed'} for ${this.getScope()}`);
+            return { scope: this.getScope(), address, list, changed: false };
+        }
+
+        await this.applyChange(conn, async () => {
+            this.updateRules(config, rules => ({
+                ...rules,
+                allow: rules.allow.filter(entry => entry !== address).concat(list === 'allow' ? [address] : []),
+                deny: rules.deny.filter(entry => entry !== address).concat(list === 'deny' ? [address] : [])
+            }));
+            await this.writeSiteConfig(conn, config);
+        });
+
+        this.log(list
+            ? `${list === 'allow' ? '✅' : '⛔'} ${address} ${list === 'allow' ? 'allowed' : 'denied'} for ${this.getScope()}`
+            : `🗑️ ${address} removed from the address lists of ${this.getScope()}`);
+        return { scope: this.getScope(), address, list, changed: true };
+    }
+
+    // The rules of the whole site and of every location that has its own
+    async listAccess(conn) {
+        const config = await this.readSiteConfig(conn);
+        const entries = [];
+        const userNames = {};
+
+        for (const server of nginxConfig.findContentServers(config)) {
+            const nodes = [server, ...server.children.filter(child => child.type === 'block' && child.name === 'location')];
+            for (const node of nodes) {
+                const rules = nginxConfig.getAccessRules(node);
+                const scope = node === server ? '(site)' : node.args;
+                if (!nginxConfig.hasAccessRules(rules) || entries.some(entry => entry.scope === scope)) {
+                    continue;
+                }
+
+                if (rules.userFile && !userNames[rules.userFile]) {
+                    userNames[rules.userFile] = (await this.readUsers(conn, rules.userFile)).map(user => user.name);
+                }
+                entries.push({ scope, ...rules, users: rules.userFile ? userNames[rules.userFile] : [] });
+            }
+        }
+
+        return { domain: this.domain, entries };
+    }
+
+    async run(action, value = null, password = null) {
+        let conn;
+
+        try {
+            if (!ACTIONS.includes(action)) {
+                throw new Error(`Unknown action: ${action} (allowed: ${ACTIONS.join(', ')})`);
+            }
+            if (!this.domain) {
+                throw new Error('Domain is required');
+            }
+            if (action !== 'list' && !value) {
+                throw new Error(`A ${action.endsWith('user') ? 'user name' : 'address'} is required to ${action}`);
+            }
+
+            conn = await this.connect();
+
+            if (action === 'list') {
+                // The table can be redirected to a file, so progress goes to stderr
+                this.reserveStdout = true;
+                const access = await this.listAccess(conn);
+                if (this.config.json) {
+                    this.emitEvent('access', access);
+                } else {
+                    console.log(formatAccess(access));
+                }
+                this.emitEvent('result', { success: true });
+                return;
+            }
+
+            let result;
+            switch (action) {
+                case 'add-user':
+                    result = await this.addUser(conn, value, password);
+                    break;
+                case 'remove-user':
+                    result = await this.removeUser(conn, value);
+                    break;
+                case 'allow':
+                case 'deny':
+                    result = await this.setAddress(conn, value, action);
+                    break;
+                case 'remove-address':
+                    result = await this.setAddress(conn, value, null);
+                    break;
+            }
+
+            this.printPlan();
+            this.emitEvent('result', { success: true, result });
+        } catch (error) {
+            this.log(`❌ Access ${action} failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exitCode = 1;
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+}
+
+function formatAccess(access) {
+    if (access.entries.length === 0) {
+        return `No access rules for ${access.domain}`;
+    }
+
+    return formatTable([
+        { key: 'scope', title: 'LOCATION' },
+        { key: 'users', title: 'USERS' },
+        { key: 'allow', title: 'ALLOW' },
+        { key: 'deny', title: 'DENY' }
+    ], access.entries.map(entry => ({
+        scope: entry.scope,
+        users: entry.userFile ? `${entry.users.join(', ') || '(none)'}` : '',
+        allow: entry.allow.length > 0 ? `${entry.allow.join(', ')} (others denied)` : '',
+        deny: entry.deny.join(', ')
+    })));
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+            case '-h':
+                config.host = args[++i];
+                break;
+            case '--username':
+            case '-u':
+                config.username = args[++i];
+                break;
+            case '--key':
+            case '-k':
+                config.privateKeyPath = args[++i];
+                break;
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]) || 22;
+                break;
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--path':
+                config.path = args[++i];
+                break;
+            case '--realm':
+                config.realm = args[++i];
+                break;
+            case '--password':
+                config.password = args[++i];
+                break;
+            case '--password-env':
+                config.passwordEnv = args[++i];
+                break;
+            case '--dry-run':
+                config.dryRun = true;
+                break;
+            case '--json':
+                config.json = true;
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+            default:
+                if (!args[i].startsWith('-')) {
+                    if (!config.action) {
+                        config.action = args[i];
+                    } else if (!config.value) {
+                        config.value = args[i];
+                    }
+                }
+        }
+    }
+
+    config.port = config.port || 22;
+    config.username = config.username || 'admin';
+
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+🔐 Nginx Access Control
+
+Protects a site in ${CONF_DIR}, or one path of it, with HTTP basic auth and
+IP allow/deny lists.
+
+USAGE:
+  node nginx-access-control.js list --domain DOMAIN [--path PATH] --host HOST --username USER --key KEYFILE
+  node nginx-access-control.js add-user USER --domain DOMAIN [--path PATH] --password-env VAR --host HOST ...
+  node nginx-access-control.js remove-user USER --domain DOMAIN [--path PATH] --host HOST ...
+  node nginx-access-control.js allow|deny|remove-address ADDRESS --domain DOMAIN [--path PATH] --host HOST ...
+
+ACTIONS:
+  list                     Users and address lists of the site and its locations
+  add-user USER            Add a basic auth user, or change its password
+  remove-user USER         Remove a user; basic auth is switched off with the last one
+  allow ADDRESS            Allow an IP or CIDR range; once anything is allowed, everyone else is denied
+  deny ADDRESS             Deny an IP or CIDR range
+  remove-address ADDRESS   Remove an address from both lists
+
+OPTIONS:
+  --domain, -d DOMAIN      Site to protect (its file in ${CONF_DIR})
+  --path PATH              Protect only this path, e.g. /admin (default: the whole site)
+  --password PASS          Password for add-user
+  --password-env VAR       Read the password for add-user from environment variable VAR
+  --realm TEXT             Text shown in the browser's login prompt (default: Restricted)
+  --host, -h HOST          SSH host/IP address
+  --username, -u USER      SSH username (default: admin)
+  --key, -k PATH           Path to SSH private key file
+  --port, -p PORT          SSH port (default: 22)
+  --passphrase PASS        SSH key passphrase (if required)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+  --help                   Show this help
+
+Passwords are hashed locally (SHA-512-crypt) and uploaded in ${HTPASSWD_DIR}.
+Let's Encrypt challenges stay reachable. Every change is checked with
+nginx -t and undone if the check fails.
+
+EXAMPLES:
+  ADMIN_PASSWORD=secret node nginx-access-control.js add-user alice --domain example.com --password-env ADMIN_PASSWORD --host 18.195.241.96 --key 18.195.241.96.pem
+  node nginx-access-control.js allow 203.0.113.0/24 --domain example.com --path /admin --host 18.195.241.96 --key 18.195.241.96.pem
+`);
+}
+
+// Run the access control if this file is executed directly
+if (require.main === module) {
+    const config = parseArgs();
+
+    if (!config.host || !config.privateKeyPath || !config.action || !config.domain) {
+        showHelp();
+        process.exit(1);
+    }
+
+    const accessControl = new NginxAccessControl();
+    accessControl.config = config;
+
+    try {
+        accessControl.validateConnectionConfig(accessControl.config);
+        accessControl.setTarget(config.domain, config.path, { realm: config.realm });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (config.dryRun) {
+        accessControl.enableDryRun();
+    }
+
+    const password = config.passwordEnv ? process.env[config.passwordEnv] : config.password;
+    accessControl.run(config.action, config.value, password).catch(console.error);
+}
+
+module.exports = NginxAccessControl;
+module.exports.formatAccess = formatAccess;
+module.exports.ACCESS_ACTIONS = ACTIONS;
+module.exports.sha512Crypt = sha512Crypt;
@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+
+const RemoteSession = require('./remote-session');
+const { SNAPSHOT_DIR, SNAPSHOT_KEEP } = require('./nginx-config');
+const { formatTable } = require('./text-table');
+
+const ACTIONS = ['history', 'diff', 'restore'];
+// e.g. 20261019-153012-static: UTC time of the snapshot and the component that took it
+const SNAPSHOT_ID = /^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})-([\w-]+)$/;
+const CURRENT = 'current';
+
+/**
+ * Nginx configuration history
+ *
+ * Every installer snapshots the whole /etc/nginx tree before its first
+ * change (RemoteSession.snapshotNginxConfig). This lists those snapshots,
+ * shows a unified diff between any two of them or against the live
+ * configuration, and restores one. A restore is checked with nginx -t
+ * before nginx is reloaded, and the configuration it replaces becomes a
+ * snapshot itself.
+ */
+class NginxConfigHistory extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'config';
+    }
+
+    parseSnapshotId(id) {
+        const match = SNAPSHOT_ID.exec(String(id || ''));
+        if (!match) {
+            throw new Error(`Invalid snapshot id: ${id} (see config history)`);
+        }
+
+        const [, year, month, day, hour, minute, second, component] = match;
+        return {
+            id,
+            createdAt: `${year}-${month}-${day}T${hour}:${minute}:${second}Z`,
+            component,
+            file: `${SNAPSHOT_DIR}/${id}.tar.gz`
+        };
+    }
+
+    // Newest first
+    async listSnapshots(conn) {
+        const listResult = await this.executeCommand(
+            conn,
+            `sudo sh -c 'for f in ${SNAPSHOT_DIR}/*.tar.gz; do [ -f "$f" ] && echo "$(stat -c %s "$f") $f"; done; true'`,
+            'Reading nginx configuration snapshots',
+            true
+        );
+
+        return listResult.output.split('\n')
+            .map(line => /^(\d+) .*\/([^/]+)\.tar\.gz$/.exec(line.trim()))
+            .filter(match => match && SNAPSHOT_ID.test(match[2]))
+            .map(match => ({ ...this.parseSnapshotId(match[2]), size: parseInt(match[1]) }))
+            .sort((a, b) => b.id.localeCompare(a.id));
+    }
+
+    async findSnapshot(conn, id) {
+        this.parseSnapshotId(id);
+        const snapshot = (await this.listSnapshots(conn)).find(entry => entry.id === id);
+        if (!snapshot) {
+            throw new Error(`Snapshot ${id} not found in ${SNAPSHOT_DIR} (see config history)`);
+        }
+        return snapshot;
+    }
+
+    // Unified diff from one snapshot to another, or to the live configuration
+    async diffSnapshots(conn, from, to = CURRENT) {
+        if (from === to) {
+            throw new Error('Two different snapshots are needed for a diff');
+        }
+
+        const sides = [];
+        for (const id of [from, to]) {
+            sides.push(id === CURRENT ? null : await this.findSnapshot(conn, id));
+        }
+
+        // Both sides are unpacked next to each other, so paths read e.g. 20261019-153012-static/nginx/conf.d/example.com.conf
+        const unpack = (id, snapshot) => snapshot
+            ? `mkdir "$d/${id}" && tar -xzf ${snapshot.file} -C "$d/${id}"`
+            : `mkdir "$d/${id}" && cp -a /etc/nginx "$d/${id}/"`;
+        const diffResult = await this.executeCommand(
+            conn,
+            `sudo sh -c 'd=$(mktemp -d) && trap "rm -rf $d" EXIT && ${unpack(from, sides[0])} && ${unpack(to, sides[1])} && cd "$d" && { diff -ruN ${from}/nginx ${to}/nginx; [ $? -le 1 ]; }'`,
+            `Comparing ${from} with ${to}`,
+            true
+        );
+
+        if (diffResult.exitCode !== 0) {
+            throw new Error(`Could not compare ${from} with ${to}: ${diffResult.errorOutput.trim()}`);
+        }
+
+        return { from, to, changed: diffResult.output.trim() !== '', diff: diffResult.output };
+    }
+
+    async restoreSnapshot(conn, id) {
+        const snapshot = await this.findSnapshot(conn, id);
+        // Unpacked before anything else, as the snapshot of the current state may rotate the oldest archive out
+        const staging = `/etc/nginx.restore-${id}`;
+
+        try {
+            // Runs last on rollback, once the previous configuration is back in place
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+            this.registerRollback(`Removing ${staging}`, `sudo rm -rf ${staging}`);
+
+            const unpackResult = await this.executeCommand(
+                conn,
+                `sudo rm -rf ${staging} && sudo mkdir -m 700 ${staging} && sudo tar -xzf ${snapshot.file} -C ${staging}`,
+                `Unpacking snapshot ${id}`
+            );
+
+            if (unpackResult.exitCode !== 0) {
+                throw new Error(`Could not unpack ${snapshot.file}`);
+            }
+
+            await this.backupPath(conn, '/etc/nginx', 'current nginx configuration', { move: true });
+
+            const moveResult = await this.executeCommand(
+                conn,
+                `sudo mv ${staging}/nginx /etc/nginx && sudo rmdir ${staging}`,
+                `Restoring /etc/nginx from snapshot ${id}`
+            );
+
+            if (moveResult.exitCode !== 0) {
+                throw new Error('Could not move the restored configuration into place');
+            }
+
+            const testResult = await this.executeCommand(
+                conn,
+                'sudo nginx -t',
+                'Testing restored nginx configuration'
+            );
+
+            if (testResult.exitCode !== 0) {
+                throw new Error(`nginx -t rejects snapshot ${id}, the current configuration was kept`);
+            }
+
+            await this.executeCommand(
+                conn,
+                'sudo systemctl reload nginx',
+                'Reloading nginx configuration'
+            );
+
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+
+        this.log(`⏪ Restored nginx configuration from snapshot ${id}${this.nginxSnapshot ? ` (the replaced configuration is snapshot ${this.nginxSnapshot})` : ''}`);
+        return { restored: id, previous: this.nginxSnapshot };
+    }
+
+    async run(action, id = null, otherId = null) {
+        let conn;
+
+        try {
+            if (!ACTIONS.includes(action)) {
+                throw new Error(`Unknown action: ${action} (allowed: ${ACTIONS.join(', ')})`);
+            }
+            if (action !== 'history' && !id) {
+                throw new Error(`A snapshot id is required to ${action}`);
+            }
+
+            conn = await this.connect();
+
+            if (action === 'history' || action === 'diff') {
+                // The table or diff can be redirected to a file, so progress goes to stderr
+                this.reserveStdout = true;
+
+                if (action === 'history') {
+                    const snapshots = await this.listSnapshots(conn);
+                    if (this.config.json) {
+                        this.emitEvent('snapshots', { snapshots });
+                    } else {
+                        console.log(formatSnapshots(snapshots));
+                    }
+                } else {
+                    const diff = await this.diffSnapshots(conn, id, otherId || CURRENT);
+                    if (this.config.json) {
+                        this.emitEvent('diff', diff);
+                    } else {
+                        console.log(diff.changed ? diff.diff.trimEnd() : `No differences between ${diff.from} and ${diff.to}`);
+                    }
+                }
+
+                this.emitEvent('result', { success: true });
+                return;
+            }
+
+            const result = await this.restoreSnapshot(conn, id);
+            this.printPlan();
+            this.emitEvent('result', { success: true, result });
+        } catch (error) {
+            this.log(`❌ Config ${action} failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exitCode = 1;
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+}
+
+function formatSnapshots(snapshots) {
+    if (snapshots.length === 0) {
+        return `No snapshots in ${SNAPSHOT_DIR}`;
+    }
+
+    return formatTable([
+        { key: 'id', title: 'ID' },
+        { key: 'created', title: 'CREATED (UTC)' },
+        { key: 'component', title: 'BEFORE CHANGE BY' },
+        { key: 'size', title: 'SIZE' }
+    ], snapshots.map(snapshot => ({
+        id: snapshot.id,
+        created: snapshot.createdAt.replace('T', ' ').replace('Z', ''),
+        component: snapshot.component,
+        size: `${Math.max(1, Math.round(snapshot.size / 1024))} KB`
+    })));
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { ids: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+            case '-h':
+                config.host = args[++i];
+                break;
+            case '--username':
+            case '-u':
+                config.username = args[++i];
+                break;
+            case '--key':
+            case '-k':
+                config.privateKeyPath = args[++i];
+                break;
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]) || 22;
+                break;
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--dry-run':
+                config.dryRun = true;
+                break;
+            case '--json':
+                config.json = true;
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+            default:
+                if (!args[i].startsWith('-')) {
+                    if (!config.action) {
+                        config.action = args[i];
+                    } else {
+                        config.ids.push(args[i]);
+                    }
+                }
+        }
+    }
+
+    config.port = config.port || 22;
+    config.username = config.username || 'admin';
+
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+📸 Nginx Configuration History
+
+Every installer archives /etc/nginx to ${SNAPSHOT_DIR} before it changes
+anything there (the newest ${SNAPSHOT_KEEP} snapshots are kept).
+
+USAGE:
+  node nginx-config-history.js history --host HOST --username USER --key KEYFILE
+  node nginx-config-history.js diff ID [ID|current] --host HOST --username USER --key KEYFILE
+  node nginx-config-history.js restore ID --host HOST --username USER --key KEYFILE
+
+ACTIONS:
+  history                  List the snapshots, newest first
+  diff ID [OTHER]          Unified diff from snapshot ID to OTHER (default: current,
+                           the live configuration)
+  restore ID               Replace /etc/nginx with snapshot ID, check it with nginx -t
+                           and reload; the replaced configuration is snapshotted first
+
+OPTIONS:
+  --host, -h HOST          SSH host/IP address
+  --username, -u USER      SSH username (default: admin)
+  --key, -k PATH           Path to SSH private key file
+  --port, -p PORT          SSH port (default: 22)
+  --passphrase PASS        SSH key passphrase (if required)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+  --help                   Show this help
+
+EXAMPLE:
+  node nginx-config-history.js diff 20261019-153012-static --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+`);
+}
+
+// Run the history command if this file is executed directly
+if (require.main === module) {
+    const config = parseArgs();
+
+    if (!config.host || !config.privateKeyPath || !config.action) {
+        showHelp();
+        process.exit(1);
+    }
+
+    const history = new NginxConfigHistory();
+    history.config = config;
+
+    try {
+        history.validateConnectionConfig(history.config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (config.dryRun) {
+        history.enableDryRun();
+    }
+
+    history.run(config.action, config.ids[0], config.ids[1]).catch(console.error);
+}
+
+module.exports = NginxConfigHistory;
+module.exports.formatSnapshots = formatSnapshots;
+module.exports.CONFIG_ACTIONS = ACTIONS;
@@ -0,0 +1,692 @@
+/**
+ * Nginx configuration model shared by the installers
+ *
+ * parseConfig() turns a conf.d file into a tree of nodes, renderConfig()
+ * writes it back with 4-space indentation. Nodes are plain objects:
+ *
+ *   { type: 'directive', name: 'listen', args: '443 ssl http2' }
+ *   { type: 'block', name: 'location', args: '/code/', children: [...] }
+ *   { type: 'comment', text: 'SSL configuration', inline: false }
+ *   { type: 'blank' }
+ *
+ * Locations are identified by their arguments as written in the config,
+ * e.g. '/code/' for `location /code/ {`. The template helpers at the end
+ * build the server blocks every installer writes.
+ */
+
+// Written by the nginx installer's hardening step and included by every
+// generated SSL server block, so one TLS profile applies to all sites
+const TLS_PARAMS_PATH = '/etc/nginx/snippets/tls-params.conf';
+const DHPARAM_PATH = '/etc/nginx/dhparam.pem';
+
+// Archives of the whole /etc/nginx tree, taken before each session's first change
+const SNAPSHOT_DIR = '/var/backups/nginx-config';
+const SNAPSHOT_KEEP = 30;
+
+// Mozilla server side TLS profiles (https://ssl-config.mozilla.org)
+const TLS_PRESETS = {
+    modern: {
+        protocols: 'TLSv1.3',
+        ciphers: null,
+        dhparam: false
+    },
+    intermediate: {
+        protocols: 'TLSv1.2 TLSv1.3',
+        ciphers: 'ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256:ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305:DHE-RSA-AES128-GCM-SHA256:DHE-RSA-AES256-GCM-SHA384:DHE-RSA-CHACHA20-POLY1305',
+        dhparam: true
+    }
+};
+
+function directive(name, args = '') {
+    return { type: 'directive', name, args };
+}
+
+function block(name, args = '', children = []) {
+    return { type: 'block', name, args, children };
+}
+
+function comment(text) {
+    return { type: 'comment', text, inline: false };
+}
+
+function blank() {
+    return { type: 'blank' };
+}
+
+function parseStatement(text) {
+    const statement = text.trim().replace(/\s*\n\s*/g, ' ');
+    const space = statement.search(/\s/);
+    return space === -1
+        ? { name: statement, args: '' }
+        : { name: statement.slice(0, space), args: statement.slice(space + 1).trim() };
+}
+
+// Quoted strings may contain ; { } and #, comments run to the end of the line
+function parseConfig(text) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let statement = '';
+    let newlines = 0;
+    let line = 1;
+
+    const parent = () => stack[stack.length - 1];
+    const add = (node) => {
+        const siblings = parent().children;
+        if (newlines >= 2 && siblings.length > 0 && siblings[siblings.length - 1].type !== 'blank') {
+            siblings.push(blank());
+        }
+        siblings.push(node);
+        newlines = 0;
+    };
+    const fail = (message) => {
+        throw new Error(`Could not parse nginx configuration (line ${line}): ${message}`);
+    };
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+
+        if (char === '"' || char === '\'') {
+            let end = index + 1;
+            while (end < text.length && text[end] !== char) {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            if (end >= text.length) {
+                fail('unterminated string');
+            }
+            const quoted = text.slice(index, end + 1);
+            line += (quoted.match(/\n/g) || []).length;
+            statement += quoted;
+            index = end;
+        } else if (char === '#' && (!statement || /\s$/.test(statement))) {
+            let end = text.indexOf('\n', index);
+            if (end === -1) {
+                end = text.length;
+            }
+            const node = comment(text.slice(index + 1, end).trim());
+            const siblings = parent().children;
+            // `listen 80; # note` stays on the line of its directive
+            node.inline = !statement.trim() && newlines === 0 && siblings.length > 0 && siblings[siblings.length - 1].type !== 'blank';
+            add(node);
+            index = end - 1;
+        } else if (char === ';') {
+            if (!statement.trim()) {
+                fail('empty directive');
+            }
+            const { name, args } = parseStatement(statement);
+            add(directive(name, args));
+            statement = '';
+        } else if (char === '{') {
+            if (!statement.trim()) {
+                fail('block without a name');
+            }
+            const { name, args } = parseStatement(statement);
+            const node = block(name, args);
+            add(node);
+            stack.push(node);
+            statement = '';
+        } else if (char === '}') {
+            if (statement.trim()) {
+                fail(`missing ; after "${statement.trim()}"`);
+            }
+            if (stack.length === 1) {
+                fail('unexpected }');
+            }
+            stack.pop();
+            statement = '';
+            newlines = 0;
+        } else {
+            if (char === '\n') {
+                line++;
+                if (!statement.trim()) {
+                    newlines++;
+                }
+            }
+            if (statement || !/\s/.test(char)) {
+                statement += char;
+            }
+        }
+    }
+
+    if (statement.trim()) {
+        fail(`missing ; after "${statement.trim()}"`);
+    }
+    if (stack.length > 1) {
+        fail(`missing } for ${parent().name} ${parent().args}`.trim());
+    }
+    return root;
+}
+
+function renderNodes(nodes, depth) {
+    const pad = '    '.repeat(depth);
+    const lines = [];
+
+    for (const node of nodes) {
+        const head = `${node.name}${node.args ? ` ${node.args}` : ''}`;
+
+        if (node.type === 'comment' && node.inline && lines.length > 0) {
+            lines[lines.length - 1] += ` # ${node.text}`;
+        } else if (node.type === 'comment') {
+            lines.push(`${pad}#${node.text ? ` ${node.text}` : ''}`);
+        } else if (node.type === 'blank') {
+            lines.push('');
+        } else if (node.type === 'directive') {
+            lines.push(`${pad}${head};`);
+        } else if (node.type === 'block') {
+            lines.push(`${pad}${head} {`, ...renderNodes(node.children, depth + 1), `${pad}}`);
+        }
+    }
+
+    return lines;
+}
+
+// Renders a parsed config, or a list of top-level nodes
+function renderConfig(root) {
+    return renderNodes(Array.isArray(root) ? root : root.children, 0).join('\n');
+}
+
+// Blocks named `name` anywhere below node, e.g. every server of a file
+function findBlocks(node, name) {
+    const found = [];
+    for (const child of node.children || []) {
+        if (child.type === 'block') {
+            if (child.name === name) {
+                found.push(child);
+            }
+            found.push(...findBlocks(child, name));
+        }
+    }
+    return found;
+}
+
+// Arguments of a directive: direct children only, or the whole subtree with deep
+function getDirectives(node, name, deep = false) {
+    const values = [];
+    for (const child of node.children || []) {
+        if (child.type === 'directive' && child.name === name) {
+            values.push(child.args);
+        } else if (deep && child.type === 'block') {
+            values.push(...getDirectives(child, name, true));
+        }
+    }
+    return values;
+}
+
+function getListenPort(listen) {
+    const address = listen.split(/\s+/)[0];
+    const match = address.match(/(?:^|:)(\d+)$/);
+    return match ? parseInt(match[1]) : (/^\[|^[\d.]+$|^unix:/.test(address) ? 80 : parseInt(address) || 80);
+}
+
+function findServerBlocks(root, port) {
+    return findBlocks(root, 'server').filter(server => getDirectives(server, 'listen').some(listen => getListenPort(listen) === port));
+}
+
+function findLocation(node, location) {
+    return (node.children || []).find(child => child.type === 'block' && child.name === 'location' && child.args === location) || null;
+}
+
+// The servers that serve a site's content: all but those that only redirect,
+// with a server-level return or one in location / (HTTP to HTTPS, www to apex)
+function findContentServers(root) {
+    return findBlocks(root, 'server').filter(server => {
+        const rootLocation = findLocation(server, '/');
+        return getDirectives(server, 'return').length === 0 &&
+            !(rootLocation && getDirectives(rootLocation, 'return').length > 0);
+    });
+}
+
+// Replaces the location with the same arguments, or appends it; true if replaced.
+// Access rules of the replaced location are kept unless the new one has its own.
+function setLocation(server, locationBlock) {
+    const index = server.children.findIndex(child => child.type === 'block' && child.name === 'location' && child.args === locationBlock.args);
+    if (index !== -1) {
+        const previousRules = getAccessRules(server.children[index]);
+        if (hasAccessRules(previousRules) && !hasAccessRules(getAccessRules(locationBlock))) {
+            setAccessRules(locationBlock, previousRules);
+        }
+        server.children[index] = locationBlock;
+        return true;
+    }
+
+    if (server.children.length > 0 && server.children[server.children.length - 1].type !== 'blank') {
+        server.children.push(blank());
+    }
+    server.children.push(locationBlock);
+    return false;
+}
+
+// Removes a child block together with the comment lines right above it
+function removeChild(parent, index) {
+    let start = index;
+    while (start > 0 && parent.children[start - 1].type === 'comment' && !parent.children[start - 1].inline) {
+        start--;
+    }
+    // Drop the blank line that separated the block from the previous node
+    if (start > 0 && parent.children[start - 1].type === 'blank') {
+        start--;
+    } else if (start === 0 && parent.children[index + 1] && parent.children[index + 1].type === 'blank') {
+        index++;
+    }
+    parent.children.splice(start, index - start + 1);
+}
+
+// Removes the location (and the comment lines right above it) from a server,
+// or from every server of a file; the number removed
+function removeLocation(node, location) {
+    const servers = node.type === 'block' && node.name === 'server' ? [node] : findBlocks(node, 'server');
+    let removed = 0;
+
+    for (const server of servers) {
+        const index = server.children.findIndex(child => child.type === 'block' && child.name === 'location' && child.args === location);
+        if (index !== -1) {
+            removeChild(server, index);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+// Nothing is served once only the ACME challenge and the HTTPS redirect are left
+function isSiteEmpty(root) {
+    const served = findBlocks(root, 'location').filter(locationBlock =>
+        locationBlock.args !== '/.well-known/acme-challenge/' && getDirectives(locationBlock, 'return').length === 0);
+    return served.length === 0 && findBlocks(root, 'upstream').length === 0;
+}
+
+function findUpstream(root, name) {
+    return root.children.find(child => child.type === 'block' && child.name === 'upstream' && child.args === name) || null;
+}
+
+// Replaces the upstream of the same name, or adds it in front of the first server block; true if replaced
+function setUpstream(root, upstreamBlock) {
+    const index = root.children.findIndex(child => child.type === 'block' && child.name === 'upstream' && child.args === upstreamBlock.args);
+    if (index !== -1) {
+        root.children[index] = upstreamBlock;
+        return true;
+    }
+
+    let position = root.children.findIndex(child => child.type === 'block' && child.name === 'server');
+    if (position === -1) {
+        position = root.children.length;
+    }
+    // Keep comments that introduce the first server block attached to it
+    while (position > 0 && root.children[position - 1].type === 'comment' && position - 1 > 0) {
+        position--;
+    }
+    // Blank lines around it, so the comments above are not taken as its own
+    const before = position > 0 && root.children[position - 1].type !== 'blank' ? [blank()] : [];
+    root.children.splice(position, 0, ...before, upstreamBlock, blank());
+    return false;
+}
+
+function removeUpstream(root, name) {
+    const index = root.children.findIndex(child => child.type === 'block' && child.name === 'upstream' && child.args === name);
+    if (index === -1) {
+        return false;
+    }
+    removeChild(root, index);
+    return true;
+}
+
+// Access control: HTTP basic auth and allow/deny lists of a server or location.
+// Rules are kept together below an "Access control" comment; locations that
+// nginx-access-control.js created for a path carry an ACCESS_LOCATION_MARKER comment.
+const ACCESS_DIRECTIVES = ['auth_basic', 'auth_basic_user_file', 'allow', 'deny'];
+const ACCESS_COMMENT = 'Access control';
+const ACCESS_LOCATION_MARKER = 'access-control:';
+const ACME_LOCATION = '/.well-known/acme-challenge/';
+
+function getAccessRules(node) {
+    const addresses = (name) => getDirectives(node, name).filter(address => address !== 'all');
+    const realm = getDirectives(node, 'auth_basic')[0];
+
+    return {
+        realm: realm && realm !== 'off' ? realm.replace(/^"(.*)"$/, '$1') : null,
+        userFile: getDirectives(node, 'auth_basic_user_file')[0] || null,
+        allow: addresses('allow'),
+        deny: addresses('deny')
+    };
+}
+
+function hasAccessRules(rules) {
+    return Boolean(rules.userFile) || rules.allow.length > 0 || rules.deny.length > 0;
+}
+
+function isAccessLocation(locationBlock) {
+    return (locationBlock.children || []).some(child => child.type === 'comment' && child.text.startsWith(ACCESS_LOCATION_MARKER));
+}
+
+// Replaces the access directives of a server or location; empty rules remove them.
+// Denied addresses come first, an allowlist ends with `deny all`.
+function setAccessRules(node, rules) {
+    const isAccessNode = (child) => (child.type === 'directive' && ACCESS_DIRECTIVES.includes(child.name)) ||
+        (child.type === 'comment' && child.text === ACCESS_COMMENT);
+    node.children = node.children
+        .filter(child => !isAccessNode(child))
+        .filter((child, index, children) => child.type !== 'blank' || (index > 0 && children[index - 1].type !== 'blank'));
+
+    // A server's ACME challenges must stay reachable for certificate renewals
+    const acme = node.name === 'server' ? findLocation(node, ACME_LOCATION) : null;
+    if (acme) {
+        acme.children = acme.children.filter(child => !(child.type === 'directive' && ['auth_basic', 'allow'].includes(child.name)));
+        if (hasAccessRules(rules)) {
+            acme.children.push(directive('auth_basic', 'off'), directive('allow', 'all'));
+        }
+    }
+
+    if (!hasAccessRules(rules)) {
+        return;
+    }
+
+    const nodes = [comment(ACCESS_COMMENT)];
+    if (rules.userFile) {
+        nodes.push(directive('auth_basic', `"${rules.realm || 'Restricted'}"`), directive('auth_basic_user_file', rules.userFile));
+    }
+    nodes.push(...rules.deny.map(address => directive('deny', address)));
+    nodes.push(...rules.allow.map(address => directive('allow', address)));
+    if (rules.allow.length > 0) {
+        nodes.push(directive('deny', 'all'));
+    }
+
+    // After a server's listen/server_name, or a location's leading comments
+    let position = 0;
+    while (position < node.children.length && (
+        (node.name === 'server' && node.children[position].type === 'directive' && ['listen', 'server_name'].includes(node.children[position].name)) ||
+        (node.name !== 'server' && node.children[position].type === 'comment' && !node.children[position].inline)
+    )) {
+        position++;
+    }
+
+    const before = position > 0 && node.children[position - 1].type !== 'blank' ? [blank()] : [];
+    const after = position < node.children.length && node.children[position].type !== 'blank' ? [blank()] : [];
+    node.children.splice(position, 0, ...before, ...nodes, ...after);
+}
+
+// Carries the access rules of a site over to its regenerated configuration:
+// the content servers' rules, rules on locations that still exist, and the
+// locations access control added itself
+function copyAccessRules(fromRoot, toRoot) {
+    const targets = findContentServers(toRoot);
+
+    for (const server of findContentServers(fromRoot)) {
+        const rules = getAccessRules(server);
+        for (const target of targets) {
+            if (hasAccessRules(rules)) {
+                setAccessRules(target, rules);
+            }
+
+            for (const location of server.children.filter(child => child.type === 'block' && child.name === 'location')) {
+                const locationRules = getAccessRules(location);
+                const existing = findLocation(target, location.args);
+                if (existing && hasAccessRules(locationRules)) {
+                    setAccessRules(existing, locationRules);
+                } else if (!existing && isAccessLocation(location)) {
+                    setLocation(target, location);
+                }
+            }
+        }
+    }
+}
+
+// Host names from a list or comma/space separated strings, lower-cased and
+// without duplicates; throws on anything that is not a valid DNS name.
+// options.wildcard also accepts certificate names such as *.example.com.
+function parseServerNames(names, { wildcard = false } = {}) {
+    const parsed = [];
+    for (const name of [].concat(names || []).flatMap(entry => String(entry).split(/[\s,]+/)).filter(Boolean)) {
+        const host = name.toLowerCase();
+        const hostname = wildcard ? host.replace(/^\*\./, '') : host;
+        if (!/^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(hostname) || host.length > 253) {
+            throw new Error(`Invalid domain name: ${name}`);
+        }
+        if (!parsed.includes(host)) {
+            parsed.push(host);
+        }
+    }
+    return parsed;
+}
+
+function hasComment(node, text) {
+    return (node.children || []).some(child => child.type === 'comment' && child.text === text);
+}
+
+// Summarizes every server block of a file; files that do not parse have none
+function parseServerBlocks(content) {
+    let root;
+    try {
+        root = parseConfig(content);
+    } catch (error) {
+        return [];
+    }
+
+    const unique = (values) => Array.from(new Set(values));
+    return findBlocks(root, 'server').map(server => ({
+        serverNames: unique(getDirectives(server, 'server_name').flatMap(names => names.split(/\s+/))).filter(name => name && name !== '_'),
+        listen: unique(getDirectives(server, 'listen')),
+        roots: unique(getDirectives(server, 'root', true)),
+        proxies: unique(getDirectives(server, 'proxy_pass', true)),
+        sslCertificate: getDirectives(server, 'ssl_certificate')[0] || null
+    }));
+}
+
+// Templates for the parts every installer's server blocks share
+
+function sslDirectives(domain) {
+    return [
+        comment('SSL configuration'),
+        directive('ssl_certificate', `/etc/letsencrypt/live/${domain}/fullchain.pem`),
+        directive('ssl_certificate_key', `/etc/letsencrypt/live/${domain}/privkey.pem`),
+        directive('ssl_trusted_certificate', `/etc/letsencrypt/live/${domain}/chain.pem`),
+        blank(),
+        comment('Shared TLS profile: protocols, ciphers, sessions and OCSP stapling'),
+        directive('include', TLS_PARAMS_PATH)
+    ];
+}
+
+// Content of TLS_PARAMS_PATH for a TLS_PRESETS profile
+function tlsParams(presetName) {
+    const preset = TLS_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown TLS preset: ${presetName} (expected ${Object.keys(TLS_PRESETS).join(' or ')})`);
+    }
+
+    return sections(
+        [
+            comment(`Mozilla ${presetName} TLS profile, shared by every site`),
+            directive('ssl_protocols', preset.protocols),
+            ...(preset.ciphers ? [directive('ssl_ciphers', preset.ciphers)] : []),
+            directive('ssl_prefer_server_ciphers', 'off'),
+            ...(preset.dhparam ? [directive('ssl_dhparam', DHPARAM_PATH)] : [])
+        ],
+        [
+            directive('ssl_session_timeout', '1d'),
+            directive('ssl_session_cache', 'shared:MozSSL:10m'),
+            directive('ssl_session_tickets', 'off')
+        ],
+        [
+            comment('OCSP stapling, verified against the site\'s ssl_trusted_certificate'),
+            directive('ssl_stapling', 'on'),
+            directive('ssl_stapling_verify', 'on'),
+            directive('resolver', '1.1.1.1 9.9.9.9 valid=300s'),
+            directive('resolver_timeout', '5s')
+        ]
+    );
+}
+
+// http-level settings of the hardening step; the limit zones are opt-in per
+// site or location, e.g. `limit_req zone=perip burst=20 nodelay;`
+function hardeningDirectives() {
+    return sections(
+        [
+            comment('Do not reveal the nginx version'),
+            directive('server_tokens', 'off')
+        ],
+        [
+            comment('Request size and timeouts'),
+            directive('client_max_body_size', '10m'),
+            directive('client_body_timeout', '15s'),
+            directive('client_header_timeout', '15s'),
+            directive('send_timeout', '30s')
+        ],
+        [
+            comment('Rate limit zones'),
+            directive('limit_req_zone', '$binary_remote_addr zone=perip:10m rate=10r/s'),
+            directive('limit_conn_zone', '$binary_remote_addr zone=peraddr:10m'),
+            directive('limit_req_status', '429'),
+            directive('limit_conn_status', '429')
+        ]
+    );
+}
+
+// Catch-all servers that close connections for unknown hosts and bare IPs;
+// rejecting the TLS handshake needs nginx 1.19.4 or later
+function defaultServerBlocks(rejectHandshake = true) {
+    const servers = [
+        block('server', '', [
+            directive('listen', '80 default_server'),
+            directive('server_name', '_'),
+            directive('return', '444')
+        ])
+    ];
+
+    if (rejectHandshake) {
+        servers.push(blank(), block('server', '', [
+            directive('listen', '443 ssl http2 default_server'),
+            directive('server_name', '_'),
+            directive('ssl_reject_handshake', 'on')
+        ]));
+    }
+
+    return servers;
+}
+
+function gzipDirectives() {
+    return [
+        comment('Enable gzip compression'),
+        directive('gzip', 'on'),
+        directive('gzip_vary', 'on'),
+        directive('gzip_min_length', '1024'),
+        directive('gzip_proxied', 'any'),
+        directive('gzip_comp_level', '6'),
+        directive('gzip_types', 'text/plain text/css text/xml text/javascript application/javascript application/xml+rss application/json')
+    ];
+}
+
+function securityHeaders() {
+    return [
+        directive('add_header', 'X-Frame-Options "SAMEORIGIN" always'),
+        directive('add_header', 'X-XSS-Protection "1; mode=block" always'),
+        directive('add_header', 'X-Content-Type-Options "nosniff" always'),
+        directive('add_header', 'Referrer-Policy "no-referrer-when-downgrade" always'),
+        directive('add_header', 'Content-Security-Policy "default-src \'self\' http: https: data: blob: \'unsafe-inline\'" always')
+    ];
+}
+
+function acmeChallengeLocation() {
+    return block('location', '/.well-known/acme-challenge/', [
+        directive('alias', '/usr/share/nginx/html/.well-known/acme-challenge/'),
+        directive('try_files', '$uri =404')
+    ]);
+}
+
+// Headers for a proxied location, including the websocket upgrade
+function proxyHeaders(websocket = true) {
+    return [
+        directive('proxy_http_version', '1.1'),
+        ...(websocket ? [
+            directive('proxy_set_header', 'Upgrade $http_upgrade'),
+            directive('proxy_set_header', 'Connection "upgrade"')
+        ] : []),
+        directive('proxy_set_header', 'Host $host'),
+        directive('proxy_set_header', 'X-Real-IP $remote_addr'),
+        directive('proxy_set_header', 'X-Forwarded-For $proxy_add_x_forwarded_for'),
+        directive('proxy_set_header', 'X-Forwarded-Proto $scheme')
+    ];
+}
+
+function httpsRedirectLocation() {
+    return block('location', '/', [
+        // $host keeps the name that was asked for when a server has several
+        directive('return', '301 https://$host$request_uri')
+    ]);
+}
+
+// A server block; body is a list of nodes, separated from the header by a blank line
+function serverBlock(listen, serverName, body = []) {
+    return block('server', '', [
+        directive('listen', listen),
+        directive('server_name', serverName),
+        ...(body.length > 0 ? [blank(), ...body] : [])
+    ]);
+}
+
+// Server blocks of a new site whose content is a list of locations: served on
+// port 80, or on 443 with port 80 redirecting to it
+function siteServerBlocks(domain, hasSSL, locations) {
+    const acme = [comment('ACME challenge for SSL renewal (always keep this)'), acmeChallengeLocation()];
+
+    if (!hasSSL) {
+        return [serverBlock('80', domain, sections(acme, locations))];
+    }
+
+    return [
+        serverBlock('80', domain, sections(
+            acme,
+            [comment('Redirect all HTTP traffic to HTTPS (except ACME challenges)'), httpsRedirectLocation()]
+        )),
+        blank(),
+        serverBlock('443 ssl http2', domain, sections(sslDirectives(domain), locations))
+    ];
+}
+
+// Joins groups of nodes with blank lines, e.g. [sslDirectives(d), gzipDirectives()]
+function sections(...groups) {
+    return groups.filter(group => group && group.length > 0).flatMap((group, index) => (index === 0 ? group : [blank(), ...group]));
+}
+
+module.exports = {
+    TLS_PARAMS_PATH,
+    DHPARAM_PATH,
+    SNAPSHOT_DIR,
+    SNAPSHOT_KEEP,
+    TLS_PRESETS,
+    directive,
+    block,
+    comment,
+    blank,
+    parseConfig,
+    renderConfig,
+    findBlocks,
+    getDirectives,
+    findServerBlocks,
+    findContentServers,
+    findLocation,
+    setLocation,
+    removeLocation,
+    isSiteEmpty,
+    findUpstream,
+    setUpstream,
+    removeUpstream,
+    ACCESS_LOCATION_MARKER,
+    getAccessRules,
+    hasAccessRules,
+    isAccessLocation,
+    setAccessRules,
+    copyAccessRules,
+    parseServerNames,
+    hasComment,
+    parseServerBlocks,
+    sslDirectives,
+    tlsParams,
+    hardeningDirectives,
+    defaultServerBlocks,
+    gzipDirectives,
+    securityHeaders,
+    acmeChallengeLocation,
+    proxyHeaders,
+    httpsRedirectLocation,
+    serverBlock,
+    siteServerBlocks,
+    sections
+};
@@ -1,118 +1,377 @@
 #!/usr/bin/env node
 
-const { Client } = require('ssh2');
-const fs = require('fs');
+const RemoteSession = require('./remote-session');
+const nginxConfig = require('./nginx-config');
+
+const HARDENING_FILE = '/etc/nginx/conf.d/00-hardening.conf';
+const DEFAULT_SERVER_FILE = '/etc/nginx/conf.d/00-default-server.conf';
+
+// nginx.org stable or mainline repository, or the distribution's own package
+const CHANNELS = ['stable', 'mainline', 'debian'];
+const CHANNEL_LABELS = {
+    stable: 'nginx.org stable',
+    mainline: 'nginx.org mainline',
+    debian: 'Debian package',
+    unknown: 'no configured repository'
+};
+// Keeps the existing nginx.conf and conf.d files and allows switching to an older channel
+const APT_INSTALL_NGINX = 'sudo DEBIAN_FRONTEND=noninteractive apt-get install -y --allow-downgrades -o Dpkg::Options::=--force-confdef -o Dpkg::Options::=--force-confold';
+
+function originChannel(origin) {
+    if (origin.includes('nginx.org/packages/mainline')) {
+        return 'mainline';
+    }
+    return origin.includes('nginx.org/packages') ? 'stable' : 'debian';
+}
+
+// The version table of `apt-cache policy nginx`, newest first, each version with
+// the repositories offering it; the installed version is marked ***
+function parseAptPolicy(output) {
+    const versions = [];
+
+    for (const line of output.split('\n')) {
+        const versionMatch = /^ (\*\*\*| {3}) (\S+) -?\d+$/.exec(line);
+        if (versionMatch) {
+            versions.push({ version: versionMatch[2], installed: versionMatch[1] === '***', origins: [] });
+            continue;
+        }
 
-class NginxInstaller {
+        const originMatch = /^\s+-?\d+\s+(\S.*)$/.exec(line);
+        if (originMatch && versions.length > 0 && !originMatch[1].startsWith('/var/lib/dpkg/status')) {
+            versions[versions.length - 1].origins.push(originMatch[1].replace(/\s+\S+\s+Packages$/, ''));
+        }
+    }
+
+    const installed = versions.find(version => version.installed) || null;
+    const origin = installed && installed.origins.length > 0 ? installed.origins[0] : null;
+
+    return {
+        installed: installed ? installed.version : null,
+        channel: origin ? originChannel(origin) : 'unknown',
+        origin,
+        versions
+    };
+}
+
+class NginxInstaller extends RemoteSession {
     constructor(progressCallback = null) {
-        this.config = {};
-        this.progressCallback = progressCallback;
+        super(progressCallback);
+        this.component = 'nginx';
+        this.harden = true;
+        this.tlsPreset = 'intermediate';
+        // null installs stable and upgrades within the current channel
+        this.channel = null;
     }
 
-    log(message) {
-        console.log(message);
-        if (this.progressCallback) {
-            this.progressCallback(message);
+    setChannel(channel) {
+        if (channel !== undefined && channel !== null && !CHANNELS.includes(channel)) {
+            throw new Error(`Unknown nginx channel: ${channel} (expected ${CHANNELS.join(', ')})`);
         }
+        this.channel = channel || null;
+    }
+
+    async detectSource(conn) {
+        const policyResult = await this.executeCommand(
+            conn,
+            'apt-cache policy nginx',
+            'Checking nginx package source',
+            true
+        );
+        return parseAptPolicy(policyResult.output);
+    }
+
+    async getVersion(conn) {
+        const versionResult = await this.executeCommand(conn, 'sudo nginx -v 2>&1', 'Checking nginx version', true);
+        return (versionResult.output.trim() || versionResult.errorOutput.trim()).replace(/^nginx version:\s*/, '') || 'unknown';
     }
 
-    validateConnectionConfig(config) {
-        const required = ['host', 'privateKeyPath'];
-        const missing = required.filter(key => !config[key]);
+    // Points apt at nginx.org (stable or mainline, pinned above the distribution)
+    // or removes that repository so the Debian package is used; callers run apt update
+    async configureRepository(conn, channel) {
+        await this.backupPath(conn, '/etc/apt/sources.list.d/nginx.list', 'nginx apt source');
+        await this.backupPath(conn, '/etc/apt/preferences.d/99nginx', 'nginx repository pinning');
 
-        if (missing.length > 0) {
-            const errorMsg = `❌ Missing required configuration: ${missing.join(', ')}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+        if (channel === 'debian') {
+            await this.executeCommand(
+                conn,
+                'sudo rm -f /etc/apt/sources.list.d/nginx.list /etc/apt/preferences.d/99nginx',
+                'Removing the nginx.org repository and pinning'
+            );
+            return;
         }
 
-        if (!fs.existsSync(config.privateKeyPath)) {
-            const errorMsg = `❌ SSH private key file not found: ${config.privateKeyPath}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+        await this.backupPath(conn, '/usr/share/keyrings/nginx-archive-keyring.gpg', 'nginx signing key');
+
+        // Install prerequisites
+        await this.executeCommand(
+            conn,
+            'sudo apt install -y curl gnupg2 ca-certificates lsb-release debian-archive-keyring',
+            'Installing prerequisites'
+        );
+
+        // Import nginx signing key
+        await this.executeCommand(
+            conn,
+            'curl https://nginx.org/keys/nginx_signing.key | gpg --dearmor | sudo tee /usr/share/keyrings/nginx-archive-keyring.gpg >/dev/null',
+            'Importing Nginx signing key'
+        );
+
+        // Create .gnupg directory for GPG operations and verify the key
+        // Note: GPG needs ~/.gnupg directory even with --no-keyring option
+        // If verification fails, we continue since key import was successful
+        try {
+            await this.executeCommand(
+                conn,
+                'mkdir -p ~/.gnupg',
+                'Creating GPG directory'
+            );
+
+            // Verify the key
+            const verifyResult = await this.executeCommand(
+                conn,
+                'gpg --dry-run --quiet --no-keyring --import --import-options import-show /usr/share/keyrings/nginx-archive-keyring.gpg',
+                'Verifying signing key'
+            );
+
+            if (!verifyResult.dryRun && !verifyResult.output.includes('573BFD6B3D8FBC641079A6ABABF5BD827BD9BF62')) {
+                this.log('⚠️ Warning: Nginx signing key verification failed, but continuing with installation...');
+            }
+        } catch (error) {
+            this.log('⚠️ Warning: Could not verify Nginx signing key, but continuing with installation...');
         }
 
-        this.log('✅ Configuration validated');
+        // Add nginx repository for the channel
+        await this.executeCommand(
+            conn,
+            `echo "deb [signed-by=/usr/share/keyrings/nginx-archive-keyring.gpg] http://nginx.org/packages/${channel === 'mainline' ? 'mainline/' : ''}debian \`lsb_release -cs\` nginx" | sudo tee /etc/apt/sources.list.d/nginx.list`,
+            `Adding Nginx ${channel} repository`
+        );
+
+        // Set up repository pinning
+        await this.executeCommand(
+            conn,
+            'echo -e "Package: *\nPin: origin nginx.org\nPin: release o=nginx\nPin-Priority: 900\n" | sudo tee /etc/apt/preferences.d/99nginx',
+            'Setting up repository pinning'
+        );
     }
 
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const conn = new Client();
+    // Swaps the running master for the new binary without dropping connections:
+    // USR2 starts a master from the new binary, QUIT lets the old one finish its
+    // requests. Skipped when the package scripts already did it.
+    async reloadBinary(conn) {
+        const script = [
+            'PID=$(cat /run/nginx.pid 2>/dev/null)',
+            'if [ -z "$PID" ] || ! kill -0 $PID 2>/dev/null; then echo stopped; exit 0; fi',
+            'if ! readlink /proc/$PID/exe | grep -q deleted; then echo current; exit 0; fi',
+            'kill -USR2 $PID',
+            'for i in 1 2 3 4 5 6 7 8 9 10; do [ -f /run/nginx.pid.oldbin ] && break; sleep 1; done',
+            'if [ -f /run/nginx.pid.oldbin ]; then kill -QUIT $PID; echo upgraded; else echo failed; fi'
+        ].join('; ');
+
+        const reloadResult = await this.executeCommand(
+            conn,
+            `sudo sh -c '${script}'`,
+            'Switching to the new nginx binary'
+        );
+        const state = reloadResult.output.trim().split('\n').pop();
+
+        if (reloadResult.dryRun || state === 'upgraded') {
+            this.log('✅ Nginx is running the new binary (graceful binary upgrade)');
+        } else if (state === 'current') {
+            this.log('✅ Nginx is already running the new binary');
+        } else if (state === 'stopped') {
+            this.log('ℹ️ Nginx is not running, nothing to reload');
+        } else {
+            this.log('⚠️ The new nginx master did not start, restarting the service instead');
+            const restartResult = await this.executeCommand(conn, 'sudo systemctl restart nginx', 'Restarting Nginx service');
+            if (restartResult.exitCode !== 0) {
+                throw new Error('Could not restart nginx with the new binary');
+            }
+        }
+    }
 
-            this.log(`🔗 Connecting to ${this.config.username}@${this.config.host}:${this.config.port}...`);
+    async upgradeNginx(conn) {
+        const checkResult = await this.checkNginxInstalled(conn);
+        if (!checkResult.installed) {
+            throw new Error('Nginx is not installed. Please install Nginx first.');
+        }
 
-            conn.on('ready', () => {
-                this.log('✅ SSH connection established');
-                resolve(conn);
-            });
+        const before = await this.detectSource(conn);
+        const oldVersion = await this.getVersion(conn);
+        this.log(`📦 Installed: nginx ${before.installed || oldVersion} (${CHANNEL_LABELS[before.channel]}${before.origin ? `, ${before.origin}` : ''})`);
 
-            conn.on('error', (err) => {
-                this.log(`❌ SSH connection failed: ${err.message}`);
-                reject(err);
-            });
+        if (!this.channel && before.channel === 'unknown') {
+            throw new Error('Could not tell which repository nginx was installed from, choose one with --channel');
+        }
+        const channel = this.channel || before.channel;
 
-            const connectConfig = {
-                host: this.config.host,
-                port: this.config.port,
-                username: this.config.username,
-                privateKey: fs.readFileSync(this.config.privateKeyPath)
-            };
+        try {
+            // Runs last on rollback, once the previous repository files are back
+            if (before.installed) {
+                this.registerRollback(
+                    `Reinstalling nginx ${before.installed}`,
+                    `sudo apt update && ${APT_INSTALL_NGINX} nginx=${before.installed} && sudo systemctl restart nginx`
+                );
+            }
 
-            if (this.config.passphrase) {
-                connectConfig.passphrase = this.config.passphrase;
+            if (channel !== before.channel) {
+                this.log(`🔀 Switching nginx from ${CHANNEL_LABELS[before.channel]} to ${CHANNEL_LABELS[channel]}`);
+                await this.configureRepository(conn, channel);
             }
 
-            conn.connect(connectConfig);
-        });
+            await this.executeCommand(conn, 'sudo apt update', 'Updating package list');
+
+            // The newest version the channel offers; apt's own candidate would
+            // not go back to the (older) Debian package
+            const after = await this.detectSource(conn);
+            const target = after.versions.find(version => version.origins.some(origin => originChannel(origin) === channel));
+            // A dry-run did not change the repositories, so the version is not known yet
+            const planned = !target && this.plan && channel !== before.channel;
+            if (!target && !planned) {
+                throw new Error(`No nginx package available from ${CHANNEL_LABELS[channel]}`);
+            }
+
+            if (target && target.version === before.installed) {
+                this.log(`✅ Nginx ${before.installed} is the latest version from ${CHANNEL_LABELS[channel]}`);
+                await this.commitRollback(conn);
+                return { upgraded: false, channel, oldVersion, newVersion: oldVersion };
+            }
+
+            const packageName = target ? `nginx=${target.version}` : 'nginx';
+            const installResult = await this.executeCommand(
+                conn,
+                `${APT_INSTALL_NGINX} ${packageName}`,
+                `Installing ${packageName}`
+            );
+            if (installResult.exitCode !== 0) {
+                throw new Error(`Could not install ${packageName}`);
+            }
+
+            const testResult = await this.executeCommand(conn, 'sudo nginx -t', 'Testing nginx configuration');
+            if (testResult.exitCode !== 0) {
+                throw new Error('Nginx configuration test failed with the new version');
+            }
+
+            await this.reloadBinary(conn);
+            const newVersion = testResult.dryRun ? `${target ? target.version : channel} (planned)` : await this.getVersion(conn);
+
+            await this.commitRollback(conn);
+            this.log(`🎉 Nginx upgraded: ${oldVersion} → ${newVersion} (${CHANNEL_LABELS[channel]})`);
+            return { upgraded: true, channel, oldVersion, newVersion };
+        } catch (error) {
+            this.log(`❌ Nginx upgrade failed: ${error.message}`);
+            await this.rollback(conn);
+            throw error;
+        }
+    }
+
+    setHardeningOptions({ harden, tlsPreset } = {}) {
+        if (tlsPreset !== undefined && !nginxConfig.TLS_PRESETS[tlsPreset]) {
+            throw new Error(`Unknown TLS preset: ${tlsPreset} (expected ${Object.keys(nginxConfig.TLS_PRESETS).join(' or ')})`);
+        }
+
+        this.harden = harden !== false;
+        this.tlsPreset = tlsPreset || 'intermediate';
+    }
+
+    // ssl_reject_handshake, used by the port 443 catch-all, exists since nginx 1.19.4
+    supportsRejectHandshake(version) {
+        const match = /(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+        if (!match) {
+            return true;
+        }
+
+        const [major, minor, patch] = match.slice(1).map(Number);
+        return major > 1 || (major === 1 && (minor > 19 || (minor === 19 && patch >= 4)));
+    }
+
+    async writeConfigFile(conn, configFile, content, description) {
+        const tmpFile = `/tmp/${configFile.split('/').pop()}`;
+
+        await this.executeCommand(
+            conn,
+            `cat > ${tmpFile} << 'EOF'
+${content}
+EOF`,
+            `Writing ${description}`
+        );
+
+        await this.backupPath(conn, configFile, description);
+
+        const installResult = await this.executeCommand(
+            conn,
+            `sudo mv ${tmpFile} ${configFile} && sudo chown root:root ${configFile} && sudo chmod 644 ${configFile}`,
+            `Installing ${description}`
+        );
+
+        if (installResult.exitCode !== 0) {
+            throw new Error(`Could not write ${configFile}`);
+        }
     }
 
-    async executeCommand(conn, command, description, suppressOutput = false) {
-        return new Promise((resolve, reject) => {
-            if (!suppressOutput) {
-                this.log(`🔄 ${description}...`);
+    // Server-wide settings, a catch-all default server and the shared TLS profile.
+    // Rerunning rewrites the same files, so it is safe on every install.
+    async hardenNginx(conn, version) {
+        this.log(`🛡️ Hardening Nginx (TLS profile: ${this.tlsPreset})...`);
+
+        // Runs last on rollback, once the previous files are back in place
+        this.registerRollback(
+            'Reloading nginx with the previous configuration',
+            'sudo nginx -t && sudo systemctl reload nginx'
+        );
+
+        await this.writeConfigFile(
+            conn,
+            HARDENING_FILE,
+            nginxConfig.renderConfig([
+                nginxConfig.comment('Server-wide hardening, written by the nginx installer'),
+                nginxConfig.blank(),
+                ...nginxConfig.hardeningDirectives()
+            ]),
+            'nginx hardening settings'
+        );
+
+        // Two default servers on one port make nginx -t fail, so keep an existing one
+        const defaultsResult = await this.executeCommand(
+            conn,
+            `sudo grep -rlsE "listen[^;]*default_server" --exclude='*.disabled' /etc/nginx/nginx.conf /etc/nginx/conf.d /etc/nginx/sites-enabled | grep -v "^${DEFAULT_SERVER_FILE}$" || true`,
+            'Looking for existing default servers',
+            true
+        );
+        const otherDefaults = defaultsResult.output.trim().split('\n').filter(Boolean);
+
+        let catchAll = false;
+        if (otherDefaults.length > 0) {
+            this.log(`⚠️ Not adding the catch-all server, a default server is already defined in: ${otherDefaults.join(', ')}`);
+        } else {
+            const rejectHandshake = this.supportsRejectHandshake(version);
+            if (!rejectHandshake) {
+                this.log(`⚠️ ${version} cannot reject TLS handshakes (needs 1.19.4+), the catch-all only covers port 80`);
             }
 
-            conn.exec(command, (err, stream) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+            await this.writeConfigFile(
+                conn,
+                DEFAULT_SERVER_FILE,
+                nginxConfig.renderConfig([
+                    nginxConfig.comment('Requests for unknown hosts or the bare IP: close the connection'),
+                    ...nginxConfig.defaultServerBlocks(rejectHandshake)
+                ]),
+                'catch-all default server'
+            );
+            catchAll = true;
+        }
 
-                let output = '';
-                let errorOutput = '';
+        await this.writeTlsParams(conn, this.tlsPreset);
 
-                stream.on('close', (code, signal) => {
-                    if (code === 0) {
-                        if (!suppressOutput) {
-                            this.log(`✅ ${description} completed`);
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    } else {
-                        if (!suppressOutput) {
-                            this.log(`❌ ${description} failed (exit code: ${code})`);
-                            if (errorOutput) {
-                                this.log(`Error output: ${errorOutput}`);
-                            }
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    }
-                });
+        const testResult = await this.executeCommand(conn, 'sudo nginx -t', 'Testing nginx configuration');
+        if (testResult.exitCode !== 0) {
+            throw new Error('Nginx configuration test failed after hardening');
+        }
 
-                stream.on('data', (data) => {
-                    output += data.toString();
-                    if (!suppressOutput) {
-                        this.log(data.toString().trim());
-                    }
-                });
+        await this.executeCommand(conn, 'sudo systemctl reload nginx', 'Reloading nginx configuration');
 
-                stream.stderr.on('data', (data) => {
-                    errorOutput += data.toString();
-                    if (!suppressOutput) {
-                        this.log(`STDERR: ${data.toString().trim()}`);
-                    }
-                });
-            });
-        });
+        this.log(`✅ Nginx hardened: server tokens off, request limits, rate limit zones${catchAll ? ', catch-all server' : ''}, ${this.tlsPreset} TLS profile`);
+        return { tlsPreset: this.tlsPreset, catchAll };
     }
 
     async checkNginxInstalled(conn) {
@@ -292,12 +551,35 @@ class NginxInstaller {
         if (checkResult.installed) {
             this.log('✅ Nginx is already installed and available!');
             this.log(`📋 Current version - Nginx: ${checkResult.version}`);
+
+            const source = await this.detectSource(conn);
+            checkResult.channel = source.channel;
+            this.log(`📦 Installed from: ${CHANNEL_LABELS[source.channel]}`);
+            if (this.channel && this.channel !== source.channel) {
+                this.log(`ℹ️ Run "nginx upgrade --channel ${this.channel}" to switch to ${CHANNEL_LABELS[this.channel]}`);
+            }
+
+            if (this.harden) {
+                try {
+                    checkResult.hardening = await this.hardenNginx(conn, checkResult.version);
+                    await this.commitRollback(conn);
+                } catch (error) {
+                    this.log(`❌ Nginx hardening failed: ${error.message}`);
+                    await this.rollback(conn);
+                    throw error;
+                }
+            }
             return checkResult;
         }
 
-        this.log('🚀 Nginx not found. Starting installation from official Debian repository...');
+        const channel = this.channel || 'stable';
+        this.log(`🚀 Nginx not found. Starting installation from the ${CHANNEL_LABELS[channel]} channel...`);
 
         try {
+            // Rollback runs in reverse: restore the apt files, remove the package, refresh the package list
+            this.registerRollback('Refreshing package list', 'sudo apt update');
+            this.registerRollback('Removing partially installed Nginx', 'sudo apt-get purge -y nginx');
+
             // Update package list
             await this.executeCommand(
                 conn,
@@ -305,63 +587,13 @@ class NginxInstaller {
                 'Updating package list'
             );
 
-            // Install prerequisites
-            await this.executeCommand(
-                conn,
-                'sudo apt install -y curl gnupg2 ca-certificates lsb-release debian-archive-keyring',
-                'Installing prerequisites'
-            );
-
-            // Import nginx signing key
-            await this.executeCommand(
-                conn,
-                'curl https://nginx.org/keys/nginx_signing.key | gpg --dearmor | sudo tee /usr/share/keyrings/nginx-archive-keyring.gpg >/dev/null',
-                'Importing Nginx signing key'
-            );
-
-            // Create .gnupg directory for GPG operations and verify the key
-            // Note: GPG needs ~/.gnupg directory even with --no-keyring option
-            // If verification fails, we continue since key import was successful
-            try {
-                await this.executeCommand(
-                    conn,
-                    'mkdir -p ~/.gnupg',
-                    'Creating GPG directory'
-                );
-
-                // Verify the key
-                const verifyResult = await this.executeCommand(
-                    conn,
-                    'gpg --dry-run --quiet --no-keyring --import --import-options import-show /usr/share/keyrings/nginx-archive-keyring.gpg',
-                    'Verifying signing key'
-                );
-
-                if (!verifyResult.output.includes('573BFD6B3D8FBC641079A6ABABF5BD827BD9BF62')) {
-                    this.log('⚠️ Warning: Nginx signing key verification failed, but continuing with installation...');
-                }
-            } catch (error) {
-                this.log('⚠️ Warning: Could not verify Nginx signing key, but continuing with installation...');
-            }
-
-            // Add nginx repository (using stable by default)
-            await this.executeCommand(
-                conn,
-                'echo "deb [signed-by=/usr/share/keyrings/nginx-archive-keyring.gpg] http://nginx.org/packages/debian `lsb_release -cs` nginx" | sudo tee /etc/apt/sources.list.d/nginx.list',
-                'Adding Nginx repository'
-            );
-
-            // Set up repository pinning
-            await this.executeCommand(
-                conn,
-                'echo -e "Package: *\nPin: origin nginx.org\nPin: release o=nginx\nPin-Priority: 900\n" | sudo tee /etc/apt/preferences.d/99nginx',
-                'Setting up repository pinning'
-            );
+            await this.configureRepository(conn, channel);
 
             // Update package list again
             await this.executeCommand(
                 conn,
                 'sudo apt update',
-                'Updating package list with Nginx repository'
+                `Updating package list for the ${channel} channel`
             );
 
             // Install nginx
@@ -499,35 +731,122 @@ class NginxInstaller {
                     this.log('⚠️ Warning: Could not start Nginx service automatically');
                 }
 
-                return { installed: true, version: version, running: true };
+                const hardening = this.harden ? await this.hardenNginx(conn, version) : null;
+
+                await this.commitRollback(conn);
+                return { installed: true, version: version, running: true, channel, hardening };
             } else {
                 throw new Error('Installation verification failed - nginx command not found in PATH');
             }
 
         } catch (error) {
             this.log(`❌ Nginx installation failed: ${error.message}`);
+            await this.rollback(conn);
             throw error;
         }
     }
 
+    async uninstall(conn) {
+        // Sites would silently stop being served, so list them first
+        const sitesResult = await this.executeCommand(
+            conn,
+            `ls /etc/nginx/conf.d/*.conf 2>/dev/null | grep -v -e "/default.conf$" -e "^${HARDENING_FILE}$" -e "^${DEFAULT_SERVER_FILE}$"`,
+            'Listing nginx sites',
+            true
+        );
+        const sites = sitesResult.output.trim().split('\n').filter(Boolean);
+        if (sites.length > 0) {
+            this.log(`⚠️ These site configurations will no longer be served: ${sites.join(', ')}`);
+        }
+
+        this.log('🧹 Uninstalling Nginx...');
+
+        // The purge deletes /etc/nginx; a reinstall can bring it back with config restore
+        await this.snapshotNginxConfig(conn);
+
+        await this.executeCommand(
+            conn,
+            'sudo systemctl disable --now nginx 2>/dev/null || true',
+            'Stopping Nginx service'
+        );
+
+        const purgeResult = await this.executeCommand(
+            conn,
+            'sudo apt-get purge -y nginx',
+            'Purging Nginx package'
+        );
+
+        if (purgeResult.exitCode !== 0) {
+            throw new Error('Could not purge the nginx package');
+        }
+
+        await this.executeCommand(
+            conn,
+            'sudo rm -f /etc/apt/sources.list.d/nginx.list /etc/apt/preferences.d/99nginx /usr/share/keyrings/nginx-archive-keyring.gpg',
+            'Removing nginx.org repository, pinning and signing key'
+        );
+
+        await this.executeCommand(
+            conn,
+            `sudo rm -f ${HARDENING_FILE} ${DEFAULT_SERVER_FILE} ${nginxConfig.TLS_PARAMS_PATH} ${nginxConfig.DHPARAM_PATH}`,
+            'Removing hardening settings, TLS profile and DH parameters'
+        );
+
+        await this.executeCommand(
+            conn,
+            'sudo apt update',
+            'Updating package list'
+        );
+
+        this.log('🎉 Nginx and the nginx.org repository have been removed');
+        return { removed: true, orphanedSites: sites };
+    }
+
+    async runUpgrade() {
+        let conn;
+
+        try {
+            conn = await this.connect();
+            const result = await this.upgradeNginx(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: true, result });
+            this.log(result.upgraded ? '✅ Nginx upgrade completed successfully!' : '✅ Nginx is up to date');
+        } catch (error) {
+            this.log(`❌ Upgrade failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exit(1);
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+
     async run() {
         let conn;
 
         try {
             conn = await this.connect();
             const result = await this.installNginx(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.installed), result });
 
             if (result.installed) {
                 this.log('✅ Nginx setup completed successfully!');
                 if (result.version) {
                     this.log(`📋 Final version - Nginx: ${result.version}`);
                 }
+                if (result.hardening) {
+                    this.log(`🔐 TLS profile for generated SSL sites: ${result.hardening.tlsPreset}`);
+                }
             } else {
                 this.log('❌ Nginx setup failed!');
                 process.exit(1);
             }
         } catch (error) {
             this.log(`❌ Installation failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
             process.exit(1);
         } finally {
             if (conn) {
@@ -564,6 +883,18 @@ function parseArgs() {
             case '--passphrase':
                 config.passphrase = args[++i];
                 break;
+            case '--tls-preset':
+                config.tlsPreset = args[++i];
+                break;
+            case '--no-harden':
+                config.harden = false;
+                break;
+            case '--channel':
+                config.channel = args[++i];
+                break;
+            case 'upgrade':
+                config.upgrade = true;
+                break;
             case '--help':
                 showHelp();
                 process.exit(0);
@@ -579,6 +910,7 @@ Nginx Web Server Installer - Command Line Interface
 
 USAGE:
   node nginx-installer.js [OPTIONS]
+  node nginx-installer.js upgrade [OPTIONS]
 
 REQUIRED OPTIONS:
   --host, -h HOST          SSH host/IP address
@@ -588,8 +920,22 @@ REQUIRED OPTIONS:
 OPTIONAL:
   --port, -p PORT          SSH port (default: 22)
   --passphrase PASS        SSH key passphrase (if required)
+  --tls-preset PRESET      TLS profile for generated SSL sites: intermediate
+                           (default, TLS 1.2 + 1.3) or modern (TLS 1.3 only)
+  --no-harden              Only install the package, skip the hardening step
+  --channel CHANNEL        stable (nginx.org, default), mainline (nginx.org)
+                           or debian (the distribution's package); with
+                           upgrade, switches an existing install to CHANNEL
   --help                   Show this help
 
+UPGRADE:
+  Upgrades nginx within the channel it was installed from (detected from
+  apt), or switches to --channel. The new package keeps the existing
+  configuration, is checked with nginx -t and replaces the running master
+  with a graceful binary upgrade (USR2/QUIT), so open connections are not
+  dropped. The old and new versions are reported; on failure the previous
+  package and repository are restored.
+
 EXAMPLES:
   # Basic usage
   node nginx-installer.js --host 18.195.241.96 --username admin --key 18.195.241.96.pem
@@ -600,23 +946,36 @@ EXAMPLES:
   # With custom SSH port
   node nginx-installer.js --host ec2-instance.com --username debian --key ./key.pem --port 2222
 
+  # Switch every generated SSL site to TLS 1.3 only (also on an existing install)
+  node nginx-installer.js -h 18.195.241.96 -u admin -k ./my-key.pem --tls-preset modern
+
+  # Install the mainline version
+  node nginx-installer.js -h 18.195.241.96 -u admin -k ./my-key.pem --channel mainline
+
+  # Upgrade in place, or move an existing install to mainline
+  node nginx-installer.js upgrade -h 18.195.241.96 -u admin -k ./my-key.pem
+  node nginx-installer.js upgrade -h 18.195.241.96 -u admin -k ./my-key.pem --channel mainline
+
 PREREQUISITES:
   - SSH access to target Debian/Ubuntu server
   - Basic tools installed (recommended)
 
 WHAT IT INSTALLS:
-  - Nginx web server
-  - Essential nginx modules
-  - Basic security configuration
+  - Nginx web server from the nginx.org repository
   - Service auto-start configuration
-  - Default site configuration
-
-SECURITY FEATURES:
-  - Secure default configuration
-  - Hidden nginx version
-  - Disabled server tokens
-  - Basic firewall rules
-  - Secure file permissions
+  - Hardening settings (also applied when nginx is already installed)
+
+SECURITY FEATURES (${HARDENING_FILE}, ${DEFAULT_SERVER_FILE}):
+  - server_tokens off (hidden nginx version)
+  - Request limits: client_max_body_size 10m, body/header timeouts 15s,
+    send timeout 30s
+  - Rate limit zones for sites to opt into:
+    limit_req zone=perip (10 r/s per IP), limit_conn zone=peraddr
+  - Catch-all default server that closes connections (444) for unknown
+    hosts and the bare IP, and rejects TLS handshakes without a known name
+  - Mozilla TLS profile in ${nginxConfig.TLS_PARAMS_PATH}, included by
+    every generated SSL site: protocols, ciphers, session settings, OCSP
+    stapling and a generated DH parameter file (${nginxConfig.DHPARAM_PATH})
 
 NOTES:
   - Ensure SSH key has proper permissions (chmod 600 key.pem)
@@ -651,8 +1010,19 @@ if (require.main === module) {
 
     const installer = new NginxInstaller();
     installer.config = config;
+    try {
+        installer.setHardeningOptions({ harden: config.harden, tlsPreset: config.tlsPreset });
+        installer.setChannel(config.channel);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 
-    installer.run().catch(console.error);
+    if (config.upgrade) {
+        installer.runUpgrade().catch(console.error);
+    } else {
+        installer.run().catch(console.error);
+    }
 }
 
 module.exports = NginxInstaller;
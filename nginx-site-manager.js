@@ -0,0 +1,344 @@
+#!/usr/bin/env node
+
+const RemoteSession = require('./remote-session');
+const { parseServerBlocks } = require('./nginx-config');
+const { formatTable } = require('./text-table');
+
+const CONF_DIR = '/etc/nginx/conf.d';
+// nginx only includes conf.d/*.conf, so a renamed file is ignored until it is renamed back
+const DISABLED_SUFFIX = '.disabled';
+const ACTIONS = ['list', 'enable', 'disable', 'remove'];
+
+/**
+ * Nginx site manager
+ *
+ * Lists the virtual hosts in /etc/nginx/conf.d written by the installers
+ * (or by hand) and enables, disables or removes them. Every change is
+ * validated with nginx -t and undone if nginx rejects the result.
+ */
+class NginxSiteManager extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'sites';
+    }
+
+    // Accepts example.com, example.com.conf or example.com.conf.disabled
+    getSiteName(site) {
+        const name = String(site || '').replace(new RegExp(`\\.conf(${DISABLED_SUFFIX.replace('.', '\\.')})?$`), '');
+        if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+            throw new Error(`Invalid site name: ${site}`);
+        }
+        return name;
+    }
+
+    getSiteFile(name, enabled = true) {
+        return `${CONF_DIR}/${name}.conf${enabled ? '' : DISABLED_SUFFIX}`;
+    }
+
+    async listSites(conn) {
+        const listResult = await this.executeCommand(
+            conn,
+            `sudo sh -c 'for f in ${CONF_DIR}/*.conf ${CONF_DIR}/*.conf${DISABLED_SUFFIX}; do [ -f "$f" ] && echo "### $f" && cat "$f"; done; true'`,
+            'Reading nginx site configurations',
+            true
+        );
+
+        return listResult.output.split(/^### /m).filter(chunk => chunk.trim()).map(chunk => {
+            const newline = chunk.indexOf('\n');
+            const file = (newline === -1 ? chunk : chunk.slice(0, newline)).trim();
+            const enabled = !file.endsWith(DISABLED_SUFFIX);
+
+            return {
+                name: this.getSiteName(file.slice(CONF_DIR.length + 1)),
+                file,
+                enabled,
+                servers: parseServerBlocks(newline === -1 ? '' : chunk.slice(newline + 1))
+            };
+        });
+    }
+
+    async findSite(conn, site) {
+        const name = this.getSiteName(site);
+        const stateResult = await this.executeCommand(
+            conn,
+            `if sudo test -f ${this.getSiteFile(name)}; then echo enabled; elif sudo test -f ${this.getSiteFile(name, false)}; then echo disabled; fi`,
+            `Looking up site ${name}`,
+            true
+        );
+
+        const state = stateResult.output.trim();
+        if (!state) {
+            throw new Error(`Site ${name} not found in ${CONF_DIR}`);
+        }
+        return { name, enabled: state === 'enabled', file: this.getSiteFile(name, state === 'enabled') };
+    }
+
+    // Runs a change, then nginx -t and a reload; everything is undone if either fails
+    async applyChange(conn, change) {
+        try {
+            // Runs last on rollback, once the previous files are back in place
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+
+            // A rename is no backup, so the snapshot is taken here
+            await this.snapshotNginxConfig(conn);
+            await change();
+
+            const testResult = await this.executeCommand(
+                conn,
+                'sudo nginx -t',
+                'Testing nginx configuration'
+            );
+
+            if (testResult.exitCode !== 0) {
+                throw new Error('Nginx configuration test failed');
+            }
+
+            await this.executeCommand(
+                conn,
+                'sudo systemctl reload nginx',
+                'Reloading nginx configuration'
+            );
+
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+    }
+
+    async renameSite(conn, site, enable) {
+        const { name, enabled } = await this.findSite(conn, site);
+        if (enabled === enable) {
+            this.log(`ℹ️ Site ${name} is already ${enable ? 'enabled' : 'disabled'}`);
+            return { name, enabled, changed: false };
+        }
+
+        const from = this.getSiteFile(name, !enable);
+        const to = this.getSiteFile(name, enable);
+
+        await this.applyChange(conn, async () => {
+            if (enable) {
+                // A site of the same name created while this one was disabled must not be overwritten
+                await this.backupPath(conn, to, 'newer site configuration', { move: true });
+            }
+            this.registerRollback(`Renaming ${to} back`, `sudo mv ${to} ${from}`);
+
+            const moveResult = await this.executeCommand(
+                conn,
+                `sudo mv ${from} ${to}`,
+                `${enable ? 'Enabling' : 'Disabling'} site ${name}`
+            );
+
+            if (moveResult.exitCode !== 0) {
+                throw new Error(`Could not rename ${from}`);
+            }
+        });
+
+        this.log(`${enable ? '✅' : '⏸️'} Site ${name} ${enable ? 'enabled' : 'disabled'}`);
+        return { name, enabled: enable, changed: true };
+    }
+
+    async enableSite(conn, site) {
+        return this.renameSite(conn, site, true);
+    }
+
+    async disableSite(conn, site) {
+        return this.renameSite(conn, site, false);
+    }
+
+    async removeSite(conn, site) {
+        const { name, file } = await this.findSite(conn, site);
+
+        await this.applyChange(conn, async () => {
+            await this.backupPath(conn, file, `site configuration ${name}`, { move: true });
+        });
+
+        this.log(`🗑️ Site ${name} removed`);
+        return { name, removed: true, file };
+    }
+
+    async run(action, site = null) {
+        let conn;
+
+        try {
+            if (!ACTIONS.includes(action)) {
+                throw new Error(`Unknown action: ${action} (allowed: ${ACTIONS.join(', ')})`);
+            }
+            if (action !== 'list' && !site) {
+                throw new Error(`A site is required to ${action}`);
+            }
+
+            conn = await this.connect();
+
+            if (action === 'list') {
+                // The table can be redirected to a file, so progress goes to stderr
+                this.reserveStdout = true;
+                const sites = await this.listSites(conn);
+                if (this.config.json) {
+                    this.emitEvent('sites', { sites });
+                } else {
+                    console.log(formatSites(sites));
+                }
+                this.emitEvent('result', { success: true });
+                return;
+            }
+
+            const result = await this[`${action}Site`](conn, site);
+            this.printPlan();
+            this.emitEvent('result', { success: true, result });
+        } catch (error) {
+            this.log(`❌ Site ${action} failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exitCode = 1;
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+}
+
+// One row per server block
+function formatSites(sites) {
+    if (sites.length === 0) {
+        return `No sites in ${CONF_DIR}`;
+    }
+
+    const rows = sites.flatMap(site => (site.servers.length > 0 ? site.servers : [null]).map(server => ({
+        site: site.name,
+        status: site.enabled ? 'enabled' : 'disabled',
+        names: server ? server.serverNames.join(' ') : '',
+        listen: server ? server.listen.map(listen => listen.split(/\s+/)[0].replace(/^.*:/, '') + (/\bssl\b/.test(listen) ? '/ssl' : '')).join(', ') : '',
+        targets: server ? [...server.roots, ...server.proxies].join(', ') : '',
+        certificate: server && server.sslCertificate ? server.sslCertificate : ''
+    })));
+
+    return formatTable([
+        { key: 'site', title: 'SITE' },
+        { key: 'status', title: 'STATUS' },
+        { key: 'names', title: 'SERVER NAMES' },
+        { key: 'listen', title: 'LISTEN' },
+        { key: 'targets', title: 'ROOT / PROXY' },
+        { key: 'certificate', title: 'CERTIFICATE' }
+    ], rows);
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+            case '-h':
+                config.host = args[++i];
+                break;
+            case '--username':
+            case '-u':
+                config.username = args[++i];
+                break;
+            case '--key':
+            case '-k':
+                config.privateKeyPath = args[++i];
+                break;
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]) || 22;
+                break;
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--dry-run':
+                config.dryRun = true;
+                break;
+            case '--json':
+                config.json = true;
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+            default:
+                if (!args[i].startsWith('-')) {
+                    if (!config.action) {
+                        config.action = args[i];
+                    } else if (!config.site) {
+                        config.site = args[i];
+                    }
+                }
+        }
+    }
+
+    config.port = config.port || 22;
+    config.username = config.username || 'admin';
+
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+🗂️ Nginx Site Manager
+
+Lists and manages the virtual hosts in ${CONF_DIR}.
+
+USAGE:
+  node nginx-site-manager.js list --host HOST --username USER --key KEYFILE
+  node nginx-site-manager.js enable|disable|remove SITE --host HOST --username USER --key KEYFILE
+
+ACTIONS:
+  list                     Every server block: names, listen ports, root/proxy targets, certificate
+  disable SITE             Rename SITE.conf to SITE.conf${DISABLED_SUFFIX} so nginx ignores it
+  enable SITE              Rename it back
+  remove SITE              Delete the site's configuration file
+
+OPTIONS:
+  --host, -h HOST          SSH host/IP address
+  --username, -u USER      SSH username (default: admin)
+  --key, -k PATH           Path to SSH private key file
+  --port, -p PORT          SSH port (default: 22)
+  --passphrase PASS        SSH key passphrase (if required)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+  --help                   Show this help
+
+Every change is checked with nginx -t and undone if the check fails.
+
+EXAMPLE:
+  node nginx-site-manager.js disable example.com --host 18.195.241.96 --username admin --key 18.195.241.96.pem
+`);
+}
+
+// Run the manager if this file is executed directly
+if (require.main === module) {
+    const config = parseArgs();
+
+    if (!config.host || !config.privateKeyPath || !config.action) {
+        showHelp();
+        process.exit(1);
+    }
+
+    const manager = new NginxSiteManager();
+    manager.config = config;
+
+    try {
+        manager.validateConnectionConfig(manager.config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (config.dryRun) {
+        manager.enableDryRun();
+    }
+
+    manager.run(config.action, config.site).catch(console.error);
+}
+
+module.exports = NginxSiteManager;
+module.exports.formatSites = formatSites;
+module.exports.SITE_ACTIONS = ACTIONS;
@@ -0,0 +1,716 @@
+#!/usr/bin/env node
+
+const RemoteSession = require('./remote-session');
+const NodeJSInstaller = require('./index');
+const nginxConfig = require('./nginx-config');
+
+const { directive, block, comment } = nginxConfig;
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Single-quoted for sh, so the value reaches the command as one literal argument
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Node.js application deployer
+ *
+ * Ships an app from a local directory, a .tar.gz/.tgz tarball or a git URL
+ * to ~/apps/<name>, installs its dependencies with npm, runs it as the
+ * systemd service node-app-<name> and proxies https://<domain><path> to it.
+ */
+class NodeAppInstaller extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'app';
+        this.name = null;
+        this.source = null;
+        this.domain = null;
+        this.path = '/';
+        this.port = 3000;
+        this.env = {};
+        this.startCommand = 'npm start';
+        this.branch = null;
+        this.nodeManager = 'nodesource';
+        this.userName = null;
+        this.userHomeDir = null;
+    }
+
+    setAppConfig(name, source, domain, options = {}) {
+        if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name || '')) {
+            throw new Error(`Invalid app name: ${name} (letters, digits, - and _ only)`);
+        }
+
+        // The domain names the site's config file, so it must be exactly one valid host name
+        const names = nginxConfig.parseServerNames(domain);
+        if (names.length !== 1) {
+            throw new Error(domain ? `Invalid domain: ${domain} (a single host name is expected)` : 'Domain is required');
+        }
+
+        const appPath = options.path || '/';
+        if (!appPath.startsWith('/') || /[\s;{}]/.test(appPath)) {
+            throw new Error(`Invalid app path: ${appPath}`);
+        }
+
+        const port = parseInt(options.port) || 3000;
+        if (port < 1 || port > 65535) {
+            throw new Error(`Invalid app port: ${options.port}`);
+        }
+
+        const env = options.env || {};
+        const invalidKeys = Object.keys(env).filter(key => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key));
+        if (invalidKeys.length > 0) {
+            throw new Error(`Invalid environment variable name(s): ${invalidKeys.join(', ')}`);
+        }
+
+        // Each value is a single line of the unit file
+        const multilineKeys = Object.keys(env).filter(key => /[\r\n]/.test(String(env[key])));
+        if (multilineKeys.length > 0) {
+            throw new Error(`Environment variable values must be single lines: ${multilineKeys.join(', ')}`);
+        }
+
+        const startCommand = options.start || 'npm start';
+        if (/[\r\n]/.test(startCommand)) {
+            throw new Error('The start command must be a single line');
+        }
+
+        const branch = options.branch || null;
+        if (branch && (!/^\w[\w./-]*$/.test(branch) || branch.includes('..') || /(\.lock|\/|\.)$/.test(branch))) {
+            throw new Error(`Invalid git branch: ${branch}`);
+        }
+
+        this.name = name;
+        this.source = source;
+        this.domain = names[0];
+        this.path = appPath.length > 1 ? appPath.replace(/\/+$/, '') : '/';
+        this.port = port;
+        this.env = env;
+        this.startCommand = startCommand;
+        this.branch = branch;
+        this.nodeManager = options.nodeManager || 'nodesource';
+    }
+
+    getServiceName() {
+        return `node-app-${this.name}`;
+    }
+
+    getAppDir() {
+        return `${this.userHomeDir}/apps/${this.name}`;
+    }
+
+    // The location as written in the nginx config: '/' or '/api/'
+    getLocation() {
+        return this.path === '/' ? '/' : `${this.path}/`;
+    }
+
+    isGitSource() {
+        return /^(https?:\/\/|ssh:\/\/|git@)/.test(this.source) || /\.git$/.test(this.source);
+    }
+
+    async resolveUser(conn) {
+        const userResult = await this.executeCommand(conn, 'id -un && echo "$HOME"', 'Resolving SSH user and home directory', true);
+        const [userName, homeDir] = userResult.output.trim().split('\n');
+        if (userResult.exitCode !== 0 || !homeDir) {
+            throw new Error('Could not resolve the home directory of the SSH user');
+        }
+        this.userName = userName.trim();
+        this.userHomeDir = homeDir.trim();
+    }
+
+    async resolveNodeBinary(conn) {
+        const nodeInstaller = new NodeJSInstaller();
+        nodeInstaller.setNodeOptions(undefined, this.nodeManager);
+
+        const nodeResult = await this.executeCommand(
+            conn,
+            `${nodeInstaller.getShellPrefix()}command -v node`,
+            'Locating the node binary',
+            true
+        );
+
+        if (nodeResult.exitCode === 0 && nodeResult.output.trim()) {
+            return { prefix: nodeInstaller.getShellPrefix(), nodeDir: path.posix.dirname(nodeResult.output.trim()) };
+        }
+        if (this.plan && this.plan.includesComponent('node')) {
+            this.log('📝 [dry-run] Assuming the planned Node.js installation');
+            return { prefix: nodeInstaller.getShellPrefix(), nodeDir: '/usr/bin' };
+        }
+        throw new Error(`Node.js is not installed (${this.nodeManager}). Please install Node.js first.`);
+    }
+
+    async checkNginxInstalled(conn) {
+        if (this.plan && this.plan.includesComponent('nginx')) {
+            return true;
+        }
+
+        const nginxCheck = await this.executeCommand(
+            conn,
+            'command -v nginx >/dev/null 2>&1 || test -x /usr/sbin/nginx',
+            'Checking if nginx is installed',
+            true
+        );
+        return nginxCheck.exitCode === 0;
+    }
+
+    // Packs a local directory into a temporary tarball, leaving out node_modules and .git
+    packDirectory(directory) {
+        const archivePath = path.join(os.tmpdir(), `${this.name}-${Date.now()}.tar.gz`);
+        execFileSync('tar', ['-czf', archivePath, '--exclude=node_modules', '--exclude=.git', '-C', directory, '.']);
+        return archivePath;
+    }
+
+    async fetchSource(conn, targetDir) {
+        if (this.isGitSource()) {
+            const gitCheck = await this.executeCommand(conn, 'command -v git >/dev/null 2>&1', 'Checking if git is installed', true);
+            if (gitCheck.exitCode !== 0) {
+                await this.executeCommand(conn, 'sudo apt install -y git', 'Installing git');
+            }
+
+            const cloneResult = await this.executeCommand(
+                conn,
+                `git clone --depth 1${this.branch ? ` --branch ${this.branch}` : ''} -- ${shellQuote(this.source)} ${targetDir}`,
+                `Cloning ${this.source}`
+            );
+
+            if (cloneResult.exitCode !== 0) {
+                throw new Error(`Could not clone ${this.source}`);
+            }
+            return;
+        }
+
+        if (!fs.existsSync(this.source)) {
+            throw new Error(`App source not found: ${this.source}`);
+        }
+
+        const isDirectory = fs.statSync(this.source).isDirectory();
+        if (!isDirectory && !/\.(tar\.gz|tgz)$/.test(this.source)) {
+            throw new Error('App source must be a directory, a .tar.gz/.tgz tarball or a git URL');
+        }
+
+        // Nothing is packed in dry-run, the upload is only recorded
+        const archivePath = isDirectory && !this.plan ? this.packDirectory(this.source) : this.source;
+        const remoteArchive = `/tmp/${this.name}-app.tar.gz`;
+
+        try {
+            await this.uploadFile(conn, archivePath, remoteArchive, 'Uploading app archive to server');
+        } finally {
+            if (archivePath !== this.source) {
+                fs.rmSync(archivePath, { force: true });
+            }
+        }
+
+        this.registerRollback('Removing uploaded app archive', `rm -f ${remoteArchive}`);
+
+        // Tarballs from `npm pack` or GitHub wrap everything in one top-level directory
+        const extractResult = await this.executeCommand(
+            conn,
+            `mkdir -p ${targetDir} && if tar -tzf ${remoteArchive} | grep -qE '^(\\./)?package\\.json$'; then tar -xzf ${remoteArchive} -C ${targetDir}; else tar -xzf ${remoteArchive} -C ${targetDir} --strip-components=1; fi && rm -f ${remoteArchive}`,
+            'Extracting app archive'
+        );
+
+        if (extractResult.exitCode !== 0) {
+            throw new Error('Could not extract the app archive');
+        }
+    }
+
+    async installDependencies(conn, prefix) {
+        const appDir = this.getAppDir();
+
+        const manifestCheck = await this.executeCommand(conn, `test -f ${appDir}/package.json`, 'Checking for package.json', true);
+        if (manifestCheck.exitCode !== 0 && !this.plan) {
+            throw new Error(`No package.json found in ${appDir}`);
+        }
+
+        const installResult = await this.executeCommand(
+            conn,
+            `cd ${appDir} && ${prefix}if [ -f package-lock.json ]; then npm ci --omit=dev; else npm install --omit=dev; fi`,
+            'Installing app dependencies'
+        );
+
+        if (installResult.exitCode !== 0) {
+            throw new Error('npm could not install the app dependencies');
+        }
+    }
+
+    buildUnitFile(nodeDir) {
+        // systemd expands % specifiers and needs quotes escaped inside Environment=
+        const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/%/g, '%%')}"`;
+        const env = {
+            NODE_ENV: 'production',
+            PORT: String(this.port),
+            ...this.env,
+            PATH: `${nodeDir}:/usr/local/bin:/usr/bin:/bin`
+        };
+
+        return `[Unit]
+Description=Node.js app ${this.name}
+After=network.target
+
+[Service]
+Type=simple
+User=${this.userName}
+WorkingDirectory=${this.getAppDir()}
+${Object.entries(env).map(([key, value]) => `Environment=${quote(`${key}=${value}`)}`).join('\n')}
+ExecStart=/usr/bin/env ${this.startCommand}
+Restart=always
+RestartSec=5
+
+[Install]
+WantedBy=multi-user.target`;
+    }
+
+    async installService(conn, nodeDir) {
+        const serviceName = this.getServiceName();
+        const unitFile = `/etc/systemd/system/${serviceName}.service`;
+
+        const unitCheck = await this.executeCommand(conn, `test -f ${unitFile}`, 'Checking for an existing service', true);
+
+        await this.executeCommand(
+            conn,
+            `cat > /tmp/${serviceName}.service << 'EOF'
+${this.buildUnitFile(nodeDir)}
+EOF`,
+            'Creating systemd unit file'
+        );
+
+        await this.backupPath(conn, unitFile, 'existing systemd unit');
+        if (unitCheck.exitCode !== 0) {
+            // Runs before the unit file is removed again
+            this.registerRollback(`Stopping ${serviceName}`, `sudo systemctl disable --now ${serviceName}`);
+        }
+
+        await this.executeCommand(
+            conn,
+            `sudo mv /tmp/${serviceName}.service ${unitFile} && sudo chown root:root ${unitFile} && sudo chmod 644 ${unitFile}`,
+            'Installing systemd unit file'
+        );
+
+        const startResult = await this.executeCommand(
+            conn,
+            `sudo systemctl daemon-reload && sudo systemctl enable ${serviceName} && sudo systemctl restart ${serviceName}`,
+            `Starting ${serviceName}`
+        );
+
+        if (startResult.exitCode !== 0) {
+            throw new Error(`Could not start ${serviceName}`);
+        }
+
+        // Give the app a moment to crash on startup errors before checking
+        const activeResult = await this.executeCommand(
+            conn,
+            `sleep 3 && systemctl is-active ${serviceName}`,
+            `Checking that ${serviceName} keeps running`
+        );
+
+        if (activeResult.exitCode !== 0) {
+            const journal = await this.executeCommand(
+                conn,
+                `sudo journalctl -u ${serviceName} -n 20 --no-pager`,
+                'Reading service log',
+                true
+            );
+            this.log(journal.output);
+            throw new Error(`${serviceName} did not stay running`);
+        }
+
+        this.log(`✅ ${serviceName} is running on port ${this.port}`);
+    }
+
+    buildLocationBlock() {
+        const upstream = this.path === '/' ? `http://127.0.0.1:${this.port}` : `http://127.0.0.1:${this.port}/`;
+        return block('location', this.getLocation(), [
+            comment(`node-app: ${this.name}`),
+            directive('proxy_pass', upstream),
+            ...nginxConfig.proxyHeaders()
+        ]);
+    }
+
+    // True if the location block was written by this app
+    isOwnLocation(locationBlock) {
+        return nginxConfig.hasComment(locationBlock, `node-app: ${this.name}`);
+    }
+
+    buildSiteConfig(hasSSL) {
+        return nginxConfig.renderConfig([
+            comment(`Node.js app ${this.name} configuration for ${this.domain}`),
+            ...nginxConfig.siteServerBlocks(this.domain, hasSSL, [this.buildLocationBlock()])
+        ]);
+    }
+
+    async updateNginxConfig(conn, hasSSL) {
+        const configFile = `/etc/nginx/conf.d/${this.domain}.conf`;
+        const location = this.getLocation();
+        const port = hasSSL ? 443 : 80;
+
+        const readConfig = await this.executeCommand(conn, `sudo cat ${configFile}`, 'Reading existing nginx configuration', true);
+        let configContent;
+
+        if (readConfig.exitCode === 0) {
+            const config = nginxConfig.parseConfig(readConfig.output);
+            const server = nginxConfig.findServerBlocks(config, port)[0];
+            if (!server) {
+                throw new Error(`Could not find a server block listening on port ${port} in ${configFile}`);
+            }
+
+            const existingBlock = nginxConfig.findLocation(server, location);
+            if (existingBlock && !this.isOwnLocation(existingBlock)) {
+                throw new Error(`location ${location} in ${configFile} is already used by another site`);
+            }
+
+            // Redeploy replaces our own block in place, e.g. after a port change
+            nginxConfig.setLocation(server, this.buildLocationBlock());
+            configContent = nginxConfig.renderConfig(config);
+            this.log(`📄 ${existingBlock ? 'Updating' : 'Adding'} location ${location} in the existing configuration for ${this.domain}`);
+        } else {
+            configContent = this.buildSiteConfig(hasSSL);
+            this.log(`📝 Creating nginx configuration for ${this.domain}`);
+        }
+
+        await this.executeCommand(
+            conn,
+            `cat > /tmp/${this.domain}-app.conf << 'EOF'
+${configContent}
+EOF`,
+            'Writing nginx configuration'
+        );
+
+        await this.backupPath(conn, configFile, 'existing nginx configuration');
+
+        await this.executeCommand(
+            conn,
+            `sudo mv /tmp/${this.domain}-app.conf ${configFile} && sudo chown root:root ${configFile} && sudo chmod 644 ${configFile}`,
+            'Installing nginx configuration'
+        );
+
+        const testResult = await this.executeCommand(conn, 'sudo nginx -t', 'Testing nginx configuration');
+        if (testResult.exitCode !== 0) {
+            throw new Error('Nginx configuration test failed');
+        }
+
+        await this.executeCommand(conn, 'sudo systemctl reload nginx', 'Reloading nginx configuration');
+        this.log('✅ Nginx reverse proxy configured');
+    }
+
+    async installNodeApp(conn) {
+        if (!this.name || !this.source || !this.domain) {
+            throw new Error('App name, source and domain are required');
+        }
+
+        this.log(`🚀 Deploying Node.js app ${this.name}...`);
+
+        try {
+            if (!(await this.checkNginxInstalled(conn))) {
+                throw new Error('Nginx is not installed. Please install Nginx first.');
+            }
+
+            const { prefix, nodeDir } = await this.resolveNodeBinary(conn);
+            await this.resolveUser(conn);
+
+            const sslStatus = await this.checkSSLStatus(conn, this.domain);
+            const hasSSL = sslStatus.hasSSL;
+
+            // Rollback runs in reverse: stop a new service, put the previous
+            // files back, restart the previous app and reload nginx last
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+            if (hasSSL) {
+                await this.ensureTlsParams(conn);
+            }
+            this.registerRollback(
+                'Restarting the previous app version',
+                `sudo systemctl daemon-reload && (sudo systemctl try-restart ${this.getServiceName()} || true)`
+            );
+
+            await this.backupPath(conn, this.getAppDir(), 'previous app release', { move: true });
+
+            await this.executeCommand(conn, `mkdir -p ${this.userHomeDir}/apps`, 'Creating apps directory');
+            await this.fetchSource(conn, this.getAppDir());
+            await this.installDependencies(conn, prefix);
+            await this.installService(conn, nodeDir);
+            await this.updateNginxConfig(conn, hasSSL);
+
+            await this.commitRollback(conn);
+
+            const url = `${hasSSL ? 'https' : 'http'}://${this.domain}${this.path === '/' ? '/' : `${this.path}/`}`;
+            this.log(`🎉 ${this.name} deployed successfully!`);
+            this.log(`📁 App directory: ${this.getAppDir()}`);
+            this.log(`⚙️ Service: ${this.getServiceName()}.service`);
+            this.log(`🔗 URL: ${url}`);
+
+            return {
+                success: true,
+                name: this.name,
+                domain: this.domain,
+                path: this.path,
+                port: this.port,
+                appDir: this.getAppDir(),
+                service: this.getServiceName(),
+                url,
+                hasSSL
+            };
+        } catch (error) {
+            this.log(`❌ App deployment failed: ${error.message}`);
+            await this.rollback(conn);
+            throw error;
+        }
+    }
+
+    async uninstall(conn) {
+        if (!this.name || !this.domain) {
+            throw new Error('App name and domain are required');
+        }
+
+        await this.resolveUser(conn);
+        const serviceName = this.getServiceName();
+        const configFile = `/etc/nginx/conf.d/${this.domain}.conf`;
+
+        this.log(`🧹 Removing Node.js app ${this.name}...`);
+
+        try {
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+
+            const readConfig = await this.executeCommand(conn, `sudo cat ${configFile}`, 'Reading nginx configuration', true);
+            if (readConfig.exitCode === 0) {
+                const config = nginxConfig.parseConfig(readConfig.output);
+                const ownServers = nginxConfig.findBlocks(config, 'server').filter(server => {
+                    const locationBlock = nginxConfig.findLocation(server, this.getLocation());
+                    return locationBlock && this.isOwnLocation(locationBlock);
+                });
+
+                ownServers.forEach(server => nginxConfig.removeLocation(server, this.getLocation()));
+
+                if (readConfig.output.startsWith(`# Node.js app ${this.name} configuration`) && nginxConfig.isSiteEmpty(config)) {
+                    // The whole site was created for this app and nothing else was added since
+                    await this.backupPath(conn, configFile, 'nginx configuration', { move: true });
+                } else if (ownServers.length > 0) {
+                    await this.backupPath(conn, configFile, 'nginx configuration');
+                    await this.executeCommand(
+                        conn,
+                        `cat > /tmp/${this.domain}-app.conf << 'EOF'
+${nginxConfig.renderConfig(config)}
+EOF`,
+                        'Writing nginx configuration without the app location'
+                    );
+                    await this.executeCommand(
+                        conn,
+                        `sudo mv /tmp/${this.domain}-app.conf ${configFile} && sudo chown root:root ${configFile} && sudo chmod 644 ${configFile}`,
+                        'Installing nginx configuration'
+                    );
+                } else {
+                    this.log(`ℹ️ No location ${this.getLocation()} for ${this.name} found in ${configFile}`);
+                }
+            }
+
+            const testResult = await this.executeCommand(conn, 'sudo nginx -t', 'Testing nginx configuration');
+            if (testResult.exitCode !== 0) {
+                throw new Error('Nginx configuration test failed');
+            }
+            await this.executeCommand(conn, 'sudo systemctl reload nginx', 'Reloading nginx configuration');
+
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+
+        await this.executeCommand(
+            conn,
+            `sudo systemctl disable --now ${serviceName} 2>/dev/null; sudo rm -f /etc/systemd/system/${serviceName}.service && sudo systemctl daemon-reload`,
+            `Removing ${serviceName}`
+        );
+
+        await this.executeCommand(conn, `rm -rf ${this.getAppDir()}`, 'Removing app directory');
+
+        this.log(`🎉 Node.js app ${this.name} has been removed`);
+        return { removed: true, name: this.name, domain: this.domain };
+    }
+
+    async run() {
+        let conn;
+
+        try {
+            conn = await this.connect();
+            const result = await this.installNodeApp(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.success), result });
+
+            if (result.success) {
+                this.log('✅ App deployment completed successfully!');
+            }
+        } catch (error) {
+            this.log(`❌ Deployment failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exit(1);
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { env: {} };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+            case '-h':
+                config.host = args[++i];
+                break;
+            case '--username':
+            case '-u':
+                config.username = args[++i];
+                break;
+            case '--key':
+            case '-k':
+                config.privateKeyPath = args[++i];
+                break;
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]) || 22;
+                break;
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--dry-run':
+                config.dryRun = true;
+                break;
+            case '--json':
+                config.json = true;
+                break;
+            case '--name':
+            case '-n':
+                config.name = args[++i];
+                break;
+            case '--source':
+            case '-s':
+                config.source = args[++i];
+                break;
+            case '--branch':
+                config.branch = args[++i];
+                break;
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--path':
+                config.path = args[++i];
+                break;
+            case '--app-port':
+                config.appPort = args[++i];
+                break;
+            case '--env': {
+                const pair = args[++i] || '';
+                const separator = pair.indexOf('=');
+                if (separator > 0) {
+                    config.env[pair.slice(0, separator)] = pair.slice(separator + 1);
+                }
+                break;
+            }
+            case '--start':
+                config.start = args[++i];
+                break;
+            case '--node-manager':
+                config.nodeManager = args[++i];
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    config.port = config.port || 22;
+    config.username = config.username || 'admin';
+
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+🚀 Node.js App Deployer
+
+Deploys a Node.js app as a systemd service behind an nginx reverse proxy.
+
+USAGE:
+  node node-app-installer.js --host HOST --username USER --key KEYFILE --name NAME --source SOURCE --domain DOMAIN [OPTIONS]
+
+SSH OPTIONS:
+  --host, -h HOST          SSH host/IP address
+  --username, -u USER      SSH username (default: admin)
+  --key, -k PATH           Path to SSH private key file
+  --port, -p PORT          SSH port (default: 22)
+  --passphrase PASS        SSH key passphrase (if required)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+
+APP OPTIONS:
+  --name, -n NAME          App name; the service is node-app-NAME, the code goes to ~/apps/NAME
+  --source, -s SOURCE      Local directory, .tar.gz/.tgz tarball or git URL
+  --branch BRANCH          Git branch or tag to deploy (git sources)
+  --domain, -d DOMAIN      Domain served by nginx
+  --path PATH              URL path of the app (default: /)
+  --app-port PORT          Port the app listens on, passed as PORT (default: 3000)
+  --env KEY=VALUE          Environment variable for the service (repeatable)
+  --start COMMAND          Start command (default: npm start)
+  --node-manager MANAGER   How Node.js was installed: nodesource (default), nvm or fnm
+  --help                   Show this help
+
+If a certificate for the domain exists, the app is served over HTTPS. An
+existing site for the domain gets an extra location block; otherwise a new
+site is created. Redeploying replaces the code and restarts the service; a
+failed deploy restores the previous release.
+
+EXAMPLES:
+  node node-app-installer.js -h 18.195.241.96 -k key.pem --name api --source ./api --domain example.com --path /api --app-port 4000
+  node node-app-installer.js -h 18.195.241.96 -k key.pem --name web --source https://github.com/me/web.git --branch main --domain example.com --env API_URL=https://example.com/api
+`);
+}
+
+// Run the installer if this file is executed directly
+if (require.main === module) {
+    const config = parseArgs();
+
+    if (!config.host || !config.privateKeyPath || !config.name || !config.source || !config.domain) {
+        showHelp();
+        process.exit(1);
+    }
+
+    const installer = new NodeAppInstaller();
+    installer.config = config;
+
+    try {
+        installer.setAppConfig(config.name, config.source, config.domain, {
+            path: config.path,
+            port: config.appPort,
+            env: config.env,
+            start: config.start,
+            branch: config.branch,
+            nodeManager: config.nodeManager
+        });
+        installer.validateConnectionConfig(installer.config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (config.dryRun) {
+        installer.enableDryRun();
+    }
+
+    installer.run().catch(console.error);
+}
+
+module.exports = NodeAppInstaller;
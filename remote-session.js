@@ -0,0 +1,611 @@
+const { Client } = require('ssh2');
+const fs = require('fs');
+const path = require('path');
+const ExecutionPlan = require('./execution-plan');
+const { TLS_PARAMS_PATH, DHPARAM_PATH, SNAPSHOT_DIR, SNAPSHOT_KEEP, TLS_PRESETS, tlsParams, renderConfig } = require('./nginx-config');
+
+/**
+ * Shared SSH session layer
+ *
+ * Every installer extends this class to get connection handling, command
+ * execution and progress logging. Commands resolve with
+ * { output, errorOutput, exitCode } and never reject on a non-zero exit code,
+ * so callers decide themselves whether a failure is fatal.
+ *
+ * In dry-run mode, visible commands and uploads are recorded in an
+ * ExecutionPlan instead of being executed. Silent commands are read-only
+ * probes by convention and still run, so the plan reflects the real host.
+ * Installers that depend on another component check plan.includesComponent()
+ * to assume that component's planned state.
+ *
+ * Alongside the human-readable log, every session emits structured events
+ * (log, step, plan, result). They go to the event callback and, when
+ * config.json is set, to stdout as newline-delimited JSON.
+ *
+ * Steps that change the host register an inverse command with
+ * registerRollback(). If a later step fails, rollback() replays them newest
+ * first; commitRollback() drops them (and the backups) once the install
+ * succeeded. Before the first change below /etc/nginx, the whole tree is
+ * archived as a snapshot that outlives the session (see nginx-config-history.js).
+ */
+class RemoteSession {
+    constructor(progressCallback = null) {
+        this.config = {};
+        this.progressCallback = progressCallback;
+        this.component = 'session';
+        this.plan = null;
+        this.eventCallback = null;
+        this.stepCounter = 0;
+        this.rollbackActions = [];
+        this.backupDir = null;
+        this.nginxSnapshot = null;
+        // Set by commands whose result (not the log) is written to stdout
+        this.reserveStdout = false;
+    }
+
+    setEventCallback(callback) {
+        this.eventCallback = callback;
+    }
+
+    emitEvent(type, data = {}) {
+        const event = {
+            type,
+            timestamp: new Date().toISOString(),
+            host: this.config.label || this.config.host,
+            component: this.component,
+            ...data
+        };
+
+        if (this.config.json) {
+            console.log(JSON.stringify(event));
+        }
+        if (this.eventCallback) {
+            this.eventCallback(event);
+        }
+        return event;
+    }
+
+    log(message) {
+        // Fan-out runs label every line with the host it belongs to
+        const line = this.config.label
+            ? String(message).split('\n').map(part => `[${this.config.label}] ${part}`).join('\n')
+            : message;
+
+        // Keep stdout clean for machine-readable output
+        if (this.config.json || this.reserveStdout) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+        if (this.progressCallback) {
+            this.progressCallback(message);
+        }
+        this.emitEvent('log', { message: String(message) });
+    }
+
+    validateConnectionConfig(config) {
+        const required = ['host', 'privateKeyPath'];
+        const missing = required.filter(key => !config[key]);
+
+        if (missing.length > 0) {
+            const errorMsg = `❌ Missing required configuration: ${missing.join(', ')}`;
+            this.log(errorMsg);
+            throw new Error(errorMsg);
+        }
+
+        if (!fs.existsSync(config.privateKeyPath)) {
+            const errorMsg = `❌ SSH private key file not found: ${config.privateKeyPath}`;
+            this.log(errorMsg);
+            throw new Error(errorMsg);
+        }
+
+        this.log('✅ Configuration validated');
+    }
+
+    async connect() {
+        return new Promise((resolve, reject) => {
+            const conn = new Client();
+
+            this.log(`🔗 Connecting to ${this.config.username}@${this.config.host}:${this.config.port}...`);
+
+            conn.on('ready', () => {
+                this.log('✅ SSH connection established');
+                resolve(conn);
+            });
+
+            conn.on('error', (err) => {
+                this.log(`❌ SSH connection failed: ${err.message}`);
+                reject(err);
+            });
+
+            const connectConfig = {
+                host: this.config.host,
+                port: this.config.port,
+                username: this.config.username,
+                privateKey: fs.readFileSync(this.config.privateKeyPath)
+            };
+
+            if (this.config.passphrase) {
+                connectConfig.passphrase = this.config.passphrase;
+            }
+
+            conn.connect(connectConfig);
+        });
+    }
+
+    enableDryRun(plan = new ExecutionPlan()) {
+        this.plan = plan;
+        return plan;
+    }
+
+    printPlan() {
+        if (!this.plan) {
+            return;
+        }
+
+        if (this.config.json) {
+            this.emitEvent('plan', { plan: this.plan.toJSON() });
+        } else {
+            console.log(this.plan.toText());
+        }
+    }
+
+    async executeCommand(conn, command, description, suppressOutput = false) {
+        // Silent probes are internal checks and do not show up as steps
+        const stepId = suppressOutput ? null : `${this.component}-${++this.stepCounter}`;
+
+        if (this.plan && !suppressOutput) {
+            this.plan.recordCommand(this.component, description, command);
+            this.log(`📝 [dry-run] ${description}`);
+            this.emitEvent('step', { stepId, phase: 'planned', description, command });
+            return { output: '', errorOutput: '', exitCode: 0, dryRun: true };
+        }
+
+        if (stepId) {
+            this.emitEvent('step', { stepId, phase: 'start', description, command });
+        }
+        const startedAt = Date.now();
+
+        let result;
+        try {
+            result = await this.runCommand(conn, command, description, suppressOutput);
+        } catch (error) {
+            if (stepId) {
+                this.emitEvent('step', { stepId, phase: 'fail', description, durationMs: Date.now() - startedAt, error: error.message });
+            }
+            throw error;
+        }
+
+        if (stepId) {
+            this.emitEvent('step', {
+                stepId,
+                phase: result.exitCode === 0 ? 'success' : 'fail',
+                description,
+                exitCode: result.exitCode,
+                durationMs: Date.now() - startedAt,
+                stdout: excerpt(result.output),
+                stderr: excerpt(result.errorOutput)
+            });
+        }
+
+        // A probe may fail only because this installer's planned steps were not applied
+        // (e.g. verifying a package it would have installed), so treat it as passing
+        if (this.plan && result.exitCode !== 0 && this.plan.includesComponent(this.component)) {
+            return { output: '', errorOutput: '', exitCode: 0, dryRun: true };
+        }
+
+        return result;
+    }
+
+    // Counterpart of each installer's run() for `installer-cli.js uninstall`;
+    // installers implement uninstall(conn)
+    async runUninstall() {
+        let conn;
+
+        try {
+            conn = await this.connect();
+            const result = await this.uninstall(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: true, result });
+            this.log(`✅ Uninstall of ${this.component} completed successfully!`);
+        } catch (error) {
+            this.log(`❌ Uninstall failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exitCode = 1;
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+
+    registerRollback(description, command) {
+        this.rollbackActions.push({ description, command });
+    }
+
+    // Saves a remote file or directory (if it exists) and registers its restore.
+    // With move, the original is moved away so the step can start from scratch.
+    async backupPath(conn, remotePath, description, { move = false } = {}) {
+        if (remotePath === '/etc/nginx' || remotePath.startsWith('/etc/nginx/')) {
+            await this.snapshotNginxConfig(conn);
+        }
+
+        // A plain copy changes nothing worth reviewing in a dry-run plan
+        if (this.plan && !move) {
+            return;
+        }
+
+        if (!this.backupDir) {
+            this.backupDir = `/var/backups/debian-stack-installer/${this.component}-${Date.now()}`;
+            await this.executeCommand(conn, `sudo mkdir -p ${this.backupDir}`, 'Creating backup directory');
+        }
+
+        const backup = `${this.backupDir}/${this.rollbackActions.length}-${path.posix.basename(remotePath)}`;
+        const result = await this.executeCommand(
+            conn,
+            `if sudo test -e ${remotePath}; then sudo ${move ? 'mv' : 'cp -a'} ${remotePath} ${backup}; fi`,
+            `Backing up ${description}`
+        );
+
+        if (result.exitCode !== 0) {
+            throw new Error(`Could not back up ${remotePath}`);
+        }
+
+        // Restoring also removes whatever the install created where nothing existed before
+        this.registerRollback(
+            `Restoring ${description}`,
+            `sudo rm -rf ${remotePath} && if sudo test -e ${backup}; then sudo mv ${backup} ${remotePath}; fi`
+        );
+    }
+
+    // Archives /etc/nginx once per session as SNAPSHOT_DIR/<id>.tar.gz, keeping the
+    // newest SNAPSHOT_KEEP; ids sort by time and name the component, e.g. 20261019-153012-static
+    async snapshotNginxConfig(conn) {
+        if (this.nginxSnapshot) {
+            return this.nginxSnapshot;
+        }
+
+        const id = `${new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15)}-${this.component}`;
+        const snapshotResult = await this.executeCommand(
+            conn,
+            `sudo sh -c 'if [ -d /etc/nginx ]; then mkdir -p ${SNAPSHOT_DIR} && chmod 700 ${SNAPSHOT_DIR} && tar -czf ${SNAPSHOT_DIR}/${id}.tar.gz -C /etc nginx && ls -1t ${SNAPSHOT_DIR}/*.tar.gz | tail -n +${SNAPSHOT_KEEP + 1} | xargs -r rm -f && echo saved; fi'`,
+            'Snapshotting nginx configuration'
+        );
+
+        if (snapshotResult.exitCode !== 0) {
+            throw new Error(`Could not snapshot /etc/nginx to ${SNAPSHOT_DIR}`);
+        }
+
+        // Nothing to archive before nginx is installed
+        if (snapshotResult.dryRun || snapshotResult.output.includes('saved')) {
+            this.nginxSnapshot = id;
+            if (!snapshotResult.dryRun) {
+                this.log(`📸 Nginx configuration saved as snapshot ${id}`);
+            }
+        }
+        return this.nginxSnapshot;
+    }
+
+    async rollback(conn) {
+        const actions = this.rollbackActions.reverse();
+        this.rollbackActions = [];
+
+        if (actions.length === 0) {
+            return;
+        }
+
+        if (this.plan) {
+            this.log(`📝 [dry-run] Would roll back ${actions.length} step(s)`);
+            return;
+        }
+
+        this.log(`↩️ Rolling back ${actions.length} step(s)...`);
+        for (const action of actions) {
+            try {
+                const result = await this.executeCommand(conn, action.command, `Rollback: ${action.description}`);
+                if (result.exitCode !== 0) {
+                    this.log(`⚠️ Rollback step did not complete: ${action.description}`);
+                }
+            } catch (error) {
+                this.log(`⚠️ Rollback step failed: ${action.description} (${error.message})`);
+            }
+        }
+
+        // Only succeeds once every backup has been moved back into place
+        if (this.backupDir) {
+            await this.executeCommand(conn, `sudo rmdir ${this.backupDir} 2>/dev/null || true`, 'Removing empty backup directory');
+            this.backupDir = null;
+        }
+
+        this.emitEvent('rollback', { steps: actions.map(action => action.description) });
+        this.log('↩️ Rollback finished');
+    }
+
+    async commitRollback(conn) {
+        this.rollbackActions = [];
+
+        if (this.backupDir) {
+            await this.executeCommand(conn, `sudo rm -rf ${this.backupDir}`, 'Removing backups');
+            this.backupDir = null;
+        }
+    }
+
+    async runCommand(conn, command, description, suppressOutput) {
+        return new Promise((resolve, reject) => {
+            if (!suppressOutput) {
+                this.log(`🔄 ${description}...`);
+            }
+
+            conn.exec(command, (err, stream) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                let output = '';
+                let errorOutput = '';
+
+                stream.on('close', (code, signal) => {
+                    if (code === 0) {
+                        if (!suppressOutput) {
+                            this.log(`✅ ${description} completed`);
+                        }
+                    } else if (!suppressOutput) {
+                        this.log(`❌ ${description} failed (exit code: ${code})`);
+                        if (errorOutput) {
+                            this.log(`Error output: ${errorOutput}`);
+                        }
+                    }
+                    resolve({ output, errorOutput, exitCode: code });
+                });
+
+                stream.on('data', (data) => {
+                    output += data.toString();
+                    if (!suppressOutput) {
+                        this.log(data.toString().trim());
+                    }
+                });
+
+                stream.stderr.on('data', (data) => {
+                    errorOutput += data.toString();
+                    if (!suppressOutput) {
+                        this.log(`STDERR: ${data.toString().trim()}`);
+                    }
+                });
+            });
+        });
+    }
+
+    // The user and group nginx workers run as, from nginx.conf: www-data for Debian's
+    // package, nginx for the nginx.org packages
+    async getNginxWorker(conn) {
+        const workerResult = await this.executeCommand(
+            conn,
+            `u=$(sed -n 's/^\\s*user\\s\\+\\([^; ]\\+\\).*/\\1/p' /etc/nginx/nginx.conf | head -n 1); [ -n "$u" ] && echo "$u $(id -gn "$u")"`,
+            'Looking up the nginx worker user',
+            true
+        );
+        const [user, group] = workerResult.output.trim().split(' ');
+        return workerResult.exitCode === 0 && /^[\w.-]+$/.test(user || '') && /^[\w.-]+$/.test(group || '')
+            ? { user, group }
+            : { user: 'www-data', group: 'www-data' };
+    }
+
+    // Shared by installers that add HTTPS server blocks for a domain
+    async checkSSLStatus(conn, domain) {
+        this.log(`🔍 Checking SSL certificate status for ${domain}...`);
+
+        try {
+            const sslCheck = await this.executeCommand(
+                conn,
+                `sudo ls /etc/letsencrypt/live/${domain}/fullchain.pem >/dev/null 2>&1 && echo "SSL exists" || echo "SSL not found"`,
+                'Checking SSL certificate status',
+                true
+            );
+
+            if (sslCheck.output.includes('SSL exists')) {
+                const names = await this.getCertificateNames(conn, domain);
+                this.log(`✅ SSL certificate found for ${domain}${names.length > 1 ? ` (covers ${names.join(', ')})` : ''}`);
+                return { hasSSL: true, names };
+            } else if (this.plan && this.plan.includesComponent('ssl')) {
+                // The names of a planned certificate are not known yet
+                this.log(`📝 [dry-run] Assuming the planned SSL certificate for ${domain}`);
+                return { hasSSL: true, names: null };
+            } else {
+                this.log(`ℹ️ SSL certificate not found for ${domain}`);
+                return { hasSSL: false };
+            }
+        } catch (error) {
+            this.log(`❌ Error checking SSL status: ${error.message}`);
+            return { hasSSL: false };
+        }
+    }
+
+    // The DNS names (subject alternative names) of the certificate stored under the domain
+    async getCertificateNames(conn, domain) {
+        const namesResult = await this.executeCommand(
+            conn,
+            `sudo openssl x509 -in /etc/letsencrypt/live/${domain}/cert.pem -noout -text 2>/dev/null | grep -o 'DNS:[^,[:space:]]*'`,
+            'Reading certificate names',
+            true
+        );
+        return namesResult.output.split('\n')
+            .map(line => line.trim().replace(/^DNS:/, '').toLowerCase())
+            .filter(Boolean);
+    }
+
+    // Writes the TLS profile every generated SSL server block includes, and the
+    // DH parameters the intermediate profile needs. Callers test and reload nginx.
+    async writeTlsParams(conn, preset) {
+        const content = renderConfig(tlsParams(preset));
+        await this.snapshotNginxConfig(conn);
+
+        if (TLS_PRESETS[preset].dhparam) {
+            const dhparamCheck = await this.executeCommand(
+                conn,
+                `sudo test -s ${DHPARAM_PATH} && echo "exists" || true`,
+                'Checking DH parameters',
+                true
+            );
+
+            if (!dhparamCheck.output.includes('exists')) {
+                this.registerRollback('Removing generated DH parameters', `sudo rm -f ${DHPARAM_PATH}`);
+                const dhparamResult = await this.executeCommand(
+                    conn,
+                    `sudo openssl dhparam -out ${DHPARAM_PATH} 2048 2>/dev/null`,
+                    'Generating DH parameters (this can take a minute)'
+                );
+
+                if (dhparamResult.exitCode !== 0) {
+                    throw new Error('Could not generate DH parameters');
+                }
+            }
+        }
+
+        await this.executeCommand(
+            conn,
+            `cat > /tmp/tls-params.conf << 'EOF'
+${content}
+EOF`,
+            `Writing the ${preset} TLS profile`
+        );
+
+        await this.backupPath(conn, TLS_PARAMS_PATH, 'shared TLS profile');
+
+        const installResult = await this.executeCommand(
+            conn,
+            `sudo mkdir -p ${path.posix.dirname(TLS_PARAMS_PATH)} && sudo mv /tmp/tls-params.conf ${TLS_PARAMS_PATH} && sudo chown root:root ${TLS_PARAMS_PATH} && sudo chmod 644 ${TLS_PARAMS_PATH}`,
+            'Installing shared TLS profile'
+        );
+
+        if (installResult.exitCode !== 0) {
+            throw new Error(`Could not write ${TLS_PARAMS_PATH}`);
+        }
+    }
+
+    // Hosts whose nginx predates the hardening step have no TLS profile yet
+    async ensureTlsParams(conn) {
+        const paramsCheck = await this.executeCommand(
+            conn,
+            `sudo test -s ${TLS_PARAMS_PATH} && echo "exists" || true`,
+            'Checking shared TLS profile',
+            true
+        );
+
+        if (paramsCheck.output.includes('exists') || (this.plan && this.plan.includesComponent('nginx'))) {
+            return;
+        }
+
+        this.log('🔐 No shared TLS profile found - adding the intermediate profile');
+        await this.writeTlsParams(conn, 'intermediate');
+    }
+
+    async uploadFile(conn, localPath, remotePath, description) {
+        const stepId = `${this.component}-${++this.stepCounter}`;
+        const upload = { from: localPath, to: remotePath };
+
+        if (this.plan) {
+            this.plan.recordUpload(this.component, description, localPath, remotePath);
+            this.log(`📝 [dry-run] ${description}`);
+            this.emitEvent('step', { stepId, phase: 'planned', description, upload });
+            return remotePath;
+        }
+
+        this.log(`📤 ${description}...`);
+        this.emitEvent('step', { stepId, phase: 'start', description, upload });
+        const startedAt = Date.now();
+
+        return new Promise((resolve, reject) => {
+            conn.sftp((err, sftp) => {
+                if (err) {
+                    this.emitEvent('step', { stepId, phase: 'fail', description, upload, durationMs: Date.now() - startedAt, error: err.message });
+                    reject(err);
+                    return;
+                }
+
+                const readStream = fs.createReadStream(localPath);
+                const writeStream = sftp.createWriteStream(remotePath);
+
+                writeStream.on('close', () => {
+                    this.log(`✅ ${description} completed`);
+                    this.emitEvent('step', { stepId, phase: 'success', description, upload, durationMs: Date.now() - startedAt });
+                    sftp.end();
+                    resolve(remotePath);
+                });
+
+                writeStream.on('error', (err) => {
+                    this.log(`❌ ${description} failed: ${err.message}`);
+                    this.emitEvent('step', { stepId, phase: 'fail', description, upload, durationMs: Date.now() - startedAt, error: err.message });
+                    sftp.end();
+                    reject(err);
+                });
+
+                readStream.pipe(writeStream);
+            });
+        });
+    }
+
+    // Uploads files (paths relative to localDir) into remoteDir over one SFTP
+    // session; the target directories must exist. Resolves to the bytes sent.
+    async uploadFiles(conn, localDir, remoteDir, files, description) {
+        const stepId = `${this.component}-${++this.stepCounter}`;
+        const upload = { from: localDir, to: remoteDir, files: files.length };
+
+        if (this.plan) {
+            this.plan.recordUpload(this.component, description, localDir, remoteDir);
+            this.log(`📝 [dry-run] ${description}`);
+            this.emitEvent('step', { stepId, phase: 'planned', description, upload });
+            return files.reduce((total, file) => total + fs.statSync(path.join(localDir, file)).size, 0);
+        }
+
+        this.log(`📤 ${description}...`);
+        this.emitEvent('step', { stepId, phase: 'start', description, upload });
+        const startedAt = Date.now();
+
+        return new Promise((resolve, reject) => {
+            conn.sftp(async (err, sftp) => {
+                const fail = (error) => {
+                    this.log(`❌ ${description} failed: ${error.message}`);
+                    this.emitEvent('step', { stepId, phase: 'fail', description, upload, durationMs: Date.now() - startedAt, error: error.message });
+                    reject(error);
+                };
+
+                if (err) {
+                    fail(err);
+                    return;
+                }
+
+                let bytes = 0;
+                try {
+                    for (const file of files) {
+                        const localPath = path.join(localDir, file);
+                        await new Promise((done, failed) => {
+                            sftp.fastPut(localPath, path.posix.join(remoteDir, file), (error) => (error ? failed(new Error(`${file}: ${error.message}`)) : done()));
+                        });
+                        bytes += fs.statSync(localPath).size;
+                    }
+                } catch (error) {
+                    sftp.end();
+                    fail(error);
+                    return;
+                }
+
+                sftp.end();
+                this.log(`✅ ${description} completed`);
+                this.emitEvent('step', { stepId, phase: 'success', description, upload, durationMs: Date.now() - startedAt });
+                resolve(bytes);
+            });
+        });
+    }
+}
+
+// Keeps the tail of command output, where errors usually are
+function excerpt(text, maxLength = 2000) {
+    if (!text) {
+        return '';
+    }
+    return text.length > maxLength ? `...${text.slice(-maxLength)}` : text;
+}
+
+module.exports = RemoteSession;
@@ -9,24 +9,63 @@ const elements = {
     privateKeyPath: document.getElementById('privateKeyPath'),
     selectPemBtn: document.getElementById('selectPemBtn'),
     installNodejs: document.getElementById('installNodejs'),
+    nodejsConfig: document.getElementById('nodejsConfig'),
+    nodeVersion: document.getElementById('nodeVersion'),
+    nodeManager: document.getElementById('nodeManager'),
+    nodeGlobalPackages: document.getElementById('nodeGlobalPackages'),
+    nodePm2Startup: document.getElementById('nodePm2Startup'),
     installNginx: document.getElementById('installNginx'),
     installBasicTools: document.getElementById('installBasicTools'),
     installLetsEncrypt: document.getElementById('installLetsEncrypt'),
     installStaticWebsite: document.getElementById('installStaticWebsite'),
     installVscodeWeb: document.getElementById('installVscodeWeb'),
+    dryRun: document.getElementById('dryRun'),
     sslDomain: document.getElementById('sslDomain'),
     sslEmail: document.getElementById('sslEmail'),
+    sslAliases: document.getElementById('sslAliases'),
+    sslWww: document.getElementById('sslWww'),
+    sslWildcard: document.getElementById('sslWildcard'),
+    sslChallenge: document.getElementById('sslChallenge'),
+    sslRfc2136Config: document.getElementById('sslRfc2136Config'),
+    sslDnsServer: document.getElementById('sslDnsServer'),
+    sslDnsPort: document.getElementById('sslDnsPort'),
+    sslTsigKey: document.getElementById('sslTsigKey'),
+    sslTsigSecret: document.getElementById('sslTsigSecret'),
+    sslTsigAlgorithm: document.getElementById('sslTsigAlgorithm'),
+    sslHookConfig: document.getElementById('sslHookConfig'),
+    sslDnsHook: document.getElementById('sslDnsHook'),
+    selectDnsHookBtn: document.getElementById('selectDnsHookBtn'),
+    sslDnsOptions: document.getElementById('sslDnsOptions'),
+    sslDnsPropagation: document.getElementById('sslDnsPropagation'),
+    sslAcmeServer: document.getElementById('sslAcmeServer'),
     letsEncryptConfig: document.getElementById('letsEncryptConfig'),
     staticWebsiteConfig: document.getElementById('staticWebsiteConfig'),
     staticDomain: document.getElementById('staticDomain'),
     staticZipPath: document.getElementById('staticZipPath'),
     selectStaticZipBtn: document.getElementById('selectStaticZipBtn'),
+    selectStaticFolderBtn: document.getElementById('selectStaticFolderBtn'),
+    staticWebroot: document.getElementById('staticWebroot'),
+    staticProfile: document.getElementById('staticProfile'),
+    staticAliases: document.getElementById('staticAliases'),
+    staticWwwRedirect: document.getElementById('staticWwwRedirect'),
     vscodeWebConfig: document.getElementById('vscodeWebConfig'),
     vscodeDomain: document.getElementById('vscodeDomain'),
     vscodePath: document.getElementById('vscodePath'),
     vscodePassword: document.getElementById('vscodePassword'),
+    installReverseProxy: document.getElementById('installReverseProxy'),
+    reverseProxyConfig: document.getElementById('reverseProxyConfig'),
+    proxyDomain: document.getElementById('proxyDomain'),
+    proxyPath: document.getElementById('proxyPath'),
+    proxyUpstreams: document.getElementById('proxyUpstreams'),
+    proxyBalance: document.getElementById('proxyBalance'),
+    proxyTimeout: document.getElementById('proxyTimeout'),
+    proxyMaxBodySize: document.getElementById('proxyMaxBodySize'),
+    proxyWebsocket: document.getElementById('proxyWebsocket'),
     checkBtn: document.getElementById('checkBtn'),
     installBtn: document.getElementById('installBtn'),
+    loadSitesBtn: document.getElementById('loadSitesBtn'),
+    sitesArea: document.getElementById('sitesArea'),
+    sitesTableBody: document.getElementById('sitesTableBody'),
     statusArea: document.getElementById('statusArea'),
     alertArea: document.getElementById('alertArea'),
     resultArea: document.getElementById('resultArea'),
@@ -229,6 +268,21 @@ function showCheckResults(results) {
     }
 }
 
+function showPlan(planText) {
+    const heading = document.createElement('h6');
+    heading.className = 'mb-2';
+    heading.innerHTML = '<i class="fas fa-clipboard-list me-1"></i>Planned commands';
+
+    const planContent = document.createElement('div');
+    planContent.className = 'log-area';
+    planContent.textContent = planText;
+
+    elements.resultArea.innerHTML = '';
+    elements.resultArea.appendChild(heading);
+    elements.resultArea.appendChild(planContent);
+    elements.statusArea.style.display = 'block';
+}
+
 function clearResults() {
     elements.alertArea.innerHTML = '';
     elements.resultArea.innerHTML = '';
@@ -247,7 +301,7 @@ function addLog(message) {
     elements.logContent.scrollTop = elements.logContent.scrollHeight;
 }
 
-function validateForm() {
+function validateConnectionFields() {
     const required = ['host', 'port', 'username', 'privateKeyPath'];
 
     for (const field of required) {
@@ -269,6 +323,19 @@ function validateForm() {
         return false;
     }
 
+    return true;
+}
+
+// Comma- or space-separated domain names of a text field
+function splitNames(value) {
+    return value.split(/[\s,]+/).filter(Boolean);
+}
+
+function validateForm() {
+    if (!validateConnectionFields()) {
+        return false;
+    }
+
     // Validate SSL configuration if Let's Encrypt is selected
     if (elements.installLetsEncrypt.checked) {
         if (!elements.sslDomain.value.trim()) {
@@ -291,6 +358,40 @@ function validateForm() {
             return false;
         }
 
+        const invalidAlias = splitNames(elements.sslAliases.value).find(name => !domainRegex.test(name.replace(/^\*\./, '')));
+        if (invalidAlias) {
+            showAlert('danger', `Please enter valid additional names for the SSL certificate (${invalidAlias}).`);
+            elements.sslAliases.focus();
+            return false;
+        }
+
+        const challenge = elements.sslChallenge.value;
+        const hasWildcard = elements.sslWildcard.checked || splitNames(elements.sslAliases.value).some(name => name.startsWith('*.'));
+        if (hasWildcard && !challenge) {
+            showAlert('danger', 'Wildcard names can only be validated through DNS. Please select a DNS-01 validation.');
+            elements.sslChallenge.focus();
+            return false;
+        }
+
+        if (challenge === 'rfc2136') {
+            if (!/^[0-9a-fA-F.:]+$/.test(elements.sslDnsServer.value.trim())) {
+                showAlert('danger', 'Please enter the IP address of the DNS server.');
+                elements.sslDnsServer.focus();
+                return false;
+            }
+
+            if (!elements.sslTsigKey.value.trim() || !elements.sslTsigSecret.value.trim()) {
+                showAlert('danger', 'Please enter the TSIG key name and secret for the DNS updates.');
+                (elements.sslTsigKey.value.trim() ? elements.sslTsigSecret : elements.sslTsigKey).focus();
+                return false;
+            }
+        }
+
+        if (challenge === 'hook' && !elements.sslDnsHook.value.trim()) {
+            showAlert('danger', 'Please select the DNS hook script.');
+            return false;
+        }
+
         // Basic email validation
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(elements.sslEmail.value.trim())) {
@@ -309,7 +410,7 @@ function validateForm() {
         }
 
         if (!elements.staticZipPath.value.trim()) {
-            showAlert('danger', 'Please select a ZIP file for the static website.');
+            showAlert('danger', 'Please select a ZIP file or folder for the static website.');
             return false;
         }
 
@@ -321,10 +422,24 @@ function validateForm() {
             return false;
         }
 
-        // Check if ZIP file exists
+        const invalidAlias = splitNames(elements.staticAliases.value).find(name => !domainRegex.test(name));
+        if (invalidAlias) {
+            showAlert('danger', `Please enter valid additional names for the static website (${invalidAlias}).`);
+            elements.staticAliases.focus();
+            return false;
+        }
+
+        // Check if the ZIP file or folder exists
         const fs = require('fs');
         if (!fs.existsSync(elements.staticZipPath.value.trim())) {
-            showAlert('danger', 'The selected ZIP file does not exist.');
+            showAlert('danger', 'The selected ZIP file or folder does not exist.');
+            return false;
+        }
+
+        const webroot = elements.staticWebroot.value.trim();
+        if (webroot && !webroot.startsWith('/')) {
+            showAlert('danger', 'The webroot must be an absolute path such as /var/www.');
+            elements.staticWebroot.focus();
             return false;
         }
     }
@@ -366,6 +481,28 @@ function validateForm() {
         }
     }
 
+    // Validate Reverse Proxy configuration if selected
+    if (elements.installReverseProxy.checked) {
+        const domainRegex = /^([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)*[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?$/;
+        if (!domainRegex.test(elements.proxyDomain.value.trim())) {
+            showAlert('danger', 'Please enter a valid domain name for the reverse proxy.');
+            elements.proxyDomain.focus();
+            return false;
+        }
+
+        if (!elements.proxyUpstreams.value.trim()) {
+            showAlert('danger', 'Please enter at least one upstream for the reverse proxy.');
+            elements.proxyUpstreams.focus();
+            return false;
+        }
+
+        if (!(elements.proxyPath.value.trim() || '/').startsWith('/')) {
+            showAlert('danger', 'The reverse proxy path must start with /.');
+            elements.proxyPath.focus();
+            return false;
+        }
+    }
+
     return true;
 }
 
@@ -376,26 +513,61 @@ function getFormData() {
         username: elements.username.value.trim(),
         privateKeyPath: elements.privateKeyPath.value.trim(),
         passphrase: elements.passphrase.value.trim() || undefined,
+        dryRun: elements.dryRun.checked,
         installOptions: {
             nodejs: elements.installNodejs.checked,
             nginx: elements.installNginx.checked,
             basicTools: elements.installBasicTools.checked,
             letsEncrypt: elements.installLetsEncrypt.checked,
             staticWebsite: elements.installStaticWebsite.checked,
-            vscodeWeb: elements.installVscodeWeb.checked
+            vscodeWeb: elements.installVscodeWeb.checked,
+            reverseProxy: elements.installReverseProxy.checked
+        },
+        nodeConfig: {
+            version: elements.nodeVersion.value,
+            manager: elements.nodeManager.value,
+            globalPackages: elements.nodeGlobalPackages.value.split(',').map(name => name.trim()).filter(Boolean),
+            pm2Startup: elements.nodePm2Startup.checked
         },
         sslConfig: {
             domain: elements.sslDomain.value.trim(),
-            email: elements.sslEmail.value.trim()
+            email: elements.sslEmail.value.trim(),
+            aliases: splitNames(elements.sslAliases.value),
+            www: elements.sslWww.checked,
+            wildcard: elements.sslWildcard.checked,
+            acmeServer: elements.sslAcmeServer.value.trim() || undefined,
+            dns: elements.sslChallenge.value ? {
+                provider: elements.sslChallenge.value,
+                server: elements.sslDnsServer.value.trim(),
+                port: elements.sslDnsPort.value || undefined,
+                keyName: elements.sslTsigKey.value.trim(),
+                secret: elements.sslTsigSecret.value.trim(),
+                algorithm: elements.sslTsigAlgorithm.value,
+                script: elements.sslDnsHook.value.trim(),
+                propagationSeconds: elements.sslDnsPropagation.value || undefined
+            } : undefined
         },
         staticWebsiteConfig: {
             domain: elements.staticDomain.value.trim(),
-            zipFilePath: elements.staticZipPath.value.trim()
+            zipFilePath: elements.staticZipPath.value.trim(),
+            webroot: elements.staticWebroot.value.trim() || undefined,
+            profile: elements.staticProfile.value,
+            aliases: splitNames(elements.staticAliases.value),
+            wwwRedirect: elements.staticWwwRedirect.value || undefined
         },
         vscodeWebConfig: {
             domain: elements.vscodeDomain.value.trim(),
             path: elements.vscodePath.value.trim() || '/code',
             password: elements.vscodePassword.value.trim()
+        },
+        reverseProxyConfig: {
+            domain: elements.proxyDomain.value.trim(),
+            path: elements.proxyPath.value.trim() || '/',
+            upstreams: elements.proxyUpstreams.value.split(',').map(upstream => upstream.trim()).filter(Boolean),
+            balance: elements.proxyBalance.value,
+            timeout: elements.proxyTimeout.value || undefined,
+            maxBodySize: elements.proxyMaxBodySize.value.trim() || undefined,
+            websocket: elements.proxyWebsocket.checked
         }
     };
 }
@@ -444,11 +616,50 @@ elements.selectStaticZipBtn.addEventListener('click', async () => {
         showAlert('danger', 'Error selecting ZIP file.');
     } finally {
         // Restore button state
-        elements.selectStaticZipBtn.innerHTML = '<i class="fas fa-folder-open"></i>';
+        elements.selectStaticZipBtn.innerHTML = '<i class="fas fa-file-archive"></i>';
         elements.selectStaticZipBtn.disabled = false;
     }
 });
 
+// DNS hook script selection handler
+elements.selectDnsHookBtn.addEventListener('click', async () => {
+    try {
+        elements.selectDnsHookBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        elements.selectDnsHookBtn.disabled = true;
+
+        const filePath = await ipcRenderer.invoke('select-dns-hook');
+        if (filePath) {
+            elements.sslDnsHook.value = filePath;
+        }
+    } catch (error) {
+        console.error('Error selecting DNS hook script:', error);
+        showAlert('danger', 'Error selecting DNS hook script.');
+    } finally {
+        elements.selectDnsHookBtn.innerHTML = '<i class="fas fa-folder-open"></i>';
+        elements.selectDnsHookBtn.disabled = false;
+    }
+});
+
+// Folder selection handler, folders are synced file by file
+elements.selectStaticFolderBtn.addEventListener('click', async () => {
+    try {
+        elements.selectStaticFolderBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
+        elements.selectStaticFolderBtn.disabled = true;
+
+        const folderPath = await ipcRenderer.invoke('select-static-folder');
+        if (folderPath) {
+            elements.staticZipPath.value = folderPath;
+            showAlert('success', 'Folder selected, only changed files will be uploaded.');
+        }
+    } catch (error) {
+        console.error('Error selecting folder:', error);
+        showAlert('danger', 'Error selecting folder.');
+    } finally {
+        elements.selectStaticFolderBtn.innerHTML = '<i class="fas fa-folder-open"></i>';
+        elements.selectStaticFolderBtn.disabled = false;
+    }
+});
+
 elements.checkBtn.addEventListener('click', async () => {
     if (!validateForm()) return;
 
@@ -514,12 +725,20 @@ elements.installBtn.addEventListener('click', async () => {
     if (config.installOptions.letsEncrypt) {
         installLogOptions.push('SSL');
     }
-    addLog(`🚀 Starting installation of: ${installLogOptions.join(', ')}...`);
+    if (config.dryRun) {
+        addLog(`📝 Planning installation of: ${installLogOptions.join(', ')} (dry run)...`);
+    } else {
+        addLog(`🚀 Starting installation of: ${installLogOptions.join(', ')}...`);
+    }
 
     try {
         const result = await ipcRenderer.invoke('install-selected', config);
 
-        if (result.success) {
+        if (result.success && result.plan) {
+            addLog('✅ Dry run completed - no changes were made');
+            showAlert('success', 'Dry run completed. No changes were made to the server.');
+            showPlan(result.planText);
+        } else if (result.success) {
             addLog('✅ Installation completed successfully');
             showAlert('success', 'Selected components have been successfully installed!');
         } else {
@@ -535,6 +754,115 @@ elements.installBtn.addEventListener('click', async () => {
     }
 });
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showSites(sites) {
+    const rows = [];
+
+    for (const site of sites) {
+        const servers = site.servers.length > 0 ? site.servers : [null];
+        servers.forEach((server, index) => {
+            // Actions apply to the whole file, so they are shown once per site
+            const actions = index > 0 ? '' : `
+                <button type="button" class="btn btn-sm btn-outline-secondary site-action" data-action="${site.enabled ? 'disable' : 'enable'}" data-site="${escapeHtml(site.name)}">
+                    ${site.enabled ? 'Disable' : 'Enable'}
+                </button>
+                <button type="button" class="btn btn-sm btn-outline-danger site-action" data-action="remove" data-site="${escapeHtml(site.name)}">
+                    Remove
+                </button>`;
+
+            rows.push(`
+                <tr>
+                    <td>${index === 0 ? escapeHtml(site.name) : ''}</td>
+                    <td>${index === 0 ? `<span class="badge ${site.enabled ? 'bg-success' : 'bg-secondary'}">${site.enabled ? 'enabled' : 'disabled'}</span>` : ''}</td>
+                    <td>${server ? escapeHtml(server.serverNames.join(' ')) : ''}</td>
+                    <td>${server ? escapeHtml(server.listen.join(', ')) : ''}</td>
+                    <td>${server ? escapeHtml([...server.roots, ...server.proxies].join(', ')) : ''}</td>
+                    <td>${server && server.sslCertificate ? escapeHtml(server.sslCertificate) : ''}</td>
+                    <td class="text-nowrap">${actions}</td>
+                </tr>`);
+        });
+    }
+
+    elements.sitesTableBody.innerHTML = rows.length > 0
+        ? rows.join('')
+        : '<tr><td colspan="7" class="text-muted">No sites in /etc/nginx/conf.d</td></tr>';
+    elements.sitesArea.style.display = 'block';
+}
+
+async function loadSites() {
+    const result = await ipcRenderer.invoke('list-sites', getFormData());
+
+    if (result.success) {
+        showSites(result.sites);
+    } else {
+        addLog(`❌ Could not list sites: ${result.error}`);
+        showAlert('danger', `Could not list sites: ${result.error}`);
+    }
+}
+
+elements.loadSitesBtn.addEventListener('click', async () => {
+    if (!validateConnectionFields() || currentOperation) return;
+
+    currentOperation = 'sites';
+    disableButton(elements.loadSitesBtn);
+    addLog('🗂️ Loading nginx sites...');
+
+    try {
+        await loadSites();
+    } catch (error) {
+        addLog(`❌ Error loading sites: ${error.message}`);
+        showAlert('danger', `Error loading sites: ${error.message}`);
+    } finally {
+        enableButton(elements.loadSitesBtn);
+        currentOperation = null;
+    }
+});
+
+elements.sitesTableBody.addEventListener('click', async (event) => {
+    const button = event.target.closest('.site-action');
+    if (!button || currentOperation) return;
+
+    const { action, site } = button.dataset;
+    if (action === 'remove' && !confirm(`Remove the nginx configuration of ${site}?`)) {
+        return;
+    }
+
+    currentOperation = 'sites';
+    button.disabled = true;
+    const config = getFormData();
+
+    try {
+        const result = await ipcRenderer.invoke('manage-site', { ...config, action, site });
+
+        if (result.success && result.planText) {
+            showAlert('success', `Dry run of "${action} ${site}" completed. No changes were made to the server.`);
+            showPlan(result.planText);
+        } else if (result.success) {
+            showAlert('success', `Site ${site}: ${action} completed.`);
+            await loadSites();
+        } else {
+            addLog(`❌ Site ${action} failed: ${result.error}`);
+            showAlert('danger', `Site ${action} failed: ${result.error}`);
+        }
+    } catch (error) {
+        addLog(`❌ Error managing site: ${error.message}`);
+        showAlert('danger', `Error managing site: ${error.message}`);
+    } finally {
+        button.disabled = false;
+        currentOperation = null;
+    }
+});
+
+// Node.js checkbox handler
+elements.installNodejs.addEventListener('change', () => {
+    elements.nodejsConfig.style.display = elements.installNodejs.checked ? '' : 'none';
+});
+
 // Let's Encrypt checkbox handler
 elements.installLetsEncrypt.addEventListener('change', () => {
     if (elements.installLetsEncrypt.checked) {
@@ -553,6 +881,14 @@ elements.installLetsEncrypt.addEventListener('change', () => {
     }
 });
 
+// SSL validation handler - shows the fields of the selected DNS provider
+elements.sslChallenge.addEventListener('change', () => {
+    const challenge = elements.sslChallenge.value;
+    elements.sslRfc2136Config.style.display = challenge === 'rfc2136' ? 'block' : 'none';
+    elements.sslHookConfig.style.display = challenge === 'hook' ? 'block' : 'none';
+    elements.sslDnsOptions.style.display = challenge ? 'block' : 'none';
+});
+
 // Nginx checkbox handler - disable Let's Encrypt if nginx is unchecked
 elements.installNginx.addEventListener('change', () => {
     if (!elements.installNginx.checked && elements.installLetsEncrypt.checked) {
@@ -596,7 +932,18 @@ elements.installVscodeWeb.addEventListener('change', () => {
     }
 });
 
-// Nginx checkbox handler - disable Let's Encrypt, Static Website, and VS Code Web if nginx is unchecked
+// Reverse Proxy checkbox handler
+elements.installReverseProxy.addEventListener('change', () => {
+    if (elements.installReverseProxy.checked) {
+        elements.reverseProxyConfig.style.display = 'block';
+        // Auto-enable nginx if Reverse Proxy is selected
+        elements.installNginx.checked = true;
+    } else {
+        elements.reverseProxyConfig.style.display = 'none';
+    }
+});
+
+// Nginx checkbox handler - disable Let's Encrypt, Static Website, Reverse Proxy and VS Code Web if nginx is unchecked
 elements.installNginx.addEventListener('change', () => {
     if (!elements.installNginx.checked) {
         if (elements.installLetsEncrypt.checked && !elements.installVscodeWeb.checked) {
@@ -607,6 +954,10 @@ elements.installNginx.addEventListener('change', () => {
             elements.installStaticWebsite.checked = false;
             elements.staticWebsiteConfig.style.display = 'none';
         }
+        if (elements.installReverseProxy.checked) {
+            elements.installReverseProxy.checked = false;
+            elements.reverseProxyConfig.style.display = 'none';
+        }
         if (elements.installVscodeWeb.checked) {
             showAlert('warning', 'VS Code Web requires Nginx. Please keep Nginx enabled.');
             elements.installNginx.checked = true;
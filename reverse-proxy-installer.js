@@ -0,0 +1,492 @@
+#!/usr/bin/env node
+
+const RemoteSession = require('./remote-session');
+const nginxConfig = require('./nginx-config');
+
+const { directive, block, comment } = nginxConfig;
+
+// round-robin is nginx's default and needs no directive
+const BALANCE_METHODS = ['round-robin', 'least_conn', 'ip_hash'];
+
+/**
+ * Reverse proxy installer
+ *
+ * Proxies https://<domain><path> to one or more upstream services: TCP
+ * addresses or unix sockets, load balanced when there are several. The
+ * upstream and location blocks are added to the site's existing nginx
+ * configuration, or a new site is created; rerunning replaces them.
+ */
+class ReverseProxyInstaller extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'proxy';
+        this.domain = null;
+        this.path = '/';
+        this.upstreams = [];
+        this.balance = 'round-robin';
+        this.timeout = 60;
+        this.maxBodySize = '10m';
+        this.websocket = true;
+    }
+
+    // 3000, 127.0.0.1:3000, http://10.0.0.5:8080, /run/app.sock or unix:/run/app.sock
+    parseUpstream(spec) {
+        const value = String(spec || '').trim().replace(/^http:\/\//, '').replace(/\/+$/, '');
+
+        if (value.startsWith('/') || value.startsWith('unix:/')) {
+            const socket = value.replace(/^unix:/, '');
+            if (/[\s;{}'"]/.test(socket)) {
+                throw new Error(`Invalid upstream socket: ${spec}`);
+            }
+            return `unix:${socket}`;
+        }
+
+        const match = value.match(/^(?:(\[[0-9a-fA-F:]+\]|[A-Za-z0-9.-]+):)?(\d+)$/);
+        const port = match ? parseInt(match[2]) : 0;
+        if (!match || port < 1 || port > 65535) {
+            throw new Error(`Invalid upstream: ${spec} (expected PORT, HOST:PORT or a unix socket path)`);
+        }
+        return `${match[1] || '127.0.0.1'}:${port}`;
+    }
+
+    setProxyConfig(domain, upstreams, options = {}) {
+        // The domain names the site's config file, so it must be exactly one valid host name
+        const names = nginxConfig.parseServerNames(domain);
+        if (names.length !== 1) {
+            throw new Error(domain ? `Invalid domain: ${domain} (a single host name is expected)` : 'Domain is required');
+        }
+
+        const proxyPath = options.path || '/';
+        if (!proxyPath.startsWith('/') || /[\s;{}]/.test(proxyPath)) {
+            throw new Error(`Invalid proxy path: ${proxyPath}`);
+        }
+
+        const list = [].concat(upstreams || [])
+            .flatMap(spec => String(spec).split(','))
+            .map(spec => spec.trim())
+            .filter(Boolean);
+        if (list.length === 0) {
+            throw new Error('At least one upstream is required');
+        }
+
+        const balance = options.balance || 'round-robin';
+        if (!BALANCE_METHODS.includes(balance)) {
+            throw new Error(`Invalid load balancing method: ${balance} (allowed: ${BALANCE_METHODS.join(', ')})`);
+        }
+
+        const timeout = options.timeout === undefined ? 60 : parseInt(options.timeout);
+        if (!(timeout > 0)) {
+            throw new Error(`Invalid timeout: ${options.timeout} (seconds)`);
+        }
+
+        const maxBodySize = String(options.maxBodySize || '10m');
+        if (!/^\d+[kmg]?$/i.test(maxBodySize)) {
+            throw new Error(`Invalid body size limit: ${maxBodySize} (e.g. 10m, 512k, 0 for no limit)`);
+        }
+
+        this.domain = names[0];
+        this.path = proxyPath.length > 1 ? proxyPath.replace(/\/+$/, '') : '/';
+        this.upstreams = list.map(spec => this.parseUpstream(spec));
+        this.balance = balance;
+        this.timeout = timeout;
+        this.maxBodySize = maxBodySize;
+        this.websocket = options.websocket !== false;
+    }
+
+    // The location as written in the nginx config: '/' or '/api/'
+    getLocation() {
+        return this.path === '/' ? '/' : `${this.path}/`;
+    }
+
+    // Upstream names are global in nginx, so the domain is part of it
+    getUpstreamName() {
+        return `proxy_${this.domain}${this.path === '/' ? '' : this.path}`.replace(/[^A-Za-z0-9]+/g, '_');
+    }
+
+    getMarker() {
+        return `reverse-proxy: ${this.getUpstreamName()}`;
+    }
+
+    buildUpstreamBlock() {
+        return block('upstream', this.getUpstreamName(), [
+            comment(this.getMarker()),
+            ...(this.balance === 'round-robin' ? [] : [directive(this.balance)]),
+            ...this.upstreams.map(upstream => directive('server', upstream))
+        ]);
+    }
+
+    buildLocationBlock() {
+        return block('location', this.getLocation(), [
+            comment(this.getMarker()),
+            // The trailing slash strips the path prefix before the request is passed on
+            directive('proxy_pass', `http://${this.getUpstreamName()}${this.path === '/' ? '' : '/'}`),
+            ...nginxConfig.proxyHeaders(this.websocket),
+            directive('proxy_connect_timeout', `${Math.min(this.timeout, 75)}s`),
+            directive('proxy_send_timeout', `${this.timeout}s`),
+            directive('proxy_read_timeout', `${this.timeout}s`),
+            directive('client_max_body_size', this.maxBodySize)
+        ]);
+    }
+
+    // True if the block was written by this proxy
+    isOwnBlock(node) {
+        return nginxConfig.hasComment(node, this.getMarker());
+    }
+
+    buildSiteConfig(hasSSL) {
+        return nginxConfig.renderConfig([
+            comment(`Reverse proxy configuration for ${this.domain}`),
+            nginxConfig.blank(),
+            this.buildUpstreamBlock(),
+            nginxConfig.blank(),
+            ...nginxConfig.siteServerBlocks(this.domain, hasSSL, [this.buildLocationBlock()])
+        ]);
+    }
+
+    async checkNginxInstalled(conn) {
+        if (this.plan && this.plan.includesComponent('nginx')) {
+            return true;
+        }
+
+        const nginxCheck = await this.executeCommand(
+            conn,
+            'command -v nginx >/dev/null 2>&1 || test -x /usr/sbin/nginx',
+            'Checking if nginx is installed',
+            true
+        );
+        return nginxCheck.exitCode === 0;
+    }
+
+    async writeNginxConfig(conn, configFile, configContent) {
+        await this.executeCommand(
+            conn,
+            `cat > /tmp/${this.domain}-proxy.conf << 'EOF'
+${configContent}
+EOF`,
+            'Writing nginx configuration'
+        );
+
+        await this.backupPath(conn, configFile, 'existing nginx configuration');
+
+        await this.executeCommand(
+            conn,
+            `sudo mv /tmp/${this.domain}-proxy.conf ${configFile} && sudo chown root:root ${configFile} && sudo chmod 644 ${configFile}`,
+            'Installing nginx configuration'
+        );
+    }
+
+    async testAndReload(conn) {
+        const testResult = await this.executeCommand(conn, 'sudo nginx -t', 'Testing nginx configuration');
+        if (testResult.exitCode !== 0) {
+            throw new Error('Nginx configuration test failed');
+        }
+
+        await this.executeCommand(conn, 'sudo systemctl reload nginx', 'Reloading nginx configuration');
+    }
+
+    async updateNginxConfig(conn, hasSSL) {
+        const configFile = `/etc/nginx/conf.d/${this.domain}.conf`;
+        const location = this.getLocation();
+        const port = hasSSL ? 443 : 80;
+
+        const readConfig = await this.executeCommand(conn, `sudo cat ${configFile}`, 'Reading existing nginx configuration', true);
+        let configContent;
+
+        if (readConfig.exitCode === 0) {
+            const config = nginxConfig.parseConfig(readConfig.output);
+            const server = nginxConfig.findServerBlocks(config, port)[0];
+            if (!server) {
+                throw new Error(`Could not find a server block listening on port ${port} in ${configFile}`);
+            }
+
+            const existingBlock = nginxConfig.findLocation(server, location);
+            if (existingBlock && !this.isOwnBlock(existingBlock)) {
+                throw new Error(`location ${location} in ${configFile} is already used by another site`);
+            }
+
+            const existingUpstream = nginxConfig.findUpstream(config, this.getUpstreamName());
+            if (existingUpstream && !this.isOwnBlock(existingUpstream)) {
+                throw new Error(`upstream ${this.getUpstreamName()} in ${configFile} is already defined`);
+            }
+
+            nginxConfig.setUpstream(config, this.buildUpstreamBlock());
+            nginxConfig.setLocation(server, this.buildLocationBlock());
+            configContent = nginxConfig.renderConfig(config);
+            this.log(`📄 ${existingBlock ? 'Updating' : 'Adding'} location ${location} in the existing configuration for ${this.domain}`);
+        } else {
+            configContent = this.buildSiteConfig(hasSSL);
+            this.log(`📝 Creating nginx configuration for ${this.domain}`);
+        }
+
+        await this.writeNginxConfig(conn, configFile, configContent);
+        await this.testAndReload(conn);
+    }
+
+    async installReverseProxy(conn) {
+        if (!this.domain || this.upstreams.length === 0) {
+            throw new Error('Domain and upstream are required');
+        }
+
+        this.log(`🔀 Setting up reverse proxy for ${this.domain}${this.getLocation()}...`);
+
+        try {
+            if (!(await this.checkNginxInstalled(conn))) {
+                throw new Error('Nginx is not installed. Please install Nginx first.');
+            }
+
+            const sslStatus = await this.checkSSLStatus(conn, this.domain);
+            const hasSSL = sslStatus.hasSSL;
+
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+            if (hasSSL) {
+                await this.ensureTlsParams(conn);
+            }
+
+            await this.updateNginxConfig(conn, hasSSL);
+            await this.commitRollback(conn);
+
+            const url = `${hasSSL ? 'https' : 'http'}://${this.domain}${this.getLocation()}`;
+            this.log(`🎉 Reverse proxy configured: ${url} → ${this.upstreams.join(', ')}`);
+            if (this.upstreams.length > 1) {
+                this.log(`⚖️ Load balancing: ${this.balance}`);
+            }
+
+            return {
+                success: true,
+                domain: this.domain,
+                path: this.path,
+                upstreams: this.upstreams,
+                balance: this.balance,
+                url,
+                hasSSL
+            };
+        } catch (error) {
+            this.log(`❌ Reverse proxy setup failed: ${error.message}`);
+            await this.rollback(conn);
+            throw error;
+        }
+    }
+
+    async uninstall(conn) {
+        if (!this.domain) {
+            throw new Error('Domain is required');
+        }
+
+        const configFile = `/etc/nginx/conf.d/${this.domain}.conf`;
+        this.log(`🧹 Removing reverse proxy ${this.domain}${this.getLocation()}...`);
+
+        const readConfig = await this.executeCommand(conn, `sudo cat ${configFile}`, 'Reading nginx configuration', true);
+        if (readConfig.exitCode !== 0) {
+            this.log(`ℹ️ No nginx configuration for ${this.domain}`);
+            return { removed: false, domain: this.domain, path: this.path };
+        }
+
+        const config = nginxConfig.parseConfig(readConfig.output);
+        const ownServers = nginxConfig.findBlocks(config, 'server').filter(server => {
+            const locationBlock = nginxConfig.findLocation(server, this.getLocation());
+            return locationBlock && this.isOwnBlock(locationBlock);
+        });
+        const upstream = nginxConfig.findUpstream(config, this.getUpstreamName());
+
+        if (ownServers.length === 0 && !(upstream && this.isOwnBlock(upstream))) {
+            this.log(`ℹ️ No reverse proxy ${this.getLocation()} found in ${configFile}`);
+            return { removed: false, domain: this.domain, path: this.path };
+        }
+
+        try {
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+
+            ownServers.forEach(server => nginxConfig.removeLocation(server, this.getLocation()));
+            nginxConfig.removeUpstream(config, this.getUpstreamName());
+
+            if (readConfig.output.startsWith(`# Reverse proxy configuration for ${this.domain}`) && nginxConfig.isSiteEmpty(config)) {
+                // The whole site was created for this proxy
+                await this.backupPath(conn, configFile, 'nginx configuration', { move: true });
+            } else {
+                await this.writeNginxConfig(conn, configFile, nginxConfig.renderConfig(config));
+            }
+
+            await this.testAndReload(conn);
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+
+        this.log(`🎉 Reverse proxy ${this.domain}${this.getLocation()} has been removed`);
+        return { removed: true, domain: this.domain, path: this.path };
+    }
+
+    async run() {
+        let conn;
+
+        try {
+            conn = await this.connect();
+            const result = await this.installReverseProxy(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.success), result });
+
+            if (result.success) {
+                this.log('✅ Reverse proxy setup completed successfully!');
+            }
+        } catch (error) {
+            this.log(`❌ Reverse proxy setup failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exit(1);
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = { upstreams: [] };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+            case '-h':
+                config.host = args[++i];
+                break;
+            case '--username':
+            case '-u':
+                config.username = args[++i];
+                break;
+            case '--key':
+            case '-k':
+                config.privateKeyPath = args[++i];
+                break;
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]) || 22;
+                break;
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--dry-run':
+                config.dryRun = true;
+                break;
+            case '--json':
+                config.json = true;
+                break;
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--path':
+                config.path = args[++i];
+                break;
+            case '--upstream':
+                config.upstreams.push(...String(args[++i] || '').split(','));
+                break;
+            case '--balance':
+                config.balance = args[++i];
+                break;
+            case '--timeout':
+                config.timeout = args[++i];
+                break;
+            case '--max-body-size':
+                config.maxBodySize = args[++i];
+                break;
+            case '--no-websocket':
+                config.websocket = false;
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    config.port = config.port || 22;
+    config.username = config.username || 'admin';
+
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+🔀 Reverse Proxy Installer
+
+Proxies a domain or path to services running on the server (or reachable from it).
+
+USAGE:
+  node reverse-proxy-installer.js --host HOST --username USER --key KEYFILE --domain DOMAIN --upstream UPSTREAM [OPTIONS]
+
+SSH OPTIONS:
+  --host, -h HOST          SSH host/IP address
+  --username, -u USER      SSH username (default: admin)
+  --key, -k PATH           Path to SSH private key file
+  --port, -p PORT          SSH port (default: 22)
+  --passphrase PASS        SSH key passphrase (if required)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+
+PROXY OPTIONS:
+  --domain, -d DOMAIN      Domain served by nginx
+  --path PATH              URL path to proxy (default: /); the prefix is stripped
+  --upstream UPSTREAM      PORT, HOST:PORT or a unix socket path (repeatable or
+                           comma-separated; several upstreams are load balanced)
+  --balance METHOD         ${BALANCE_METHODS.join(', ')} (default: round-robin)
+  --timeout SECONDS        Send/read timeout for the upstream (default: 60)
+  --max-body-size SIZE     Largest request body, e.g. 10m, 512k, 0 for no limit (default: 10m)
+  --no-websocket           Do not forward websocket upgrade headers
+  --help                   Show this help
+
+If a certificate for the domain exists, the proxy is served over HTTPS. An
+existing site for the domain gets an extra location block; otherwise a new
+site is created. Running it again replaces the upstream and location.
+
+EXAMPLES:
+  node reverse-proxy-installer.js -h 18.195.241.96 -k key.pem --domain example.com --path /grafana --upstream 3000
+  node reverse-proxy-installer.js -h 18.195.241.96 -k key.pem --domain api.example.com --upstream 127.0.0.1:4001,127.0.0.1:4002 --balance least_conn
+  node reverse-proxy-installer.js -h 18.195.241.96 -k key.pem --domain example.com --path /app --upstream /run/app/app.sock --max-body-size 100m
+`);
+}
+
+// Run the installer if this file is executed directly
+if (require.main === module) {
+    const config = parseArgs();
+
+    if (!config.host || !config.privateKeyPath || !config.domain || config.upstreams.length === 0) {
+        showHelp();
+        process.exit(1);
+    }
+
+    const installer = new ReverseProxyInstaller();
+    installer.config = config;
+
+    try {
+        installer.setProxyConfig(config.domain, config.upstreams, {
+            path: config.path,
+            balance: config.balance,
+            timeout: config.timeout,
+            maxBodySize: config.maxBodySize,
+            websocket: config.websocket
+        });
+        installer.validateConnectionConfig(installer.config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (config.dryRun) {
+        installer.enableDryRun();
+    }
+
+    installer.run().catch(console.error);
+}
+
+module.exports = ReverseProxyInstaller;
+module.exports.BALANCE_METHODS = BALANCE_METHODS;
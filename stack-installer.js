@@ -0,0 +1,246 @@
+const RemoteSession = require('./remote-session');
+const NodeJSInstaller = require('./index');
+const NginxInstaller = require('./nginx-installer');
+const BasicToolsInstaller = require('./basic-tools-installer');
+const SimpleSSLInstaller = require('./letsencrypt-installer');
+const StaticWebsiteInstaller = require('./static-website-installer');
+const VSCodeWebInstaller = require('./vscode-web-installer');
+const ReverseProxyInstaller = require('./reverse-proxy-installer');
+
+/**
+ * Multi-component installer
+ *
+ * Runs several installers over a single SSH connection in dependency order.
+ * Options use the same shape as the GUI form:
+ * { installOptions, nodeConfig, nginxConfig, sslConfig, staticWebsiteConfig, vscodeWebConfig, reverseProxyConfig }
+ */
+class StackInstaller extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'stack';
+        this.stackOptions = null;
+    }
+
+    setStackOptions(options) {
+        this.stackOptions = options;
+    }
+
+    createInstaller(InstallerClass) {
+        const installer = new InstallerClass(this.progressCallback);
+        installer.config = this.config;
+        installer.setEventCallback(this.eventCallback);
+        if (this.plan) {
+            installer.enableDryRun(this.plan);
+        }
+        return installer;
+    }
+
+    async installStack(conn, options = this.stackOptions) {
+        const installOptions = options.installOptions || {};
+
+        // Track installation results
+        const results = {
+            nodejs: null,
+            nginx: null,
+            basicTools: null,
+            letsEncrypt: null,
+            staticWebsite: null,
+            vscodeWeb: null,
+            reverseProxy: null
+        };
+        const failed = [];
+
+        // 1. Install Node.js if selected
+        if (installOptions.nodejs) {
+            const nodejsInstaller = this.createInstaller(NodeJSInstaller);
+            try {
+                if (options.nodeConfig) {
+                    nodejsInstaller.setNodeOptions(options.nodeConfig.version, options.nodeConfig.manager);
+                    nodejsInstaller.setGlobalPackages(options.nodeConfig.globalPackages, options.nodeConfig.pm2Startup);
+                }
+                this.log(`📦 Installing Node.js ${nodejsInstaller.getVersionLabel()}...`);
+                results.nodejs = await nodejsInstaller.installNodeJS(conn);
+            } catch (error) {
+                failed.push('nodejs');
+                this.log(`❌ Node.js installation failed: ${error.message}`);
+            }
+        }
+
+        // 2. Install Nginx if selected
+        if (installOptions.nginx) {
+            this.log('🌐 Installing Nginx...');
+            const nginxInstaller = this.createInstaller(NginxInstaller);
+            try {
+                nginxInstaller.setHardeningOptions(options.nginxConfig || {});
+                nginxInstaller.setChannel((options.nginxConfig || {}).channel);
+                results.nginx = await nginxInstaller.installNginx(conn);
+            } catch (error) {
+                failed.push('nginx');
+                this.log(`❌ Nginx installation failed: ${error.message}`);
+            }
+        }
+
+        // 3. Install Basic Tools if selected
+        if (installOptions.basicTools) {
+            this.log('🔧 Installing basic development tools...');
+            const basicToolsInstaller = this.createInstaller(BasicToolsInstaller);
+            try {
+                results.basicTools = await basicToolsInstaller.installBasicTools(conn);
+            } catch (error) {
+                failed.push('basicTools');
+                this.log(`❌ Basic tools installation failed: ${error.message}`);
+            }
+        }
+
+        // 4. Install Let's Encrypt if selected (requires Nginx unless validated through DNS)
+        if (installOptions.letsEncrypt) {
+            if (!options.sslConfig.dns && (!results.nginx || !results.nginx.installed)) {
+                failed.push('letsEncrypt');
+                this.log('❌ Let\'s Encrypt requires Nginx. Skipping SSL setup.');
+            } else {
+                this.log('🔒 Setting up Let\'s Encrypt SSL certificates...');
+                const letsEncryptInstaller = this.createInstaller(SimpleSSLInstaller);
+                try {
+                    letsEncryptInstaller.setCertificateConfig(options.sslConfig.domain, options.sslConfig.email, {
+                        aliases: options.sslConfig.aliases,
+                        www: options.sslConfig.www,
+                        wildcard: options.sslConfig.wildcard,
+                        dns: options.sslConfig.dns,
+                        acmeServer: options.sslConfig.acmeServer
+                    });
+                    results.letsEncrypt = await letsEncryptInstaller.installLetsEncrypt(conn);
+                } catch (error) {
+                    failed.push('letsEncrypt');
+                    this.log(`❌ Let's Encrypt setup failed: ${error.message}`);
+                }
+            }
+        }
+
+        // 5. Install Static Website if selected (requires Nginx and Basic Tools)
+        if (installOptions.staticWebsite) {
+            const nginxInstalled = results.nginx && results.nginx.installed;
+            const basicToolsInstalled = results.basicTools && results.basicTools.allInstalled;
+
+            if (!nginxInstalled) {
+                failed.push('staticWebsite');
+                this.log('❌ Static Website requires Nginx. Skipping static website setup.');
+            } else if (!basicToolsInstalled) {
+                failed.push('staticWebsite');
+                this.log('❌ Static Website requires Basic Tools (including unzip). Skipping static website setup.');
+            } else {
+                this.log('🌐 Installing static website...');
+
+                // Double-check nginx is accessible before proceeding
+                const nginxDoubleCheck = await this.executeCommand(
+                    conn,
+                    'command -v nginx >/dev/null 2>&1 && nginx -v 2>&1 | head -1',
+                    'Double-checking nginx accessibility',
+                    true
+                ).then(result => result.exitCode === 0, () => false);
+
+                if (!nginxDoubleCheck) {
+                    this.log('⚠️ Nginx detected but not accessible. Attempting static website installation anyway...');
+                }
+
+                const staticWebsiteInstaller = this.createInstaller(StaticWebsiteInstaller);
+                try {
+                    staticWebsiteInstaller.setWebsiteConfig(
+                        options.staticWebsiteConfig.domain,
+                        options.staticWebsiteConfig.sourceDir || options.staticWebsiteConfig.zipFilePath
+                    );
+                    if (options.staticWebsiteConfig.keepReleases) {
+                        staticWebsiteInstaller.setReleaseOptions(options.staticWebsiteConfig.keepReleases);
+                    }
+                    staticWebsiteInstaller.setWebrootBase(options.staticWebsiteConfig.webroot);
+                    if (options.staticWebsiteConfig.profile) {
+                        staticWebsiteInstaller.setSiteProfile(options.staticWebsiteConfig.profile);
+                    }
+                    staticWebsiteInstaller.setServerNames(options.staticWebsiteConfig.aliases, options.staticWebsiteConfig.wwwRedirect);
+                    results.staticWebsite = await staticWebsiteInstaller.installStaticWebsite(conn);
+                } catch (error) {
+                    failed.push('staticWebsite');
+                    this.log(`❌ Static website installation failed: ${error.message}`);
+                }
+            }
+        }
+
+        // 6. Install VS Code Web if selected (requires SSL certificate)
+        if (installOptions.vscodeWeb) {
+            this.log('📝 Installing VS Code Web...');
+
+            const vscodeWebInstaller = this.createInstaller(VSCodeWebInstaller);
+            try {
+                vscodeWebInstaller.setVSCodeConfig(
+                    options.vscodeWebConfig.domain,
+                    options.vscodeWebConfig.path || '/code',
+                    options.vscodeWebConfig.password
+                );
+
+                // Fresh SSL check for VS Code Web (in case SSL was just installed)
+                const freshSSLCheck = await vscodeWebInstaller.checkSSLStatus(conn, vscodeWebInstaller.domain);
+
+                if (!freshSSLCheck.hasSSL) {
+                    failed.push('vscodeWeb');
+                    this.log('❌ VS Code Web requires SSL certificate. Please ensure SSL is properly installed.');
+                    results.vscodeWeb = { success: false, error: 'SSL certificate not found' };
+                } else {
+                    results.vscodeWeb = await vscodeWebInstaller.installVSCodeWeb(conn);
+                }
+            } catch (error) {
+                failed.push('vscodeWeb');
+                this.log(`❌ VS Code Web installation failed: ${error.message}`);
+                results.vscodeWeb = { success: false, error: error.message };
+            }
+        }
+
+        // 7. Set up the reverse proxy if selected (HTTPS when a certificate exists)
+        if (installOptions.reverseProxy) {
+            this.log('🔀 Setting up reverse proxy...');
+
+            const reverseProxyInstaller = this.createInstaller(ReverseProxyInstaller);
+            try {
+                reverseProxyInstaller.setProxyConfig(
+                    options.reverseProxyConfig.domain,
+                    options.reverseProxyConfig.upstreams,
+                    options.reverseProxyConfig
+                );
+                results.reverseProxy = await reverseProxyInstaller.installReverseProxy(conn);
+            } catch (error) {
+                failed.push('reverseProxy');
+                this.log(`❌ Reverse proxy setup failed: ${error.message}`);
+                results.reverseProxy = { success: false, error: error.message };
+            }
+        }
+
+        return { results, failed };
+    }
+
+    async run() {
+        let conn;
+
+        try {
+            conn = await this.connect();
+            const { results, failed } = await this.installStack(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: failed.length === 0, failed, results });
+
+            if (failed.length > 0) {
+                this.log(`❌ Stack setup finished with failures: ${failed.join(', ')}`);
+                process.exitCode = 1;
+            } else {
+                this.log('✅ Stack setup completed successfully!');
+            }
+        } catch (error) {
+            this.log(`❌ Setup failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exit(1);
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+}
+
+module.exports = StackInstaller;
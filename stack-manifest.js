@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Declarative stack manifest (YAML or JSON)
+ *
+ * Example:
+ *
+ *   host: 18.195.241.96
+ *   username: admin
+ *   key: ./18.195.241.96.pem
+ *   components:
+ *     tools: true
+ *     node: { version: 22, manager: nodesource, packages: [typescript], pm2: true }   # or just `true` for LTS
+ *     nginx: true                   # or { channel: mainline, tlsPreset: modern, harden: false }
+ *     ssl: { domain: example.com, email: admin@example.com, www: true, aliases: [api.example.com] }
+ *                                   # DNS-01: wildcard: true, dns: { provider: rfc2136, server: 203.0.113.53, keyName: acme-key, secretEnv: TSIG_SECRET }
+ *                                   #     or dns: { provider: hook, script: ./dns-hook.sh }
+ *     static: { domain: example.com, zip: ./site.zip, profile: spa, keep: 5, webroot: /var/www, wwwRedirect: apex }   # or dir: ./dist; aliases: [...]
+ *     vscode: { domain: example.com, path: /code, passwordEnv: VSCODE_PASSWORD }
+ *     proxy: { domain: example.com, path: /grafana, upstream: 3000 }   # or upstream: [4001, 4002], balance: least_conn
+ *
+ * Relative paths are resolved against the manifest's directory. Secrets are
+ * read from the environment variable named by `passwordEnv` / `passphraseEnv`.
+ */
+
+const COMPONENTS = ['tools', 'node', 'nginx', 'ssl', 'static', 'vscode', 'proxy'];
+
+function loadManifest(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Manifest file not found: ${filePath}`);
+    }
+
+    let manifest;
+    try {
+        // JSON is a subset of YAML, so one parser handles both formats
+        manifest = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse manifest ${filePath}: ${error.message}`);
+    }
+
+    if (!manifest || typeof manifest !== 'object') {
+        throw new Error(`Manifest ${filePath} is empty or not an object`);
+    }
+
+    return manifest;
+}
+
+function readSecret(section, name, key) {
+    if (section[key]) {
+        return section[key];
+    }
+
+    const envName = section[`${key}Env`];
+    if (envName) {
+        if (!process.env[envName]) {
+            throw new Error(`Environment variable ${envName} (${name}.${key}Env) is not set`);
+        }
+        return process.env[envName];
+    }
+
+    return undefined;
+}
+
+// Turns a component entry (`true`, `false` or an options object) into an object or null
+function componentSection(components, name) {
+    const value = components[name];
+    if (!value) {
+        return null;
+    }
+    return value === true ? {} : value;
+}
+
+function requireFields(section, name, fields) {
+    const missing = fields.filter(field => !section[field]);
+    if (missing.length > 0) {
+        throw new Error(`Component "${name}" is missing: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Converts a manifest into an SSH connection config and StackInstaller options.
+ * Components required by others (nginx for ssl/static, tools for static) are
+ * enabled automatically, the same way the GUI checkboxes do.
+ */
+function manifestToStack(manifest, baseDir = process.cwd()) {
+    const resolvePath = (value) => (value ? path.resolve(baseDir, value) : value);
+
+    const connectionConfig = {
+        host: manifest.host,
+        port: parseInt(manifest.port) || 22,
+        username: manifest.username || 'admin',
+        privateKeyPath: resolvePath(manifest.key || manifest.privateKeyPath),
+        passphrase: readSecret(manifest, 'manifest', 'passphrase')
+    };
+
+    if (!connectionConfig.host || !connectionConfig.privateKeyPath) {
+        throw new Error('Manifest requires "host" and "key"');
+    }
+
+    const components = manifest.components || {};
+    const unknown = Object.keys(components).filter(name => !COMPONENTS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown component(s) in manifest: ${unknown.join(', ')} (allowed: ${COMPONENTS.join(', ')})`);
+    }
+
+    const node = componentSection(components, 'node');
+    const nginx = componentSection(components, 'nginx');
+    const ssl = componentSection(components, 'ssl');
+    const staticSite = componentSection(components, 'static');
+    const vscode = componentSection(components, 'vscode');
+    const proxy = componentSection(components, 'proxy');
+
+    const options = {
+        installOptions: {
+            nodejs: Boolean(node),
+            // Certificates validated through DNS do not need nginx
+            nginx: Boolean(nginx || (ssl && !ssl.dns) || staticSite || vscode || proxy),
+            basicTools: Boolean(componentSection(components, 'tools') || staticSite),
+            letsEncrypt: Boolean(ssl),
+            staticWebsite: Boolean(staticSite),
+            vscodeWeb: Boolean(vscode),
+            reverseProxy: Boolean(proxy)
+        },
+        nodeConfig: {},
+        nginxConfig: {},
+        sslConfig: {},
+        staticWebsiteConfig: {},
+        vscodeWebConfig: {},
+        reverseProxyConfig: {}
+    };
+
+    if (node) {
+        options.nodeConfig = {
+            version: node.version !== undefined ? String(node.version) : undefined,
+            manager: node.manager,
+            globalPackages: node.packages || [],
+            pm2Startup: Boolean(node.pm2)
+        };
+    }
+
+    if (nginx) {
+        options.nginxConfig = { channel: nginx.channel, tlsPreset: nginx.tlsPreset, harden: nginx.harden };
+    }
+
+    if (ssl) {
+        requireFields(ssl, 'ssl', ['domain', 'email']);
+        options.sslConfig = {
+            domain: ssl.domain,
+            email: ssl.email,
+            aliases: ssl.aliases,
+            www: Boolean(ssl.www),
+            wildcard: Boolean(ssl.wildcard),
+            acmeServer: ssl.acmeServer
+        };
+        if (ssl.dns) {
+            requireFields(ssl.dns, 'ssl.dns', ['provider']);
+            options.sslConfig.dns = {
+                ...ssl.dns,
+                secret: readSecret(ssl.dns, 'ssl.dns', 'secret'),
+                script: resolvePath(ssl.dns.script)
+            };
+        }
+    }
+
+    if (staticSite) {
+        requireFields(staticSite, 'static', ['domain', staticSite.dir ? 'dir' : 'zip']);
+        options.staticWebsiteConfig = {
+            domain: staticSite.domain,
+            keepReleases: staticSite.keep,
+            webroot: staticSite.webroot,
+            profile: staticSite.profile,
+            aliases: staticSite.aliases,
+            wwwRedirect: staticSite.wwwRedirect
+        };
+        if (staticSite.dir) {
+            options.staticWebsiteConfig.sourceDir = resolvePath(staticSite.dir);
+            if (!fs.existsSync(options.staticWebsiteConfig.sourceDir) || !fs.statSync(options.staticWebsiteConfig.sourceDir).isDirectory()) {
+                throw new Error(`Static website folder not found: ${options.staticWebsiteConfig.sourceDir}`);
+            }
+        } else {
+            options.staticWebsiteConfig.zipFilePath = resolvePath(staticSite.zip);
+            if (!fs.existsSync(options.staticWebsiteConfig.zipFilePath)) {
+                throw new Error(`Static website ZIP file not found: ${options.staticWebsiteConfig.zipFilePath}`);
+            }
+        }
+    }
+
+    if (vscode) {
+        const password = readSecret(vscode, 'vscode', 'password');
+        requireFields({ ...vscode, password }, 'vscode', ['domain', 'password']);
+        options.vscodeWebConfig = {
+            domain: vscode.domain,
+            path: vscode.path || '/code',
+            password
+        };
+    }
+
+    if (proxy) {
+        requireFields(proxy, 'proxy', ['domain', 'upstream']);
+        options.reverseProxyConfig = {
+            domain: proxy.domain,
+            path: proxy.path,
+            upstreams: [].concat(proxy.upstream).map(String),
+            balance: proxy.balance,
+            timeout: proxy.timeout,
+            maxBodySize: proxy.maxBodySize,
+            websocket: proxy.websocket
+        };
+    }
+
+    return { connectionConfig, options };
+}
+
+module.exports = {
+    COMPONENTS,
+    loadManifest,
+    manifestToStack
+};
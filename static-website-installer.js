@@ -1,131 +1,185 @@
 #!/usr/bin/env node
 
-const { Client } = require('ssh2');
+const RemoteSession = require('./remote-session');
+const nginxConfig = require('./nginx-config');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
-class StaticWebsiteInstaller {
+// Name of the release that holds a site deployed before release directories existed
+const LEGACY_RELEASE = '00000000000000000-legacy';
+
+// Site profiles select how the nginx server block serves the files
+const SITE_PROFILES = {
+    plain: 'Files as they are, 404 for unknown paths',
+    spa: 'Single-page application: unknown paths load index.html, hashed assets cached for a year',
+    docs: 'Documentation: /page serves page.html, hashed assets cached for a year'
+};
+
+// apex: www.<apex> redirects to the apex, www: the apex redirects to www.<apex>
+const WWW_REDIRECTS = ['apex', 'www'];
+
+// Build tools put a content hash in asset names (app.3f2a9c1b.js, index-B7x9kQ2d.css): one
+// segment of 8+ characters with a digit and no hyphen, so apple-touch-icon-180x180.png is not hashed
+const HASHED_ASSET_PATTERN = '"[.-](?=[A-Za-z_]*[0-9])[A-Za-z0-9_]{8,}\\.(?:js|mjs|css|map|woff2?|ttf|eot|png|jpe?g|gif|svg|webp|avif|ico)$"';
+
+/**
+ * Static website installer
+ *
+ * Sites live in <webroot>/<domain>, where the webroot defaults to ~/webroot
+ * of the SSH user and can be set to another base such as /var/www.
+ *
+ * Every deploy is extracted into <site root>/releases/<id>; nginx serves
+ * <site root>/current, a symlink that is switched atomically once the
+ * release and the nginx configuration are valid. The newest releases are
+ * kept so rollbackRelease() can switch back to one of them.
+ *
+ * The source is either a ZIP file or a local folder. A folder is synced
+ * incrementally: the new release starts as a copy of the live one and only
+ * files whose SHA-256 differs from the live release are uploaded.
+ */
+class StaticWebsiteInstaller extends RemoteSession {
     constructor(progressCallback = null) {
-        this.config = {};
-        this.progressCallback = progressCallback;
+        super(progressCallback);
+        this.component = 'static';
         this.domain = null;
         this.zipFilePath = null;
+        this.sourceDir = null;
+        this.keepReleases = 5;
+        this.profile = 'plain';
+        this.aliases = [];
+        this.wwwRedirect = null;
+        // Names of the site's certificate, null when unknown (no check yet, or a planned certificate)
+        this.certificateNames = null;
+        this.webrootBase = null;
+        this.webrootDir = null;
+        this.userHomeDir = null;
     }
 
-    log(message) {
-        console.log(message);
-        if (this.progressCallback) {
-            this.progressCallback(message);
+    // sourcePath is a ZIP file or a folder with the built site
+    setWebsiteConfig(domain, sourcePath) {
+        // The domain names the site's directories, which are replaced and removed with sudo
+        const names = nginxConfig.parseServerNames(domain);
+        if (names.length !== 1) {
+            throw new Error(domain ? `Invalid domain: ${domain} (a single host name is expected)` : 'Domain is required');
         }
-    }
 
-    validateConnectionConfig(config) {
-        const required = ['host', 'privateKeyPath'];
-        const missing = required.filter(key => !config[key]);
+        this.domain = names[0];
+        const isFolder = Boolean(sourcePath) && fs.existsSync(sourcePath) && fs.statSync(sourcePath).isDirectory();
+        this.sourceDir = isFolder ? sourcePath : null;
+        this.zipFilePath = isFolder ? null : sourcePath;
+    }
 
-        if (missing.length > 0) {
-            const errorMsg = `❌ Missing required configuration: ${missing.join(', ')}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+    setReleaseOptions(keepReleases) {
+        const keep = parseInt(keepReleases);
+        if (!(keep >= 1)) {
+            throw new Error(`Invalid number of releases to keep: ${keepReleases}`);
         }
+        this.keepReleases = keep;
+    }
 
-        if (!fs.existsSync(config.privateKeyPath)) {
-            const errorMsg = `❌ SSH private key file not found: ${config.privateKeyPath}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+    setSiteProfile(profile) {
+        if (!SITE_PROFILES[profile]) {
+            throw new Error(`Unknown site profile: ${profile} (allowed: ${Object.keys(SITE_PROFILES).join(', ')})`);
         }
-
-        this.log('✅ Configuration validated');
+        this.profile = profile;
     }
 
-    setWebsiteConfig(domain, zipFilePath) {
-        this.domain = domain;
-        this.zipFilePath = zipFilePath;
+    // Further names the site answers to, and an optional redirect between the apex
+    // and www.<apex>; both of those names are then served
+    setServerNames(aliases = [], wwwRedirect = null) {
+        if (wwwRedirect && !WWW_REDIRECTS.includes(wwwRedirect)) {
+            throw new Error(`Invalid www redirect: ${wwwRedirect} (allowed: ${WWW_REDIRECTS.join(', ')})`);
+        }
+        this.aliases = nginxConfig.parseServerNames(aliases).filter(name => name !== this.domain);
+        this.wwwRedirect = wwwRedirect || null;
     }
 
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const conn = new Client();
-
-            this.log(`🔗 Connecting to ${this.config.username}@${this.config.host}:${this.config.port}...`);
+    // names: server_name of the site itself, the canonical name first;
+    // redirect: the name that only redirects to the canonical one
+    getServerNames() {
+        const names = [this.domain, ...this.aliases];
+        if (!this.wwwRedirect) {
+            return { names, redirect: null };
+        }
 
-            conn.on('ready', () => {
-                this.log('✅ SSH connection established');
-                resolve(conn);
-            });
+        const apex = this.domain.replace(/^www\./, '');
+        const [to, from] = this.wwwRedirect === 'apex' ? [apex, `www.${apex}`] : [`www.${apex}`, apex];
+        return {
+            names: [to, ...names.filter(name => name !== to && name !== from)],
+            redirect: { from, to }
+        };
+    }
 
-            conn.on('error', (err) => {
-                this.log(`❌ SSH connection failed: ${err.message}`);
-                reject(err);
-            });
+    // Serves sites from another directory than ~/webroot, e.g. /var/www
+    setWebrootBase(webrootBase) {
+        if (!webrootBase) {
+            this.webrootBase = null;
+            return;
+        }
+        if (!/^\/[\w.\-/]*$/.test(webrootBase)) {
+            throw new Error(`Invalid webroot: ${webrootBase} (must be an absolute path)`);
+        }
+        // Sites are created and removed below the webroot, so it may not climb out of itself or be /
+        const normalized = path.posix.normalize(webrootBase).replace(/\/+$/, '');
+        if (webrootBase.split('/').includes('..') || !normalized) {
+            throw new Error(`Invalid webroot: ${webrootBase} (no .. segments, and not the filesystem root)`);
+        }
+        this.webrootBase = normalized;
+    }
 
-            const connectConfig = {
-                host: this.config.host,
-                port: this.config.port,
-                username: this.config.username,
-                privateKey: fs.readFileSync(this.config.privateKeyPath)
-            };
+    async resolveWebroot(conn) {
+        if (this.webrootBase) {
+            this.webrootDir = this.webrootBase;
+            this.userHomeDir = null;
+        } else {
+            const homeDirResult = await this.executeCommand(
+                conn,
+                'getent passwd "$(id -un)" | cut -d: -f6',
+                'Detecting user home directory',
+                true
+            );
 
-            if (this.config.passphrase) {
-                connectConfig.passphrase = this.config.passphrase;
+            const userHomeDir = homeDirResult.output.trim();
+            if (homeDirResult.exitCode !== 0 || !userHomeDir.startsWith('/')) {
+                throw new Error('Could not detect the home directory of the SSH user');
             }
+            this.userHomeDir = userHomeDir;
+            this.webrootDir = `${userHomeDir}/webroot`;
+        }
 
-            conn.connect(connectConfig);
-        });
+        this.log(`🏠 Webroot base: ${this.webrootDir}`);
+        return this.webrootDir;
     }
 
-    async executeCommand(conn, command, description, suppressOutput = false) {
-        return new Promise((resolve, reject) => {
-            if (!suppressOutput) {
-                this.log(`🔄 ${description}...`);
-            }
+    getSiteRoot() {
+        if (!this.webrootDir) {
+            throw new Error('Webroot has not been resolved');
+        }
+        return `${this.webrootDir}/${this.domain}`;
+    }
 
-            conn.exec(command, (err, stream) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    getReleasesDir() {
+        return `${this.getSiteRoot()}/releases`;
+    }
 
-                let output = '';
-                let errorOutput = '';
-
-                stream.on('close', (code, signal) => {
-                    if (code === 0) {
-                        if (!suppressOutput) {
-                            this.log(`✅ ${description} completed`);
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    } else {
-                        if (!suppressOutput) {
-                            this.log(`❌ ${description} failed (exit code: ${code})`);
-                            if (errorOutput) {
-                                this.log(`Error output: ${errorOutput}`);
-                            }
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    }
-                });
-
-                stream.on('data', (data) => {
-                    output += data.toString();
-                    if (!suppressOutput) {
-                        this.log(data.toString().trim());
-                    }
-                });
-
-                stream.stderr.on('data', (data) => {
-                    errorOutput += data.toString();
-                    if (!suppressOutput) {
-                        this.log(`STDERR: ${data.toString().trim()}`);
-                    }
-                });
-            });
-        });
+    getCurrentLink() {
+        return `${this.getSiteRoot()}/current`;
+    }
+
+    // Sortable by age: 20250101120000123
+    createReleaseId() {
+        return new Date().toISOString().replace(/\D/g, '').slice(0, 17);
     }
 
     async checkNginxInstalled(conn) {
         this.log('🔍 Checking if Nginx is installed...');
 
+        if (this.plan && this.plan.includesComponent('nginx')) {
+            this.log('📝 [dry-run] Assuming the planned nginx installation');
+            return { installed: true, version: 'planned' };
+        }
+
         try {
             // First check if nginx command is available
             const commandCheck = await this.executeCommand(
@@ -199,56 +253,204 @@ class StaticWebsiteInstaller {
         }
     }
 
-    async checkSSLStatus(conn, domain) {
-        this.log(`🔍 Checking SSL certificate status for ${domain}...`);
+    async getCurrentRelease(conn) {
+        const linkCheck = await this.executeCommand(
+            conn,
+            `sudo readlink ${this.getCurrentLink()}`,
+            'Reading current release',
+            true
+        );
+        return linkCheck.exitCode === 0 && linkCheck.output.trim() ? path.posix.basename(linkCheck.output.trim()) : null;
+    }
 
-        try {
-            const sslCheck = await this.executeCommand(
+    async listReleases(conn) {
+        const listResult = await this.executeCommand(
+            conn,
+            `sudo ls -1 ${this.getReleasesDir()}`,
+            'Listing releases',
+            true
+        );
+
+        const releases = listResult.exitCode === 0 ? listResult.output.split('\n').map(line => line.trim()).filter(Boolean).sort() : [];
+        return { releases, current: await this.getCurrentRelease(conn) };
+    }
+
+    // Sites deployed before release directories existed are copied into a
+    // legacy release, so they stay online until the new release is live
+    async prepareReleaseLayout(conn) {
+        const siteRoot = this.getSiteRoot();
+        const layoutCheck = await this.executeCommand(
+            conn,
+            `sudo test -d ${siteRoot} && ! sudo test -d ${this.getReleasesDir()}`,
+            'Checking webroot layout',
+            true
+        );
+
+        if (layoutCheck.exitCode !== 0) {
+            const releasesCheck = await this.executeCommand(
                 conn,
-                `sudo ls /etc/letsencrypt/live/${domain}/fullchain.pem >/dev/null 2>&1 && echo "SSL exists" || echo "SSL not found"`,
-                'Checking SSL certificate status',
+                `sudo test -d ${this.getReleasesDir()}`,
+                'Checking for the releases directory',
                 true
             );
 
-            if (sslCheck.output.includes('SSL exists')) {
-                this.log(`✅ SSL certificate found for ${domain}`);
-                return { hasSSL: true };
-            } else {
-                this.log(`ℹ️ SSL certificate not found for ${domain}`);
-                return { hasSSL: false };
+            if (releasesCheck.exitCode !== 0 || releasesCheck.dryRun) {
+                // First deploy: the site directory is new, so a failed deploy leaves none of it behind
+                this.registerRollback(
+                    'Removing the new site directory',
+                    `sudo rm -rf ${siteRoot}`
+                );
+                await this.executeCommand(
+                    conn,
+                    `sudo mkdir -p ${this.getReleasesDir()}`,
+                    'Creating releases directory'
+                );
             }
-        } catch (error) {
-            this.log(`❌ Error checking SSL status: ${error.message}`);
-            return { hasSSL: false };
+            return false;
+        }
+
+        this.log('📦 Existing site found, keeping it as the legacy release...');
+        this.registerRollback(
+            'Removing the release directories',
+            `sudo rm -rf ${this.getReleasesDir()} ${this.getCurrentLink()}`
+        );
+
+        const legacyDir = `${this.getReleasesDir()}/${LEGACY_RELEASE}`;
+        await this.executeCommand(
+            conn,
+            `sudo mkdir -p ${legacyDir} && sudo find ${siteRoot} -mindepth 1 -maxdepth 1 ! -name releases ! -name current -exec cp -a -t ${legacyDir} {} + && sudo ln -sfn releases/${LEGACY_RELEASE} ${this.getCurrentLink()}`,
+            'Copying the existing site into a legacy release'
+        );
+        return true;
+    }
+
+    // Removes the pre-release files next to releases/ once nginx serves current
+    async removeLegacyFiles(conn) {
+        await this.executeCommand(
+            conn,
+            `sudo find ${this.getSiteRoot()} -mindepth 1 -maxdepth 1 ! -name releases ! -name current -exec rm -rf {} +`,
+            'Removing the old webroot files'
+        );
+    }
+
+    // ln + mv -T replaces the symlink in a single rename, so no request sees a missing root
+    getSwitchCommand(releaseId) {
+        const link = this.getCurrentLink();
+        return `sudo ln -sfn releases/${releaseId} ${link}.next && sudo mv -T ${link}.next ${link}`;
+    }
+
+    async activateRelease(conn, releaseId) {
+        const previous = await this.getCurrentRelease(conn);
+        if (previous === releaseId) {
+            this.log(`ℹ️ Release ${releaseId} is already live`);
+            return previous;
+        }
+
+        this.registerRollback(
+            previous ? `Switching back to release ${previous}` : 'Removing the current release link',
+            previous ? this.getSwitchCommand(previous) : `sudo rm -f ${this.getCurrentLink()}`
+        );
+
+        const switchResult = await this.executeCommand(
+            conn,
+            this.getSwitchCommand(releaseId),
+            `Switching current to release ${releaseId}`
+        );
+
+        if (switchResult.exitCode !== 0) {
+            throw new Error(`Could not switch to release ${releaseId}`);
+        }
+
+        this.log(`🔀 Release ${releaseId} is live${previous ? ` (was ${previous})` : ''}`);
+        return previous;
+    }
+
+    async pruneReleases(conn) {
+        const { releases, current } = await this.listReleases(conn);
+        const obsolete = releases.slice(0, Math.max(0, releases.length - this.keepReleases)).filter(id => id !== current);
+
+        if (obsolete.length === 0) {
+            return [];
         }
+
+        await this.executeCommand(
+            conn,
+            `cd ${this.getReleasesDir()} && sudo rm -rf ${obsolete.join(' ')}`,
+            `Removing ${obsolete.length} old release(s)`
+        );
+        return obsolete;
     }
 
-    async cleanExistingInstallation(conn) {
+    async rollbackRelease(conn, releaseId = null) {
         if (!this.domain) {
-            throw new Error('Domain is required for cleaning existing installation');
+            throw new Error('Domain is required');
         }
 
-        this.log('🧹 Cleaning existing installation...');
+        await this.resolveWebroot(conn);
+        const { releases, current } = await this.listReleases(conn);
+        // Without an explicit release, go back to the one before the live release
+        const target = releaseId || releases[releases.indexOf(current) - 1];
+
+        if (!target) {
+            throw new Error(`No release before ${current || 'the current one'} to roll back to`);
+        }
+        if (!releases.includes(target)) {
+            throw new Error(`Release ${target} not found (available: ${releases.join(', ') || 'none'})`);
+        }
+
+        this.log(`⏪ Rolling back ${this.domain} to release ${target}...`);
 
         try {
-            // Remove existing nginx config (only the .conf file we created)
-            await this.executeCommand(
-                conn,
-                `sudo rm -f /etc/nginx/conf.d/${this.domain}.conf`,
-                'Removing existing nginx configuration'
+            this.registerRollback(
+                'Reloading nginx with the previous release',
+                'sudo nginx -t && sudo systemctl reload nginx'
             );
 
-            // Remove existing webroot directory
+            await this.activateRelease(conn, target);
+
             await this.executeCommand(
                 conn,
-                `sudo rm -rf /home/<adminuser>/webroot/${this.domain}`,
-                'Removing existing webroot directory'
+                'sudo systemctl reload nginx',
+                'Reloading nginx configuration'
             );
 
-            this.log('✅ Existing installation cleaned successfully');
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+
+        this.log(`🎉 ${this.domain} now serves release ${target}`);
+        return { success: true, domain: this.domain, release: target, previous: current };
+    }
+
+    async runRollbackRelease(releaseId = null, listOnly = false) {
+        let conn;
+
+        try {
+            conn = await this.connect();
+
+            if (listOnly) {
+                await this.resolveWebroot(conn);
+                const { releases, current } = await this.listReleases(conn);
+                this.log(`📋 Releases of ${this.domain}:`);
+                releases.slice().reverse().forEach(id => this.log(`   ${id === current ? '*' : ' '} ${id}`));
+                this.emitEvent('result', { success: true, result: { domain: this.domain, releases, current } });
+                return;
+            }
+
+            const result = await this.rollbackRelease(conn, releaseId);
+            this.printPlan();
+            this.emitEvent('result', { success: true, result });
         } catch (error) {
-            // Don't fail if cleanup doesn't work (might not exist)
-            this.log('⚠️ Cleanup completed with warnings (some files may not have existed)');
+            this.log(`❌ Release rollback failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exitCode = 1;
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
         }
     }
 
@@ -257,343 +459,404 @@ class StaticWebsiteInstaller {
             throw new Error('ZIP file path is invalid or file does not exist');
         }
 
-        this.log('📤 Uploading ZIP file to server...');
+        const zipFileName = path.basename(this.zipFilePath);
+        return this.uploadFile(conn, this.zipFilePath, `/tmp/${zipFileName}`, 'Uploading ZIP file to server');
+    }
 
-        return new Promise((resolve, reject) => {
-            const zipFileName = path.basename(this.zipFilePath);
-            const remotePath = `/tmp/${zipFileName}`;
+    async ensureWebrootBase(conn) {
+        // Ensure the webroot parent directory exists and has correct permissions
+        await this.executeCommand(
+            conn,
+            `sudo mkdir -p ${this.webrootDir}`,
+            'Ensuring webroot parent directory exists'
+        );
+
+        // Set permissions on the webroot parent to allow nginx traversal
+        await this.executeCommand(
+            conn,
+            `sudo chmod 755 ${this.webrootDir}`,
+            'Setting webroot parent directory permissions'
+        );
+
+        // nginx has to traverse the home directory to reach ~/webroot
+        if (this.userHomeDir) {
+            await this.executeCommand(
+                conn,
+                `sudo chmod o+x ${this.userHomeDir}`,
+                'Making home directory traversable by nginx'
+            );
+        }
+    }
 
-            conn.sftp((err, sftp) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    // Hands the release over to nginx and checks that it can be served
+    async finalizeRelease(conn, releaseDir) {
+        // www-data with Debian's nginx package, nginx with the nginx.org packages
+        const { user: webUser, group: webGroup } = await this.getNginxWorker(conn);
+        this.log(`🌐 Using web server user: ${webUser}`);
+
+        // Set proper ownership for the site and the new release
+        const chownResult = await this.executeCommand(
+            conn,
+            `sudo chown ${webUser}:${webGroup} ${this.getSiteRoot()} ${this.getReleasesDir()} && sudo chown -R ${webUser}:${webGroup} ${releaseDir}`,
+            `Setting webroot ownership to ${webUser}`
+        );
+
+        if (chownResult.exitCode !== 0) {
+            throw new Error(`Could not set webroot ownership to ${webUser}`);
+        }
 
-                const readStream = fs.createReadStream(this.zipFilePath);
-                const writeStream = sftp.createWriteStream(remotePath);
+        // Set proper permissions for web serving
+        // 755 is sufficient for both files and directories for nginx to serve content
+        await this.executeCommand(
+            conn,
+            `sudo chmod -R 755 ${releaseDir}`,
+            'Setting release permissions for nginx access'
+        );
+
+        // Validate the release before it goes live
+        const contentCheck = await this.executeCommand(
+            conn,
+            `sudo find ${releaseDir} -mindepth 1 -print -quit | grep -q .`,
+            'Checking that the release is not empty',
+            true
+        );
+
+        if (contentCheck.exitCode !== 0 && !this.plan) {
+            throw new Error('The release does not contain any files');
+        }
 
-                writeStream.on('close', () => {
-                    this.log('✅ ZIP file uploaded successfully');
-                    sftp.end();
-                    resolve(remotePath);
-                });
+        const indexCheck = await this.executeCommand(
+            conn,
+            `sudo -u ${webUser} test -r ${releaseDir}/index.html`,
+            `Testing ${webUser} access to index file`,
+            true
+        );
 
-                writeStream.on('error', (err) => {
-                    this.log(`❌ ZIP file upload failed: ${err.message}`);
-                    sftp.end();
-                    reject(err);
-                });
+        if (indexCheck.exitCode !== 0 && !this.plan) {
+            this.log('⚠️ No index.html readable by nginx in the release root');
+        }
 
-                readStream.pipe(writeStream);
-            });
-        });
+        // Check if SELinux might be blocking access
+        const selinuxCheck = await this.executeCommand(
+            conn,
+            `command -v getenforce >/dev/null 2>&1 && getenforce || echo "no-selinux"`,
+            'Checking SELinux status',
+            true
+        );
+
+        if (!selinuxCheck.output.includes("no-selinux")) {
+            this.log(`ℹ️ SELinux status: ${selinuxCheck.output.trim()}`);
+            if (selinuxCheck.output.includes("Enforcing")) {
+                this.log('⚠️ SELinux is enforcing - this might restrict nginx access to the webroot');
+            }
+        }
     }
 
-    async extractZipFile(conn, remoteZipPath) {
+    async extractZipFile(conn, remoteZipPath, releaseDir) {
         if (!this.domain) {
             throw new Error('Domain is required for extraction');
         }
 
-        this.log('📦 Extracting ZIP file to webroot...');
+        this.log('📦 Extracting ZIP file into a new release...');
 
         try {
-            // Ensure /opt/webroot directory exists and has correct permissions
-            await this.executeCommand(
-                conn,
-                `sudo mkdir -p /home/<adminuser>/webroot`,
-                'Ensuring webroot parent directory exists'
-            );
+            await this.ensureWebrootBase(conn);
 
-            // Set permissions on /opt/webroot to allow nginx traversal
+            // Create the release directory
             await this.executeCommand(
                 conn,
-                `sudo chmod 755 /home/<adminuser>/webroot`,
-                'Setting webroot parent directory permissions'
+                `sudo mkdir -p ${releaseDir}`,
+                'Creating release directory'
             );
 
-            // Create domain-specific webroot directory
-            await this.executeCommand(
+            // Extract ZIP file into the release
+            const unzipResult = await this.executeCommand(
                 conn,
-                `sudo mkdir -p /home/<adminuser>/webroot/${this.domain}`,
-                'Creating webroot directory'
+                `sudo unzip -o ${remoteZipPath} -d ${releaseDir}`,
+                'Extracting ZIP file into release'
             );
 
-            // Extract ZIP file to webroot
-            await this.executeCommand(
-                conn,
-                `sudo unzip -o ${remoteZipPath} -d /home/<adminuser>/webroot/${this.domain}`,
-                'Extracting ZIP file to webroot'
-            );
+            if (unzipResult.exitCode !== 0) {
+                throw new Error('Could not extract ZIP file');
+            }
 
-            // Use the nginx user (we know this because we installed nginx)
-            const webUser = "nginx";
-            this.log(`🌐 Using web server user: ${webUser}`);
+            await this.finalizeRelease(conn, releaseDir);
 
-            // Set proper ownership for the domain directory
+            // Clean up uploaded ZIP file
             await this.executeCommand(
                 conn,
-                `sudo chown -R ${webUser}:${webUser} /home/<adminuser>/webroot/${this.domain}`,
-                `Setting webroot ownership to ${webUser}`
+                `sudo rm -f ${remoteZipPath}`,
+                'Cleaning up uploaded ZIP file'
             );
 
-            // Set proper permissions for web serving
-            // 755 is sufficient for both files and directories for nginx to serve content
-            await this.executeCommand(
-                conn,
-                `sudo chmod -R 755 /home/<adminuser>/webroot/${this.domain}`,
-                'Setting webroot permissions for nginx access'
-            );
+            this.log('✅ ZIP file extracted successfully');
+        } catch (error) {
+            this.log(`❌ ZIP extraction failed: ${error.message}`);
+            throw error;
+        }
+    }
 
-            // Verify the webroot setup and file permissions
-            await this.executeCommand(
-                conn,
-                `sudo ls -la /home/<adminuser>/webroot/${this.domain}/`,
-                'Checking webroot directory contents',
-                true
-            );
+    // { 'css/site.css': { hash, size } } for every file below the folder
+    buildLocalManifest(dir = this.sourceDir, prefix = '') {
+        const manifest = {};
 
-            await this.executeCommand(
-                conn,
-                `sudo ls -la /home/<adminuser>/webroot/${this.domain}/index.html 2>/dev/null || echo "Index file not found"`,
-                'Verifying index file exists',
-                true
-            );
+        for (const entry of fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })) {
+            const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
 
-            // Check if nginx can access the directory
-            await this.executeCommand(
-                conn,
-                `sudo -u ${webUser} ls /home/<adminuser>/webroot/${this.domain}/index.html 2>/dev/null || echo "Web server user cannot access index file"`,
-                `Testing ${webUser} access to index file`,
-                true
-            );
+            if (entry.isDirectory()) {
+                if (entry.name !== '.git') {
+                    Object.assign(manifest, this.buildLocalManifest(dir, relativePath));
+                }
+            } else if (entry.isFile()) {
+                const content = fs.readFileSync(path.join(dir, relativePath));
+                manifest[relativePath] = {
+                    hash: crypto.createHash('sha256').update(content).digest('hex'),
+                    size: content.length
+                };
+            }
+        }
 
-            // Check if SELinux might be blocking access
-            const selinuxCheck = await this.executeCommand(
-                conn,
-                `command -v getenforce >/dev/null 2>&1 && getenforce || echo "no-selinux"`,
-                'Checking SELinux status',
-                true
-            );
+        return manifest;
+    }
 
-            if (!selinuxCheck.output.includes("no-selinux")) {
-                this.log(`ℹ️ SELinux status: ${selinuxCheck.output.trim()}`);
-                if (selinuxCheck.output.includes("Enforcing")) {
-                    this.log('⚠️ SELinux is enforcing - this might restrict nginx access to /opt/webroot');
-                }
+    // The remote manifest is computed from the live release itself, so files
+    // changed on the server by hand are detected too: { 'css/site.css': hash }
+    async readRemoteManifest(conn) {
+        const hashResult = await this.executeCommand(
+            conn,
+            `sudo sh -c 'cd ${this.getCurrentLink()}/ && find . -type f -print0 | xargs -0 -r sha256sum'`,
+            'Hashing the files of the live release',
+            true
+        );
+
+        const manifest = {};
+        if (hashResult.exitCode !== 0) {
+            return manifest;
+        }
+
+        for (const line of hashResult.output.split('\n')) {
+            // sha256sum escapes unusual file names with a leading backslash;
+            // those files are simply uploaded again
+            const match = line.match(/^([0-9a-f]{64}) [ *]\.\/(.+)$/);
+            if (match) {
+                manifest[match[2]] = match[1];
             }
+        }
+        return manifest;
+    }
 
-            // Check nginx configuration directory structure
-            const listConfigs = await this.executeCommand(
-                conn,
-                'sudo find /etc/nginx -name "*.conf" -type f | head -10',
-                'Finding all nginx configuration files',
-                true
-            );
+    // Builds the release from a copy of the live one plus the changed files
+    async syncFolder(conn, releaseDir) {
+        if (!this.sourceDir || !fs.existsSync(this.sourceDir)) {
+            throw new Error('Source folder is invalid or does not exist');
+        }
 
-            this.log('📋 Nginx configuration files found:');
-            this.log(listConfigs.output);
+        this.log('🔄 Comparing the local folder with the live release...');
 
-            // Check if our config file exists and is readable
-            const checkOurConfig = await this.executeCommand(
-                conn,
-                `sudo ls -la /etc/nginx/conf.d/${this.domain}.conf`,
-                'Checking our nginx configuration file',
-                true
-            );
+        const localManifest = this.buildLocalManifest();
+        const localFiles = Object.keys(localManifest);
+        if (localFiles.length === 0) {
+            throw new Error(`The folder ${this.sourceDir} does not contain any files`);
+        }
 
-            if (checkOurConfig.exitCode !== 0) {
-                this.log('❌ Our nginx configuration file was not created!');
-            }
+        const remoteManifest = await this.readRemoteManifest(conn);
+        const changed = localFiles.filter(file => remoteManifest[file] !== localManifest[file].hash);
+        const removed = Object.keys(remoteManifest).filter(file => !localManifest[file]);
+        const unchanged = localFiles.length - changed.length;
 
-            // Check if conf.d is included in main nginx.conf
-            const checkInclude = await this.executeCommand(
-                conn,
-                `sudo grep -n "conf.d" /etc/nginx/nginx.conf || echo "conf.d not included in nginx.conf"`,
-                'Checking if conf.d is included in main nginx configuration',
-                true
-            );
+        this.log(`📋 ${changed.length} changed, ${removed.length} removed, ${unchanged} unchanged file(s)`);
 
-            if (checkInclude.output.includes("conf.d not included")) {
-                this.log('⚠️ conf.d directory may not be included in nginx.conf');
-                this.log('📝 This could prevent our configuration from being loaded');
-            } else {
-                this.log('✅ conf.d directory is included in nginx.conf');
-            }
+        try {
+            await this.ensureWebrootBase(conn);
 
-            // Test nginx configuration syntax
-            const testConfig = await this.executeCommand(
+            // The SSH user owns the release while it is filled, so SFTP can write into it
+            const seeded = Object.keys(remoteManifest).length > 0;
+            await this.executeCommand(
                 conn,
-                'sudo nginx -t 2>&1',
-                'Testing nginx configuration syntax',
-                true
+                `sudo mkdir -p ${releaseDir}${seeded ? ` && sudo cp -a ${this.getCurrentLink()}/. ${releaseDir}/` : ''} && sudo chown -R "$(id -un)" ${releaseDir}`,
+                seeded ? 'Copying the live release into the new release' : 'Creating release directory'
             );
 
-            if (testConfig.exitCode !== 0) {
-                this.log(`❌ Nginx configuration test failed:`);
-                this.log(testConfig.output);
-            } else {
-                this.log('✅ Nginx configuration syntax is valid');
-
-                // Reload nginx
-                const reloadResult = await this.executeCommand(
+            if (removed.length > 0) {
+                await this.executeCommand(
                     conn,
-                    'sudo systemctl reload nginx 2>&1 || sudo service nginx reload 2>&1',
-                    'Reloading nginx configuration',
-                    true
+                    `cd ${releaseDir} && xargs -d '\\n' -r rm -f -- << 'EOF'
+${removed.join('\n')}
+EOF
+find ${releaseDir} -mindepth 1 -type d -empty -delete`,
+                    `Deleting ${removed.length} removed file(s)`
                 );
-
-                if (reloadResult.exitCode !== 0) {
-                    this.log(`❌ Failed to reload nginx:`);
-                    this.log(reloadResult.output);
-                } else {
-                    this.log('✅ Nginx configuration reloaded successfully');
-                }
             }
 
-            // Check nginx error logs for our domain
-            const checkLogs = await this.executeCommand(
-                conn,
-                'sudo tail -10 /var/log/nginx/error.log 2>/dev/null || echo "No nginx error logs found"',
-                'Checking recent nginx error logs',
-                true
-            );
+            let bytes = 0;
+            if (changed.length > 0) {
+                const directories = Array.from(new Set(changed.map(file => path.posix.dirname(file)).filter(dir => dir !== '.')));
+                if (directories.length > 0) {
+                    await this.executeCommand(
+                        conn,
+                        `cd ${releaseDir} && xargs -d '\\n' -r mkdir -p -- << 'EOF'
+${directories.join('\n')}
+EOF`,
+                        'Creating directories for changed files'
+                    );
+                }
 
-            this.log('📋 Recent nginx error logs:');
-            this.log(checkLogs.output);
+                bytes = await this.uploadFiles(conn, this.sourceDir, releaseDir, changed, `Uploading ${changed.length} changed file(s)`);
+            }
 
-            // Clean up uploaded ZIP file
-            await this.executeCommand(
-                conn,
-                `sudo rm -f ${remoteZipPath}`,
-                'Cleaning up uploaded ZIP file'
-            );
+            await this.finalizeRelease(conn, releaseDir);
 
-            this.log('✅ ZIP file extracted successfully');
+            this.log(`📊 Transferred ${formatBytes(bytes)} in ${changed.length} file(s), deleted ${removed.length}, kept ${unchanged}`);
+            return { uploaded: changed.length, removed: removed.length, unchanged, bytes };
         } catch (error) {
-            this.log(`❌ ZIP extraction failed: ${error.message}`);
+            this.log(`❌ Folder sync failed: ${error.message}`);
             throw error;
         }
     }
 
+    // Locations of the site's server block for the selected profile, as groups of config nodes
+    buildSiteLocations() {
+        const { directive, block, comment } = nginxConfig;
+        // add_header in a location drops the server's headers, so they are repeated
+        const cacheControl = (value) => [directive('add_header', `Cache-Control "${value}" always`), ...nginxConfig.securityHeaders()];
+        const locations = [];
+
+        if (this.profile === 'spa') {
+            locations.push([
+                comment('Single-page application: client-side routes are served by index.html'),
+                block('location', '/', [directive('try_files', '$uri $uri/ /index.html')])
+            ], [
+                comment('index.html is revalidated on every load so a new release shows up at once'),
+                block('location', '= /index.html', cacheControl('no-cache'))
+            ]);
+        } else if (this.profile === 'docs') {
+            locations.push([
+                comment('Documentation: /guide serves guide.html or guide/index.html'),
+                block('location', '/', [directive('try_files', '$uri $uri.html $uri/ =404')])
+            ]);
+        } else {
+            locations.push([
+                comment('Handle static files'),
+                block('location', '/', [directive('try_files', '$uri $uri/ =404')])
+            ]);
+        }
+
+        if (this.profile !== 'plain') {
+            locations.push([
+                comment('Hashed build assets never change, so browsers may keep them for a year'),
+                block('location', `~* ${HASHED_ASSET_PATTERN}`, [
+                    ...cacheControl('public, max-age=31536000, immutable'),
+                    directive('try_files', '$uri =404')
+                ])
+            ]);
+        }
+
+        locations.push([
+            comment('Custom error pages, used when the site ships them'),
+            directive('error_page', '404 /404.html'),
+            directive('error_page', '500 502 503 504 /50x.html'),
+            block('location', '= /404.html', [directive('internal')]),
+            block('location', '= /50x.html', [directive('internal')])
+        ]);
+
+        return locations;
+    }
+
+    isCoveredByCertificate(name) {
+        return !this.certificateNames || this.certificateNames.includes(name) ||
+            this.certificateNames.includes(`*.${name.split('.').slice(1).join('.')}`);
+    }
+
+    // previousConfig: the parsed current file, whose access rules are kept
+    buildNginxConfig(hasSSL, previousConfig = null) {
+        const { directive, comment } = nginxConfig;
+        const site = [directive('root', this.getCurrentLink()), directive('index', 'index.html index.htm')];
+        // Built per server: access rules exempt the content server's copy only
+        const acme = () => [comment('ACME challenge for SSL renewal (always keep this)'), nginxConfig.acmeChallengeLocation()];
+        const content = [
+            nginxConfig.gzipDirectives(),
+            [comment('Security headers'), ...nginxConfig.securityHeaders()],
+            ...this.buildSiteLocations()
+        ];
+
+        const { names, redirect } = this.getServerNames();
+        const serverName = names.join(' ');
+
+        const servers = [hasSSL
+            ? nginxConfig.serverBlock('80', serverName, nginxConfig.sections(
+                site,
+                [comment('Redirect all HTTP traffic to HTTPS (except ACME challenges)'), nginxConfig.httpsRedirectLocation()],
+                acme()
+            ))
+            : nginxConfig.serverBlock('80', serverName, nginxConfig.sections(site, ...content, acme()))];
+
+        if (hasSSL) {
+            servers.push(nginxConfig.blank(), nginxConfig.serverBlock('443 ssl http2', serverName, nginxConfig.sections(
+                site,
+                nginxConfig.sslDirectives(this.domain),
+                ...content,
+                acme()
+            )));
+        }
+
+        if (redirect) {
+            const target = `${hasSSL ? 'https' : 'http'}://${redirect.to}$request_uri`;
+            servers.push(nginxConfig.blank(), nginxConfig.serverBlock('80', redirect.from, nginxConfig.sections(
+                [comment(`Redirect ${redirect.from} to ${redirect.to} (except ACME challenges)`), nginxConfig.block('location', '/', [directive('return', `301 ${target}`)])],
+                acme()
+            )));
+
+            // Without the name on the certificate, browsers would warn before following the redirect
+            if (hasSSL && this.isCoveredByCertificate(redirect.from)) {
+                servers.push(nginxConfig.blank(), nginxConfig.serverBlock('443 ssl http2', redirect.from, nginxConfig.sections(
+                    nginxConfig.sslDirectives(this.domain),
+                    [comment(`Redirect ${redirect.from} to ${redirect.to}`), directive('return', `301 ${target}`)]
+                )));
+            }
+        }
+
+        const config = { type: 'root', children: [comment(`Static website configuration for ${this.domain} (profile: ${this.profile})`), ...servers] };
+        if (previousConfig) {
+            nginxConfig.copyAccessRules(previousConfig, config);
+        }
+        return nginxConfig.renderConfig(config);
+    }
+
     async createNginxConfig(conn, hasSSL = false) {
         if (!this.domain) {
             throw new Error('Domain is required for nginx configuration');
         }
 
-        this.log('⚙️ Creating nginx configuration...');
+        this.log(`⚙️ Creating nginx configuration (${this.profile} profile)...`);
 
         try {
-            let nginxConfig = `# Static website configuration for ${this.domain}
-server {
-    listen 80;
-    server_name ${this.domain};
-
-    root /home/<adminuser>/webroot/${this.domain};
-    index index.html index.htm;${hasSSL ? `
-
-    # Redirect all HTTP traffic to HTTPS (except ACME challenges)
-    location / {
-        return 301 https://$server_name$request_uri;
-    }` : `
-
-    # Enable gzip compression
-    gzip on;
-    gzip_vary on;
-    gzip_min_length 1024;
-    gzip_proxied any;
-    gzip_comp_level 6;
-    gzip_types
-        text/plain
-        text/css
-        text/xml
-        text/javascript
-        application/javascript
-        application/xml+rss
-        application/json;
-
-    # Security headers
-    add_header X-Frame-Options "SAMEORIGIN" always;
-    add_header X-XSS-Protection "1; mode=block" always;
-    add_header X-Content-Type-Options "nosniff" always;
-    add_header Referrer-Policy "no-referrer-when-downgrade" always;
-    add_header Content-Security-Policy "default-src 'self' http: https: data: blob: 'unsafe-inline'" always;
-
-    # Handle static files
-    location / {
-        try_files $uri $uri/ =404;
-    }`}
-
-    # ACME challenge for SSL renewal (always keep this)
-    location /.well-known/acme-challenge/ {
-        alias /usr/share/nginx/html/.well-known/acme-challenge/;
-        try_files $uri =404;
-    }
-}`;
-
-            // Add SSL configuration if SSL certificate exists
-            if (hasSSL) {
-                nginxConfig += `
-
-server {
-    listen 443 ssl http2;
-    server_name ${this.domain};
-
-    root /home/<adminuser>/webroot/${this.domain};
-    index index.html index.htm;
-
-    # SSL configuration
-    ssl_certificate /etc/letsencrypt/live/${this.domain}/fullchain.pem;
-    ssl_certificate_key /etc/letsencrypt/live/${this.domain}/privkey.pem;
-
-    # SSL security settings
-    ssl_protocols TLSv1.2 TLSv1.3;
-    ssl_ciphers ECDHE-RSA-AES128-GCM-SHA256:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-RSA-AES128-SHA256:ECDHE-RSA-AES256-SHA384;
-    ssl_prefer_server_ciphers off;
-
-    # Enable gzip compression
-    gzip on;
-    gzip_vary on;
-    gzip_min_length 1024;
-    gzip_proxied any;
-    gzip_comp_level 6;
-    gzip_types
-        text/plain
-        text/css
-        text/xml
-        text/javascript
-        application/javascript
-        application/xml+rss
-        application/json;
-
-    # Security headers
-    add_header X-Frame-Options "SAMEORIGIN" always;
-    add_header X-XSS-Protection "1; mode=block" always;
-    add_header X-Content-Type-Options "nosniff" always;
-    add_header Referrer-Policy "no-referrer-when-downgrade" always;
-    add_header Content-Security-Policy "default-src 'self' http: https: data: blob: 'unsafe-inline'" always;
-
-    # Handle static files
-    location / {
-        try_files $uri $uri/ =404;
-    }
-
-    # ACME challenge for SSL renewal (always keep this)
-    location /.well-known/acme-challenge/ {
-        alias /usr/share/nginx/html/.well-known/acme-challenge/;
-        try_files $uri =404;
-    }
-}`;
+            // Basic auth and address lists set up with the access command survive a redeploy
+            const readConfig = await this.executeCommand(
+                conn,
+                `sudo cat /etc/nginx/conf.d/${this.domain}.conf`,
+                'Reading existing nginx configuration',
+                true
+            );
+            let previousConfig = null;
+            if (readConfig.exitCode === 0) {
+                try {
+                    previousConfig = nginxConfig.parseConfig(readConfig.output);
+                } catch (error) {
+                    this.log(`⚠️ Existing configuration not readable, access rules are not carried over: ${error.message}`);
+                }
             }
 
             // Write nginx configuration
             await this.executeCommand(
                 conn,
                 `cat > /tmp/${this.domain}.conf << 'EOF'
-${nginxConfig}
+${this.buildNginxConfig(hasSSL, previousConfig)}
 EOF`,
                 'Creating nginx configuration file'
             );
 
+            await this.backupPath(conn, `/etc/nginx/conf.d/${this.domain}.conf`, 'existing nginx configuration');
+
             // Move to nginx sites directory and set proper ownership
             await this.executeCommand(
                 conn,
@@ -612,13 +875,7 @@ EOF`,
                 throw new Error('Nginx configuration test failed');
             }
 
-            // Reload nginx
-            await this.executeCommand(
-                conn,
-                'sudo systemctl reload nginx',
-                'Reloading nginx configuration'
-            );
-
+            // nginx is reloaded once the new release is live
             if (hasSSL) {
                 this.log('✅ Nginx configuration created with SSL support');
             } else {
@@ -632,8 +889,8 @@ EOF`,
     }
 
     async installStaticWebsite(conn) {
-        if (!this.domain || !this.zipFilePath) {
-            throw new Error('Domain and ZIP file path are required');
+        if (!this.domain || !(this.zipFilePath || this.sourceDir)) {
+            throw new Error('Domain and a ZIP file or folder are required');
         }
 
         this.log('🚀 Starting static website installation...');
@@ -648,28 +905,70 @@ EOF`,
             // Step 2: Check SSL status
             const sslStatus = await this.checkSSLStatus(conn, this.domain);
             const hasSSL = sslStatus.hasSSL;
+            this.certificateNames = sslStatus.names || null;
 
             if (hasSSL) {
                 this.log('🔒 SSL certificate detected - will configure HTTPS support');
+
+                const { names, redirect } = this.getServerNames();
+                const uncovered = [...names, ...(redirect ? [redirect.from] : [])].filter(name => !this.isCoveredByCertificate(name));
+                if (uncovered.length > 0) {
+                    this.log(`⚠️ The certificate for ${this.domain} does not cover ${uncovered.join(', ')}; add them with: ssl --domain ${this.domain} --alias ${uncovered.join(',')}`);
+                }
             } else {
                 this.log('ℹ️ No SSL certificate found - configuring HTTP only');
             }
 
-            // Step 3: Clean existing installation
-            await this.cleanExistingInstallation(conn);
+            await this.resolveWebroot(conn);
 
-            // Step 4: Upload ZIP file
-            const remoteZipPath = await this.uploadZipFile(conn);
+            // Runs last on rollback, once the previous files are back in place
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
 
-            // Step 5: Extract ZIP file
-            await this.extractZipFile(conn, remoteZipPath);
+            if (hasSSL) {
+                await this.ensureTlsParams(conn);
+            }
+
+            // Step 3: Prepare the release directories, the live site stays untouched
+            const migrated = await this.prepareReleaseLayout(conn);
+            const releaseId = this.createReleaseId();
+            const releaseDir = `${this.getReleasesDir()}/${releaseId}`;
+            this.registerRollback('Removing the new release', `sudo rm -rf ${releaseDir}`);
 
-            // Step 6: Create nginx configuration
+            // Steps 4-5: Sync the folder, or upload and extract the ZIP file, into the release
+            let sync = null;
+            if (this.sourceDir) {
+                sync = await this.syncFolder(conn, releaseDir);
+            } else {
+                const remoteZipPath = await this.uploadZipFile(conn);
+                this.registerRollback('Removing uploaded ZIP file', `sudo rm -f ${remoteZipPath}`);
+                await this.extractZipFile(conn, remoteZipPath, releaseDir);
+            }
+
+            // Step 6: Create and test the nginx configuration
             await this.createNginxConfig(conn, hasSSL);
 
+            // Step 7: Switch the current symlink and reload nginx
+            const previousRelease = await this.activateRelease(conn, releaseId);
+            await this.executeCommand(
+                conn,
+                'sudo systemctl reload nginx',
+                'Reloading nginx configuration'
+            );
+
+            await this.commitRollback(conn);
+
+            // Step 8: Clean up what is no longer served
+            if (migrated) {
+                await this.removeLegacyFiles(conn);
+            }
+            await this.pruneReleases(conn);
+
             this.log('🎉 Static website installation completed successfully!');
             this.log(`📋 Domain: ${this.domain}`);
-            this.log(`📁 Webroot: /home/<adminuser>/webroot/${this.domain}`);
+            this.log(`📁 Webroot: ${this.getCurrentLink()} -> releases/${releaseId}`);
             this.log(`⚙️ Nginx config: /etc/nginx/conf.d/${this.domain}.conf`);
             if (hasSSL) {
                 this.log('🔒 SSL: Enabled (HTTPS available)');
@@ -680,29 +979,82 @@ EOF`,
             return {
                 success: true,
                 domain: this.domain,
-                webroot: `/home/<adminuser>/webroot/${this.domain}`,
+                webroot: this.getCurrentLink(),
+                release: releaseId,
+                previousRelease,
+                profile: this.profile,
+                sync,
                 nginxConfig: `/etc/nginx/conf.d/${this.domain}.conf`,
                 hasSSL: hasSSL
             };
 
         } catch (error) {
             this.log(`❌ Static website installation failed: ${error.message}`);
+            await this.rollback(conn);
             throw error;
         }
     }
 
+    async uninstall(conn) {
+        if (!this.domain) {
+            throw new Error('Domain is required');
+        }
+
+        this.log(`🧹 Removing static website ${this.domain}...`);
+        await this.resolveWebroot(conn);
+
+        try {
+            // Runs last on rollback, once the site is back in place
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+
+            // Moved aside first so the site can be restored if nginx rejects the change
+            await this.backupPath(conn, `/etc/nginx/conf.d/${this.domain}.conf`, 'nginx configuration', { move: true });
+            await this.backupPath(conn, this.getSiteRoot(), 'webroot directory', { move: true });
+
+            const testResult = await this.executeCommand(
+                conn,
+                'sudo nginx -t',
+                'Testing nginx configuration'
+            );
+
+            if (testResult.exitCode !== 0) {
+                throw new Error('Nginx configuration test failed');
+            }
+
+            await this.executeCommand(
+                conn,
+                'sudo systemctl reload nginx',
+                'Reloading nginx configuration'
+            );
+
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+
+        this.log(`🎉 Static website ${this.domain} has been removed`);
+        return { removed: true, domain: this.domain };
+    }
+
     async run() {
         let conn;
 
         try {
             conn = await this.connect();
             const result = await this.installStaticWebsite(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.success), result });
 
             if (result.success) {
                 this.log('✅ Static website setup completed successfully!');
             }
         } catch (error) {
             this.log(`❌ Setup failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
             process.exit(1);
         } finally {
             if (conn) {
@@ -712,10 +1064,170 @@ EOF`,
     }
 }
 
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+            case '-h':
+                config.host = args[++i];
+                break;
+            case '--username':
+            case '-u':
+                config.username = args[++i];
+                break;
+            case '--key':
+            case '-k':
+                config.privateKeyPath = args[++i];
+                break;
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]) || 22;
+                break;
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--dry-run':
+                config.dryRun = true;
+                break;
+            case '--json':
+                config.json = true;
+                break;
+            case '--domain':
+            case '-d':
+                config.domain = args[++i];
+                break;
+            case '--zip':
+            case '-z':
+                config.zip = args[++i];
+                break;
+            case '--dir':
+                config.dir = args[++i];
+                break;
+            case '--profile':
+                config.profile = args[++i];
+                break;
+            case '--webroot':
+                config.webroot = args[++i];
+                break;
+            case '--keep':
+                config.keep = args[++i];
+                break;
+            case '--alias':
+                config.aliases = (config.aliases || []).concat(args[++i]);
+                break;
+            case '--www-redirect':
+                config.wwwRedirect = args[++i];
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    config.port = config.port || 22;
+    config.username = config.username || 'admin';
+
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+🌐 Static Website Installer
+
+Deploys a static website behind nginx as a new release and switches to it atomically.
+
+USAGE:
+  node static-website-installer.js --host HOST --username USER --key KEYFILE --domain DOMAIN (--zip FILE | --dir FOLDER) [OPTIONS]
+
+SSH OPTIONS:
+  --host, -h HOST          SSH host/IP address
+  --username, -u USER      SSH username (default: admin)
+  --key, -k PATH           Path to SSH private key file
+  --port, -p PORT          SSH port (default: 22)
+  --passphrase PASS        SSH key passphrase (if required)
+  --dry-run                Print the planned remote commands without executing them
+  --json                   Stream newline-delimited JSON events on stdout
+
+SITE OPTIONS:
+  --domain, -d DOMAIN      Domain served by nginx
+  --zip, -z FILE           ZIP file with the website
+  --dir FOLDER             Build folder; only files that changed since the live release are uploaded
+  --profile PROFILE        ${Object.keys(SITE_PROFILES).join(', ')} (default: plain)
+  --webroot DIR            Base directory for sites (default: ~/webroot of the SSH user)
+  --keep N                 Releases to keep for rollback (default: 5)
+  --alias NAME             Further name served by the site (repeatable or comma-separated)
+  --www-redirect TARGET    apex: www.DOMAIN redirects to DOMAIN, www: the reverse
+  --help                   Show this help
+
+PROFILES:
+${Object.entries(SITE_PROFILES).map(([name, description]) => `  ${name.padEnd(7)}${description}`).join('\n')}
+
+If a certificate for the domain exists, the site is served over HTTPS. Aliases
+and the www name should be on that certificate (ssl --alias NAME / --www).
+
+EXAMPLES:
+  node static-website-installer.js -h 18.195.241.96 -k key.pem --domain example.com --zip ./site.zip
+  node static-website-installer.js -h 18.195.241.96 -k key.pem --domain app.example.com --dir ./dist --profile spa --webroot /var/www
+  node static-website-installer.js -h 18.195.241.96 -k key.pem --domain example.com --dir ./dist --www-redirect apex
+`);
+}
+
 // Run the installer if this file is executed directly
 if (require.main === module) {
+    const config = parseArgs();
+    const source = config.dir || config.zip;
+
+    if (!config.host || !config.privateKeyPath || !config.domain || !source) {
+        showHelp();
+        process.exit(1);
+    }
+
     const installer = new StaticWebsiteInstaller();
+    installer.config = config;
+
+    try {
+        if (!fs.existsSync(source)) {
+            throw new Error(`${config.dir ? 'Folder' : 'ZIP file'} not found: ${source}`);
+        }
+        installer.setWebsiteConfig(config.domain, source);
+        if (config.dir && !installer.sourceDir) {
+            throw new Error(`Not a folder: ${config.dir}`);
+        }
+        installer.setSiteProfile(config.profile || 'plain');
+        installer.setServerNames(config.aliases, config.wwwRedirect);
+        installer.setWebrootBase(config.webroot);
+        if (config.keep) {
+            installer.setReleaseOptions(config.keep);
+        }
+        installer.validateConnectionConfig(installer.config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    if (config.dryRun) {
+        installer.enableDryRun();
+    }
+
     installer.run().catch(console.error);
 }
 
 module.exports = StaticWebsiteInstaller;
+module.exports.SITE_PROFILES = SITE_PROFILES;
+module.exports.WWW_REDIRECTS = WWW_REDIRECTS;
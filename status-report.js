@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+const RemoteSession = require('./remote-session');
+const BasicToolsInstaller = require('./basic-tools-installer');
+const { formatTable, formatMarkdownTable } = require('./text-table');
+
+const FORMATS = ['table', 'json', 'markdown'];
+
+/**
+ * Server status report
+ *
+ * Audits the whole stack over one SSH connection using read-only probes:
+ * OS release, Node.js/npm, nginx, basic tools, Let's Encrypt certificates,
+ * nginx sites in conf.d and the code-server service.
+ */
+class StatusReporter extends RemoteSession {
+    constructor(progressCallback = null) {
+        super(progressCallback);
+        this.component = 'status';
+        this.format = 'table';
+        // The report can be redirected to a file, so progress goes to stderr
+        this.reserveStdout = true;
+    }
+
+    setFormat(format) {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown report format: ${format} (allowed: ${FORMATS.join(', ')})`);
+        }
+        this.format = format;
+    }
+
+    async probe(conn, command, description) {
+        const result = await this.executeCommand(conn, command, description, true);
+        return result.exitCode === 0 ? result.output.trim() : null;
+    }
+
+    async checkOS(conn) {
+        const osRelease = await this.probe(conn, 'cat /etc/os-release', 'Reading OS release') || '';
+        const fields = {};
+        for (const line of osRelease.split('\n')) {
+            const match = line.match(/^(\w+)=(.*)$/);
+            if (match) {
+                fields[match[1]] = match[2].replace(/^"|"$/g, '');
+            }
+        }
+
+        return {
+            name: fields.PRETTY_NAME || 'unknown',
+            version: fields.VERSION_ID || null,
+            codename: fields.VERSION_CODENAME || null,
+            kernel: await this.probe(conn, 'uname -r', 'Reading kernel version')
+        };
+    }
+
+    async checkNode(conn) {
+        const nodeVersion = await this.probe(conn, 'command -v node >/dev/null 2>&1 && node --version', 'Checking Node.js version');
+        const npmVersion = await this.probe(conn, 'command -v npm >/dev/null 2>&1 && npm --version', 'Checking npm version');
+        return { installed: Boolean(nodeVersion), nodeVersion, npmVersion };
+    }
+
+    async checkNginx(conn) {
+        const versionOutput = await this.probe(
+            conn,
+            '(command -v nginx >/dev/null 2>&1 && nginx -v 2>&1) || /usr/sbin/nginx -v 2>&1',
+            'Checking nginx version'
+        );
+
+        return {
+            installed: Boolean(versionOutput),
+            version: versionOutput ? versionOutput.replace(/^nginx version:\s*/, '') : null,
+            active: await this.probe(conn, 'systemctl is-active nginx 2>/dev/null || true', 'Checking nginx service state') || 'unknown',
+            enabled: await this.probe(conn, 'systemctl is-enabled nginx 2>/dev/null || true', 'Checking if nginx is enabled') || 'unknown'
+        };
+    }
+
+    async checkTools(conn) {
+        const toolsInstaller = new BasicToolsInstaller();
+        toolsInstaller.config = this.config;
+
+        const tools = [];
+        for (const tool of toolsInstaller.tools) {
+            tools.push({
+                name: tool,
+                command: toolsInstaller.getCommandName(tool),
+                installed: await toolsInstaller.checkToolInstalled(conn, tool)
+            });
+        }
+        return tools;
+    }
+
+    async checkCertificates(conn) {
+        // One line per certificate: name|notAfter|DNS:a, DNS:b
+        const output = await this.probe(
+            conn,
+            'sudo sh -c \'for d in /etc/letsencrypt/live/*/; do [ -f "$d/cert.pem" ] || continue; ' +
+            'echo "$(basename "$d")|$(openssl x509 -enddate -noout -in "$d/cert.pem" | cut -d= -f2)|' +
+            '$(openssl x509 -noout -ext subjectAltName -in "$d/cert.pem" 2>/dev/null | tail -n +2 | xargs)"; done\'',
+            'Listing Let\'s Encrypt certificates'
+        );
+
+        if (!output) {
+            return [];
+        }
+
+        return output.split('\n').filter(Boolean).map(line => {
+            const [name, notAfter, altNames] = line.split('|');
+            const expires = new Date(notAfter);
+            const valid = !isNaN(expires.getTime());
+            return {
+                name,
+                domains: (altNames || '').split(',').map(entry => entry.trim().replace(/^DNS:/, '')).filter(Boolean),
+                expires: valid ? expires.toISOString() : null,
+                daysLeft: valid ? Math.floor((expires.getTime() - Date.now()) / 86400000) : null
+            };
+        });
+    }
+
+    async checkSites(conn) {
+        const output = await this.probe(
+            conn,
+            'sudo sh -c \'for f in /etc/nginx/conf.d/*.conf; do [ -f "$f" ] && echo "### $f" && cat "$f"; done\'',
+            'Reading nginx site configurations'
+        );
+
+        if (!output) {
+            return [];
+        }
+
+        return output.split(/^### /m).filter(Boolean).map(chunk => {
+            const newline = chunk.indexOf('\n');
+            const file = (newline === -1 ? chunk : chunk.slice(0, newline)).trim();
+            const content = newline === -1 ? '' : chunk.slice(newline + 1);
+            // Ignore commented-out directives
+            const active = content.split('\n').filter(line => !line.trim().startsWith('#')).join('\n');
+
+            const serverNames = new Set();
+            for (const match of active.matchAll(/server_name\s+([^;]+);/g)) {
+                match[1].split(/\s+/).filter(name => name && name !== '_').forEach(name => serverNames.add(name));
+            }
+
+            return {
+                file,
+                serverNames: Array.from(serverNames),
+                ssl: /listen\s+[^;]*443/.test(active),
+                proxies: Array.from(active.matchAll(/proxy_pass\s+([^;]+);/g), match => match[1].trim())
+            };
+        });
+    }
+
+    async checkCodeServer(conn) {
+        const version = await this.probe(conn, 'command -v code-server >/dev/null 2>&1 && code-server --version | head -1', 'Checking code-server version');
+        return {
+            installed: Boolean(version),
+            version: version ? version.split(' ')[0] : null,
+            active: await this.probe(conn, 'systemctl is-active code-server@$USER 2>/dev/null || true', 'Checking code-server service state') || 'unknown',
+            enabled: await this.probe(conn, 'systemctl is-enabled code-server@$USER 2>/dev/null || true', 'Checking if code-server is enabled') || 'unknown'
+        };
+    }
+
+    async collectReport(conn) {
+        this.log('🔍 Collecting server status...');
+
+        const report = {
+            host: this.config.host,
+            generatedAt: new Date().toISOString(),
+            os: await this.checkOS(conn),
+            node: await this.checkNode(conn),
+            nginx: await this.checkNginx(conn),
+            tools: await this.checkTools(conn),
+            certificates: await this.checkCertificates(conn),
+            sites: await this.checkSites(conn),
+            codeServer: await this.checkCodeServer(conn)
+        };
+
+        this.log('✅ Server status collected');
+        return report;
+    }
+
+    async run() {
+        let conn;
+
+        try {
+            conn = await this.connect();
+            const report = await this.collectReport(conn);
+
+            if (this.config.json) {
+                this.emitEvent('status', { report });
+            } else {
+                console.log(formatReport(report, this.format));
+            }
+            this.emitEvent('result', { success: true });
+        } catch (error) {
+            this.log(`❌ Status check failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
+            process.exit(1);
+        } finally {
+            if (conn) {
+                conn.end();
+                this.log('🔌 SSH connection closed');
+            }
+        }
+    }
+}
+
+function describeService(service) {
+    if (!service.installed) {
+        return 'not installed';
+    }
+    return `${service.version || 'installed'} (${service.active}, ${service.enabled})`;
+}
+
+function formatReport(report, format = 'table') {
+    if (format === 'json') {
+        return JSON.stringify(report, null, 2);
+    }
+
+    const markdown = format === 'markdown';
+    const renderTable = markdown ? formatMarkdownTable : formatTable;
+    const heading = (title) => (markdown ? `## ${title}` : `${title}:`);
+
+    const overview = [
+        { item: 'OS', value: `${report.os.name}${report.os.kernel ? ` (kernel ${report.os.kernel})` : ''}` },
+        { item: 'Node.js', value: report.node.installed ? report.node.nodeVersion : 'not installed' },
+        { item: 'npm', value: report.node.npmVersion || 'not installed' },
+        { item: 'Nginx', value: describeService(report.nginx) },
+        { item: 'code-server', value: describeService(report.codeServer) }
+    ];
+
+    const sections = [
+        markdown ? `# Server status: ${report.host}\n\nGenerated ${report.generatedAt}` : `📊 Server status: ${report.host} (${report.generatedAt})`,
+        heading('Overview'),
+        renderTable([{ key: 'item', title: 'ITEM' }, { key: 'value', title: 'VALUE' }], overview),
+        heading('Tools'),
+        renderTable(
+            [{ key: 'name', title: 'TOOL' }, { key: 'command', title: 'COMMAND' }, { key: 'status', title: 'STATUS' }],
+            report.tools.map(tool => ({ ...tool, status: tool.installed ? 'installed' : 'missing' }))
+        ),
+        heading('Certificates'),
+        report.certificates.length === 0 ? 'No certificates found' : renderTable(
+            [{ key: 'name', title: 'CERTIFICATE' }, { key: 'domains', title: 'DOMAINS' }, { key: 'expires', title: 'EXPIRES' }, { key: 'daysLeft', title: 'DAYS LEFT' }],
+            report.certificates.map(cert => ({
+                ...cert,
+                domains: cert.domains.join(', '),
+                expires: cert.expires ? cert.expires.slice(0, 10) : 'unknown'
+            }))
+        ),
+        heading('Sites'),
+        report.sites.length === 0 ? 'No sites in /etc/nginx/conf.d' : renderTable(
+            [{ key: 'file', title: 'CONFIG' }, { key: 'serverNames', title: 'SERVER NAMES' }, { key: 'ssl', title: 'HTTPS' }, { key: 'proxies', title: 'PROXIES' }],
+            report.sites.map(site => ({
+                file: site.file,
+                serverNames: site.serverNames.join(' '),
+                ssl: site.ssl ? 'yes' : 'no',
+                proxies: site.proxies.join(', ')
+            }))
+        )
+    ];
+
+    return sections.join('\n\n');
+}
+
+// Parse command line arguments
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const config = {};
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+            case '-h':
+                config.host = args[++i];
+                break;
+            case '--username':
+            case '-u':
+                config.username = args[++i];
+                break;
+            case '--key':
+            case '-k':
+                config.privateKeyPath = args[++i];
+                break;
+            case '--port':
+            case '-p':
+                config.port = parseInt(args[++i]) || 22;
+                break;
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--format':
+            case '-f':
+                config.format = args[++i];
+                break;
+            case '--help':
+                showHelp();
+                process.exit(0);
+                break;
+        }
+    }
+
+    config.port = config.port || 22;
+    config.username = config.username || 'admin';
+    config.format = config.format || 'table';
+
+    return config;
+}
+
+function showHelp() {
+    console.log(`
+📊 Server Status Report
+
+Audits Node.js, Nginx, basic tools, certificates, sites and code-server in one pass.
+
+USAGE:
+  node status-report.js --host HOST --username USER --key KEYFILE [--format table|json|markdown]
+
+OPTIONS:
+  --host, -h HOST          SSH host/IP address
+  --username, -u USER      SSH username (default: admin)
+  --key, -k PATH           Path to SSH private key file
+  --port, -p PORT          SSH port (default: 22)
+  --passphrase PASS        SSH key passphrase (if required)
+  --format, -f FORMAT      table (default), json or markdown
+  --help                   Show this help
+
+EXAMPLE:
+  node status-report.js --host 18.195.241.96 --username admin --key 18.195.241.96.pem --format markdown > status.md
+`);
+}
+
+// Run the reporter if this file is executed directly
+if (require.main === module) {
+    const config = parseArgs();
+
+    if (!config.host || !config.privateKeyPath) {
+        showHelp();
+        process.exit(1);
+    }
+
+    const reporter = new StatusReporter();
+    reporter.config = config;
+
+    try {
+        reporter.setFormat(config.format);
+        reporter.validateConnectionConfig(reporter.config);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+
+    reporter.run().catch(console.error);
+}
+
+module.exports = StatusReporter;
+module.exports.formatReport = formatReport;
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { sha512Crypt } = require('../nginx-access-control');
+
+// Expected values from glibc's crypt(3) and openssl passwd -6
+test('sha512Crypt matches crypt(3)', () => {
+    assert.strictEqual(
+        sha512Crypt('Hello world!', 'saltstring', 5000),
+        '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcbYEdFCoEOfaS35inz1'
+    );
+    assert.strictEqual(
+        sha512Crypt('secret', 'abcdefgh', 10000),
+        '$6$rounds=10000$abcdefgh$dtkgtX8ow6kub/Iulo6m6YRiWBlfmJEeDmTXbQPwlPu6qBjkZV2Ix8CeH0sE3NMp3Sq63bHshmKLBUGe7mWYy/'
+    );
+    assert.strictEqual(
+        sha512Crypt('pässwörd with a longer key exceeding sixty-four bytes .........................', 'saltstringsaltst', 1000),
+        '$6$rounds=1000$saltstringsaltst$AFOUNW/oNibnUyZ2trU2tOQe4tTfqiumvxXax5yFrPXsJaKECgTRvZrxhM1Z0/XB4rkuxw3KRf8PbTM/54pfK1'
+    );
+});
@@ -0,0 +1,62 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const RemoteSession = require('../remote-session');
+const VSCodeWebInstaller = require('../vscode-web-installer');
+const StackInstaller = require('../stack-installer');
+
+const PASSWORD = 'correct-horse-battery-staple';
+
+// Skips the remote steps, so only what installVSCodeWeb reports reaches the events
+function stubInstallSteps() {
+    const proto = VSCodeWebInstaller.prototype;
+    mock.method(proto, 'checkSSLStatus', async () => ({ hasSSL: true }));
+    mock.method(proto, 'ensureTlsParams', async () => {});
+    mock.method(proto, 'installGit', async () => {});
+    mock.method(proto, 'createWebrootDirectory', async () => {});
+    mock.method(proto, 'installCodeServer', async () => true);
+    mock.method(proto, 'generateHashedPassword', async () => '$argon2id$stub');
+    mock.method(proto, 'createCodeServerConfig', async () => {});
+    mock.method(proto, 'updateNginxConfig', async () => true);
+    mock.method(proto, 'commitRollback', async () => {});
+    mock.method(RemoteSession.prototype, 'log', () => {});
+}
+
+function collectEvents(session) {
+    const events = [];
+    session.config = { host: '192.0.2.10' };
+    session.setEventCallback(event => events.push(event));
+    mock.method(session, 'connect', async () => ({ end() {} }));
+    return events;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('the vscode result event does not contain the password', async () => {
+    stubInstallSteps();
+    const installer = new VSCodeWebInstaller();
+    const events = collectEvents(installer);
+    installer.setVSCodeConfig('code.example.com', '/code', PASSWORD);
+
+    await installer.run();
+
+    const result = events.find(event => event.type === 'result');
+    assert.strictEqual(result.success, true);
+    assert.ok(!JSON.stringify(events).includes(PASSWORD));
+});
+
+test('the stack result event does not contain the vscode password', async () => {
+    stubInstallSteps();
+    const stack = new StackInstaller();
+    const events = collectEvents(stack);
+    stack.setStackOptions({
+        installOptions: { vscodeWeb: true },
+        vscodeWebConfig: { domain: 'code.example.com', path: '/code', password: PASSWORD }
+    });
+
+    await stack.run();
+
+    const result = events.find(event => event.type === 'result');
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.results.vscodeWeb.success, true);
+    assert.ok(!JSON.stringify(events).includes(PASSWORD));
+});
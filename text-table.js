@@ -0,0 +1,40 @@
+/**
+ * Plain-text and Markdown table rendering for CLI summaries
+ *
+ * columns: [{ key, title }], rows: array of objects keyed by column key
+ */
+function formatTable(columns, rows) {
+    const cell = (row, column) => (row[column.key] === undefined || row[column.key] === null ? '' : String(row[column.key]));
+
+    const widths = columns.map(column =>
+        Math.max(column.title.length, ...rows.map(row => cell(row, column).length))
+    );
+
+    const renderLine = (values) => values
+        .map((value, index) => value.padEnd(widths[index]))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        renderLine(columns.map(column => column.title)),
+        renderLine(widths.map(width => '-'.repeat(width))),
+        ...rows.map(row => renderLine(columns.map(column => cell(row, column))))
+    ].join('\n');
+}
+
+function formatMarkdownTable(columns, rows) {
+    const cell = (row, column) => (row[column.key] === undefined || row[column.key] === null ? '' : String(row[column.key]))
+        .replace(/\|/g, '\\|')
+        .replace(/\n/g, ' ');
+
+    return [
+        `| ${columns.map(column => column.title).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...rows.map(row => `| ${columns.map(column => cell(row, column)).join(' | ')} |`)
+    ].join('\n');
+}
+
+module.exports = {
+    formatTable,
+    formatMarkdownTable
+};
@@ -2,9 +2,10 @@
 
 
 
-const { Client } = require('ssh2');
-const fs = require('fs');
-const path = require('path');
+const RemoteSession = require('./remote-session');
+const nginxConfig = require('./nginx-config');
+
+const { directive, block, comment, blank } = nginxConfig;
 
 // Handle argon2 loading based on environment
 let argon2 = null;
@@ -12,21 +13,21 @@ let argon2Type = 'none';
 
 if (typeof process !== 'undefined' && process.versions && process.versions.node && !process.versions.electron) {
     // In Node.js CLI environment, try native argon2 first
-    console.log('🔄 CLI environment detected, trying native argon2 package...');
+    console.error('🔄 CLI environment detected, trying native argon2 package...');
     try {
         argon2 = require('argon2');
         argon2Type = 'native';
-        console.log('✅ Native argon2 package loaded successfully');
+        console.error('✅ Native argon2 package loaded successfully');
     } catch (nativeError) {
         console.warn('⚠️ Native argon2 package not available:', nativeError.message);
-        console.log('🔄 Falling back to argon2-browser...');
+        console.error('🔄 Falling back to argon2-browser...');
         try {
             argon2 = require('argon2-browser');
             argon2Type = 'browser';
-            console.log('✅ argon2-browser loaded as fallback');
+            console.error('✅ argon2-browser loaded as fallback');
         } catch (browserError) {
             console.warn('⚠️ argon2-browser also failed:', browserError.message);
-            console.log('❌ CRITICAL: No argon2 implementation available');
+            console.error('❌ CRITICAL: No argon2 implementation available');
             argon2 = null;
             argon2Type = 'none';
         }
@@ -52,176 +53,32 @@ if (typeof process !== 'undefined' && process.versions && process.versions.node
     }
 }
 
-class VSCodeWebInstaller {
+class VSCodeWebInstaller extends RemoteSession {
     constructor(progressCallback = null) {
-        this.config = {};
-        this.progressCallback = progressCallback;
+        super(progressCallback);
+        this.component = 'vscode';
         this.domain = null;
         this.path = null;
         this.password = null;
     }
 
-    log(message) {
-        console.log(message);
-        if (this.progressCallback) {
-            this.progressCallback(message);
-        }
-    }
-
-    validateConnectionConfig(config) {
-        const required = ['host', 'privateKeyPath'];
-        const missing = required.filter(key => !config[key]);
-
-        if (missing.length > 0) {
-            const errorMsg = `❌ Missing required configuration: ${missing.join(', ')}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+    setVSCodeConfig(domain, path = '/code', password) {
+        const names = nginxConfig.parseServerNames(domain);
+        if (names.length !== 1) {
+            throw new Error(domain ? `Invalid domain: ${domain} (a single host name is expected)` : 'Domain is required');
         }
 
-        if (!fs.existsSync(config.privateKeyPath)) {
-            const errorMsg = `❌ SSH private key file not found: ${config.privateKeyPath}`;
-            this.log(errorMsg);
-            throw new Error(errorMsg);
+        // Becomes an nginx location and part of the proxied URLs
+        const vscodePath = String(path || '/code').replace(/(.)\/+$/, '$1');
+        if (!/^\/[\w-]+$/.test(vscodePath)) {
+            throw new Error(`Invalid VS Code path: ${path} (e.g. /code; letters, digits, - and _ only)`);
         }
 
-        this.log('✅ Configuration validated');
-    }
-
-    setVSCodeConfig(domain, path = '/code', password) {
-        this.domain = domain;
-        this.path = path;
+        this.domain = names[0];
+        this.path = vscodePath;
         this.password = password;
     }
 
-    async connect() {
-        return new Promise((resolve, reject) => {
-            const conn = new Client();
-
-            this.log(`🔗 Connecting to ${this.config.username}@${this.config.host}:${this.config.port}...`);
-
-            conn.on('ready', () => {
-                this.log('✅ SSH connection established');
-                resolve(conn);
-            });
-
-            conn.on('error', (err) => {
-                this.log(`❌ SSH connection failed: ${err.message}`);
-                reject(err);
-            });
-
-            const connectConfig = {
-                host: this.config.host,
-                port: this.config.port,
-                username: this.config.username,
-                privateKey: fs.readFileSync(this.config.privateKeyPath)
-            };
-
-            if (this.config.passphrase) {
-                connectConfig.passphrase = this.config.passphrase;
-            }
-
-            conn.connect(connectConfig);
-        });
-    }
-
-    async executeCommand(conn, command, description, suppressOutput = false) {
-        return new Promise((resolve, reject) => {
-            if (!suppressOutput) {
-                this.log(`🔄 ${description}...`);
-            }
-
-            conn.exec(command, (err, stream) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
-
-                let output = '';
-                let errorOutput = '';
-
-                stream.on('close', (code, signal) => {
-                    if (code === 0) {
-                        if (!suppressOutput) {
-                            this.log(`✅ ${description} completed`);
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    } else {
-                        if (!suppressOutput) {
-                            this.log(`❌ ${description} failed (exit code: ${code})`);
-                            if (errorOutput) {
-                                this.log(`Error output: ${errorOutput}`);
-                            }
-                        }
-                        resolve({ output, errorOutput, exitCode: code });
-                    }
-                });
-
-                stream.on('data', (data) => {
-                    output += data.toString();
-                    if (!suppressOutput) {
-                        this.log(data.toString().trim());
-                    }
-                });
-
-                stream.stderr.on('data', (data) => {
-                    errorOutput += data.toString();
-                    if (!suppressOutput) {
-                        this.log(`STDERR: ${data.toString().trim()}`);
-                    }
-                });
-            });
-        });
-    }
-
-    async checkSSLStatus(conn, domain) {
-        this.log(`🔍 Checking SSL certificate status for ${domain}...`);
-
-        try {
-            // First, check if the certificate files exist
-            const sslFileCheck = await this.executeCommand(
-                conn,
-                `sudo test -f /etc/letsencrypt/live/${domain}/fullchain.pem && sudo test -f /etc/letsencrypt/live/${domain}/privkey.pem && echo "SSL files exist" || echo "SSL files missing"`,
-                'Checking SSL certificate files',
-                true
-            );
-
-            this.log(`SSL file check result: ${sslFileCheck.output.trim()}`);
-
-            // Also check if nginx can read the files (permissions)
-            const sslAccessCheck = await this.executeCommand(
-                conn,
-                `sudo -u nginx test -r /etc/letsencrypt/live/${domain}/fullchain.pem 2>/dev/null && echo "nginx can read SSL" || echo "nginx cannot read SSL"`,
-                'Checking SSL file permissions for nginx',
-                true
-            );
-
-            this.log(`SSL access check result: ${sslAccessCheck.output.trim()}`);
-
-            if (sslFileCheck.output.includes('SSL files exist')) {
-                this.log(`✅ SSL certificate found for ${domain}`);
-                return { hasSSL: true };
-            } else {
-                this.log(`❌ SSL certificate files not found for ${domain}`);
-                this.log('❌ VS Code Web requires SSL certificate to be installed first');
-                this.log(`Expected files: /etc/letsencrypt/live/${domain}/fullchain.pem and privkey.pem`);
-
-                // List what's actually in the letsencrypt directory
-                const listLetsencrypt = await this.executeCommand(
-                    conn,
-                    `sudo ls -la /etc/letsencrypt/live/ 2>/dev/null || echo "letsencrypt directory not found"`,
-                    'Listing letsencrypt certificates',
-                    true
-                );
-                this.log(`Available certificates: ${listLetsencrypt.output.trim()}`);
-
-                return { hasSSL: false };
-            }
-        } catch (error) {
-            this.log(`❌ Error checking SSL status: ${error.message}`);
-            return { hasSSL: false };
-        }
-    }
-
     async installGit(conn) {
         this.log('🔧 Installing git for VS Code development workflow...');
 
@@ -299,6 +156,17 @@ class VSCodeWebInstaller {
                 'Downloading and running code-server installation script'
             );
 
+            // Only a service this install enabled is disabled again on rollback
+            const enabledCheck = await this.executeCommand(
+                conn,
+                'systemctl is-enabled code-server@$USER',
+                'Checking if code-server service is enabled',
+                true
+            );
+            if (enabledCheck.exitCode !== 0) {
+                this.registerRollback('Disabling code-server service', 'sudo systemctl disable --now code-server@$USER');
+            }
+
             // Enable the service for the current user
             await this.executeCommand(
                 conn,
@@ -321,7 +189,7 @@ class VSCodeWebInstaller {
                 true
             );
 
-            if (verifyResult.exitCode === 0 && verifyResult.output.includes('active (running)')) {
+            if (verifyResult.dryRun || (verifyResult.exitCode === 0 && verifyResult.output.includes('active (running)'))) {
                 this.log('✅ VS Code Web (code-server) installed and running successfully');
                 return true;
             } else {
@@ -407,6 +275,12 @@ cert: false
 
             this.log('🔒 Using secure argon2 hashed password in configuration');
 
+            this.registerRollback(
+                'Restarting code-server with the previous configuration',
+                'sudo systemctl try-restart code-server@$USER'
+            );
+            await this.backupPath(conn, '~/.config/code-server/config.yaml', 'existing code-server configuration');
+
             // Write the configuration file
             await this.executeCommand(
                 conn,
@@ -440,7 +314,8 @@ EOF`,
             const homeDirResult = await this.executeCommand(
                 conn,
                 `getent passwd ${this.config.username} | cut -d: -f6`,
-                'Detecting user home directory'
+                'Detecting user home directory',
+                true
             );
 
             const userHomeDir = homeDirResult.output.trim();
@@ -467,7 +342,8 @@ EOF`,
             const homePerms = await this.executeCommand(
                 conn,
                 `stat -c '%a' ${userHomeDir}`,
-                'Checking home directory permissions'
+                'Checking home directory permissions',
+                true
             );
 
             const homePermStr = homePerms.output.trim();
@@ -564,6 +440,8 @@ EOF`,
                 'Creating welcome page'
             );
 
+            await this.backupPath(conn, `${userHomeDir}/webroot/${this.domain}/index.html`, 'existing welcome page');
+
             // Move the index.html to the webroot
             await this.executeCommand(
                 conn,
@@ -581,6 +459,20 @@ EOF`,
         }
     }
 
+    buildLocationBlock(path) {
+        return block('location', `${path}/`, [
+            directive('proxy_pass', 'http://127.0.0.1:8080/'),
+            directive('proxy_http_version', '1.1'),
+            directive('proxy_set_header', 'Upgrade $http_upgrade'),
+            directive('proxy_set_header', 'Connection upgrade'),
+            directive('proxy_set_header', 'Host $host'),
+            directive('proxy_set_header', 'X-Real-IP $remote_addr'),
+            directive('proxy_set_header', 'X-Forwarded-For $proxy_add_x_forwarded_for'),
+            directive('proxy_set_header', 'X-Forwarded-Proto $http_x_forwarded_proto'),
+            directive('add_header', 'Strict-Transport-Security "max-age=15552000; includeSubDomains" always')
+        ]);
+    }
+
     async updateNginxConfig(conn, domain, path) {
         this.log(`🌐 Configuring nginx for ${domain}${path}...`);
 
@@ -610,93 +502,44 @@ EOF`,
                     throw new Error('Could not read existing nginx configuration');
                 }
 
-                configContent = readConfig.output;
-
-                // Check if VS Code Web location block already exists
-                if (configContent.includes(`location ${path}/ {`)) {
-                    this.log(`⚠️ VS Code Web location block already exists for ${path}`);
-                    return true;
-                }
-
-                // Add VS Code Web proxy location to existing HTTPS server block
-                const proxyBlock = `
-    location ${path}/ {
-        proxy_pass  http://127.0.0.1:8080/;
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection upgrade;
-        proxy_set_header Host $host;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto $http_x_forwarded_proto;
-        add_header Strict-Transport-Security "max-age=15552000; includeSubDomains" always;
-    }`;
-
-                // Find HTTPS server block and insert proxy block
-                const httpsServerPattern = /(server\s*\{[^}]*listen\s+443[^}]*\})/s;
-                if (httpsServerPattern.test(configContent)) {
-                    configContent = configContent.replace(
-                        httpsServerPattern,
-                        (match) => match.replace(/(\s*\}[^}]*$)/, `${proxyBlock}$1`)
-                    );
-                    this.log('✅ Added VS Code Web location to existing HTTPS server block');
-                } else {
+                const config = nginxConfig.parseConfig(readConfig.output);
+                const server = nginxConfig.findServerBlocks(config, 443)[0];
+                if (!server) {
                     throw new Error('Could not find HTTPS server block in existing configuration');
                 }
 
+                // A reinstall replaces the block, e.g. after the proxy settings changed
+                const replaced = nginxConfig.setLocation(server, this.buildLocationBlock(path));
+                configContent = nginxConfig.renderConfig(config);
+                this.log(`✅ ${replaced ? 'Updated' : 'Added'} VS Code Web location in existing HTTPS server block`);
+
             } else {
                 this.log('📝 Creating new nginx configuration with VS Code Web support...');
 
                 // Create new nginx config with SSL and VS Code Web support
-                configContent = `# VS Code Web configuration for ${domain}
-server {
-    listen 80;
-    server_name ${domain};
-
-    # Redirect HTTP to HTTPS
-    return 301 https://$server_name$request_uri;
-}
-
-server {
-    listen 443 ssl http2;
-    server_name ${domain};
-
-    # SSL configuration
-    ssl_certificate /etc/letsencrypt/live/${domain}/fullchain.pem;
-    ssl_certificate_key /etc/letsencrypt/live/${domain}/privkey.pem;
-
-    # SSL security settings
-    ssl_protocols TLSv1.2 TLSv1.3;
-    ssl_ciphers ECDHE-RSA-AES128-GCM-SHA256:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-RSA-AES128-SHA256:ECDHE-RSA-AES256-SHA384;
-    ssl_prefer_server_ciphers off;
-
-    # VS Code Web proxy location (must come before general location)
-    location ${path}/ {
-        proxy_pass  http://127.0.0.1:8080/;
-        proxy_http_version 1.1;
-        proxy_set_header Upgrade $http_upgrade;
-        proxy_set_header Connection upgrade;
-        proxy_set_header Host $host;
-        proxy_set_header X-Real-IP $remote_addr;
-        proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
-        proxy_set_header X-Forwarded-Proto $http_x_forwarded_proto;
-        add_header Strict-Transport-Security "max-age=15552000; includeSubDomains" always;
-    }
-
-    # Serve static files from webroot
-    location / {
-        root ${this.userHomeDir}/webroot/${domain};
-        index index.html index.htm;
-        try_files $uri $uri/ =404;
-
-        # Security headers
-        add_header X-Frame-Options "SAMEORIGIN" always;
-        add_header X-XSS-Protection "1; mode=block" always;
-        add_header X-Content-Type-Options "nosniff" always;
-        add_header Referrer-Policy "no-referrer-when-downgrade" always;
-        add_header Content-Security-Policy "default-src 'self' http: https: data: blob: 'unsafe-inline'" always;
-    }
-}`;
+                configContent = nginxConfig.renderConfig([
+                    comment(`VS Code Web configuration for ${domain}`),
+                    nginxConfig.serverBlock('80', domain, [
+                        comment('Redirect HTTP to HTTPS'),
+                        directive('return', '301 https://$server_name$request_uri')
+                    ]),
+                    blank(),
+                    nginxConfig.serverBlock('443 ssl http2', domain, nginxConfig.sections(
+                        nginxConfig.sslDirectives(domain),
+                        [comment('VS Code Web proxy location (must come before general location)'), this.buildLocationBlock(path)],
+                        [
+                            comment('Serve static files from webroot'),
+                            block('location', '/', [
+                                directive('root', `${this.userHomeDir}/webroot/${domain}`),
+                                directive('index', 'index.html index.htm'),
+                                directive('try_files', '$uri $uri/ =404'),
+                                blank(),
+                                comment('Security headers'),
+                                ...nginxConfig.securityHeaders()
+                            ])
+                        ]
+                    ))
+                ]);
             }
 
             // Write the configuration
@@ -708,6 +551,8 @@ EOF`,
                 'Creating nginx configuration'
             );
 
+            await this.backupPath(conn, `/etc/nginx/conf.d/${domain}.conf`, 'existing nginx configuration');
+
             // Move to nginx directory
             await this.executeCommand(
                 conn,
@@ -757,6 +602,13 @@ EOF`,
                 throw new Error('SSL certificate is required for VS Code Web installation');
             }
 
+            // Runs last on rollback, once the previous files are back in place
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+            await this.ensureTlsParams(conn);
+
             // Step 2: Install git if not present (required for VS Code development workflow)
             await this.installGit(conn);
 
@@ -778,6 +630,8 @@ EOF`,
             // Step 7: Update nginx configuration
             await this.updateNginxConfig(conn, this.domain, this.path);
 
+            await this.commitRollback(conn);
+
             this.log('🎉 VS Code Web installation completed successfully!');
             this.log(`📋 Domain: ${this.domain}`);
             this.log(`📋 Path: ${this.path}`);
@@ -788,28 +642,109 @@ EOF`,
                 success: true,
                 domain: this.domain,
                 path: this.path,
-                url: `https://${this.domain}${this.path}`,
-                password: this.password
+                url: `https://${this.domain}${this.path}`
             };
 
         } catch (error) {
             this.log(`❌ VS Code Web installation failed: ${error.message}`);
+            await this.rollback(conn);
             throw error;
         }
     }
 
+    async uninstall(conn) {
+        if (!this.domain) {
+            throw new Error('Domain is required');
+        }
+
+        this.log('🧹 Uninstalling VS Code Web...');
+
+        const stopResult = await this.executeCommand(
+            conn,
+            'sudo systemctl disable --now code-server@$USER',
+            'Stopping and disabling code-server service'
+        );
+
+        if (stopResult.exitCode !== 0) {
+            this.log('⚠️ code-server service could not be disabled (it may not be installed)');
+        }
+
+        const configFile = `/etc/nginx/conf.d/${this.domain}.conf`;
+        const readConfig = await this.executeCommand(
+            conn,
+            `sudo cat ${configFile}`,
+            'Reading nginx configuration',
+            true
+        );
+
+        const config = readConfig.exitCode === 0 ? nginxConfig.parseConfig(readConfig.output) : null;
+        if (!config || nginxConfig.removeLocation(config, `${this.path}/`) === 0) {
+            this.log(`ℹ️ No VS Code Web location ${this.path}/ found in ${configFile}`);
+            return { removed: true, domain: this.domain, path: this.path };
+        }
+
+        try {
+            this.registerRollback(
+                'Reloading nginx with the previous configuration',
+                'sudo nginx -t && sudo systemctl reload nginx'
+            );
+            await this.backupPath(conn, configFile, 'nginx configuration');
+
+            await this.executeCommand(
+                conn,
+                `cat > /tmp/${this.domain}-vscode.conf << 'EOF'
+${nginxConfig.renderConfig(config)}
+EOF`,
+                'Writing nginx configuration without VS Code Web location'
+            );
+
+            await this.executeCommand(
+                conn,
+                `sudo mv /tmp/${this.domain}-vscode.conf ${configFile} && sudo chown root:root ${configFile} && sudo chmod 644 ${configFile}`,
+                'Installing nginx configuration'
+            );
+
+            const testResult = await this.executeCommand(
+                conn,
+                'sudo nginx -t',
+                'Testing nginx configuration'
+            );
+
+            if (testResult.exitCode !== 0) {
+                throw new Error('Nginx configuration test failed');
+            }
+
+            await this.executeCommand(
+                conn,
+                'sudo systemctl reload nginx',
+                'Reloading nginx configuration'
+            );
+
+            await this.commitRollback(conn);
+        } catch (error) {
+            await this.rollback(conn);
+            throw error;
+        }
+
+        this.log(`🎉 VS Code Web has been removed from https://${this.domain}${this.path}`);
+        return { removed: true, domain: this.domain, path: this.path };
+    }
+
     async run() {
         let conn;
 
         try {
             conn = await this.connect();
             const result = await this.installVSCodeWeb(conn);
+            this.printPlan();
+            this.emitEvent('result', { success: Boolean(result.success), result });
 
             if (result.success) {
                 this.log('✅ VS Code Web setup completed successfully!');
             }
         } catch (error) {
             this.log(`❌ Setup failed: ${error.message}`);
+            this.emitEvent('result', { success: false, error: error.message });
             process.exit(1);
         } finally {
             if (conn) {
@@ -954,7 +889,12 @@ if (require.main === module) {
 
     const installer = new VSCodeWebInstaller();
     installer.config = config;
-    installer.setVSCodeConfig(config.domain, config.path, config.password);
+    try {
+        installer.setVSCodeConfig(config.domain, config.path, config.password);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 
     installer.run().catch(console.error);
 }